@@ -0,0 +1,54 @@
+/**
+ * Multi-RBL Lookup Tool
+ * Copyright (C) 2025 Matthew Asham & Multi-RBL Lookup Contributors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Import RBL server definitions from a JSON file into the database
+ * Existing hosts are updated (enabled and weight are kept); use
+ * --skip-existing to only add new hosts.
+ *
+ * Usage: node database/import-rbl-servers.js [file] [--skip-existing]
+ */
+
+import { importRblServersFromFile } from '../src/rbl-servers.js';
+import { closePool } from '../src/db-postgres.js';
+
+async function importServers() {
+  const args = process.argv.slice(2);
+  const skipExisting = args.includes('--skip-existing');
+  const file = args.find(arg => !arg.startsWith('--')) || 'etc/rbl-servers.json';
+
+  try {
+    console.log(`Importing RBL servers from ${file}...`);
+
+    const result = await importRblServersFromFile(file, { skipExisting });
+
+    if (!result.success) {
+      console.error('✗ Import failed:', result.error);
+      process.exit(1);
+    }
+
+    console.log(`✓ Imported ${result.imported} servers (${result.skipped} skipped)`);
+    await closePool();
+    process.exit(0);
+  } catch (error) {
+    console.error('✗ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+importServers();
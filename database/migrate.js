@@ -20,7 +20,8 @@
 
 /**
  * Database Migration Script
- * Initializes PostgreSQL database with schema
+ * Initializes PostgreSQL database with schema and seeds the RBL server
+ * list from etc/rbl-servers.json (or the .example) when it is empty
  *
  * Usage:
  *   node database/migrate.js
@@ -34,6 +35,8 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { importRblServersFromFile } from '../src/rbl-servers.js';
+import { closePool } from '../src/db-postgres.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -86,7 +89,26 @@ async function migrate() {
       console.log(`  - ${row.table_name}`);
     });
 
+    // Seed RBL servers on first run
+    const serversResult = await client.query('SELECT COUNT(*)::int AS count FROM rbl_servers');
     client.release();
+
+    if (serversResult.rows[0].count === 0) {
+      const seedPath = [
+        path.join(__dirname, '../etc/rbl-servers.json'),
+        path.join(__dirname, '../etc/rbl-servers.json.example')
+      ].find(file => fs.existsSync(file));
+
+      if (seedPath) {
+        console.log(`\nSeeding RBL servers from ${path.relative(process.cwd(), seedPath)}...`);
+        const seeded = await importRblServersFromFile(seedPath);
+        if (!seeded.success) {
+          throw new Error(`Invalid RBL server file: ${seeded.error}`);
+        }
+        console.log(`✓ Imported ${seeded.imported} RBL servers`);
+      }
+    }
+
     console.log('\n✓ Migration completed successfully');
 
   } catch (error) {
@@ -105,6 +127,7 @@ async function migrate() {
     process.exit(1);
   } finally {
     await pool.end();
+    await closePool();
   }
 }
 
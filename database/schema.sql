@@ -26,6 +26,73 @@ CREATE INDEX IF NOT EXISTS idx_rbl_cache_lookup ON rbl_cache(ip, rbl_host, expir
 -- Index for cleanup queries
 CREATE INDEX IF NOT EXISTS idx_rbl_cache_expires ON rbl_cache(expires_at);
 
+-- Domain (RHSBL/URIBL) lookups share rbl_cache: each row is keyed on either ip or domain
+ALTER TABLE rbl_cache ADD COLUMN IF NOT EXISTS domain VARCHAR(253);
+ALTER TABLE rbl_cache ALTER COLUMN ip DROP NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rbl_cache_domain ON rbl_cache(domain, rbl_host);
+
+-- TXT record (listing reason / delisting link) published by the RBL for listed results
+ALTER TABLE rbl_cache ADD COLUMN IF NOT EXISTS reason TEXT;
+
+-- Every address answered for listed results (some RBLs answer several, one per list)
+ALTER TABLE rbl_cache ADD COLUMN IF NOT EXISTS responses INET[];
+
+-- RBL Servers (upstream lists queried by the web and DNS servers)
+-- Seeded from etc/rbl-servers.json by database/migrate.js when empty
+CREATE TABLE IF NOT EXISTS rbl_servers (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  host VARCHAR(255) NOT NULL UNIQUE,
+  description TEXT NOT NULL DEFAULT '',
+  type VARCHAR(10) NOT NULL DEFAULT 'ip',   -- ip (DNSBL) or domain (RHSBL/URIBL)
+  weight REAL NOT NULL DEFAULT 1,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  timeout INTEGER,                          -- Query timeout in ms (NULL = default)
+  severity VARCHAR(10),                     -- Default severity for undecoded listings
+  removal_url TEXT,
+  return_codes JSONB,                       -- Exact return code map
+  return_code_bits JSONB,                   -- Bitmask return code map (last octet)
+  sentinels JSONB,                          -- Query-refused answers
+  query_template TEXT,                      -- e.g. {query}.{env:SPAMHAUS_DQS_KEY}.zen.dq.spamhaus.net
+  resolver JSONB,                           -- Resolver pool overrides
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Quarantine (set by the health prober; quarantined servers are skipped by lookups)
+ALTER TABLE rbl_servers ADD COLUMN IF NOT EXISTS quarantined BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE rbl_servers ADD COLUMN IF NOT EXISTS quarantine_reason TEXT;
+ALTER TABLE rbl_servers ADD COLUMN IF NOT EXISTS quarantined_at TIMESTAMP;
+
+-- RBL Server Health (latest evaluation by the background prober)
+CREATE TABLE IF NOT EXISTS rbl_server_health (
+  server_id INTEGER PRIMARY KEY REFERENCES rbl_servers(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL,              -- healthy, degraded, quarantined
+  reasons JSONB NOT NULL DEFAULT '[]',      -- Failed checks and warnings
+  samples INTEGER NOT NULL DEFAULT 0,       -- Queries in the evaluation window
+  success_rate REAL,
+  latency_p50 INTEGER,                      -- Milliseconds
+  latency_p95 INTEGER,
+  latency_p99 INTEGER,
+  negative_probe VARCHAR(20),               -- Status of the 127.0.0.1 / "invalid" probe
+  positive_probe VARCHAR(20),               -- Status of the 127.0.0.2 / "test" probe
+  consecutive_passes INTEGER NOT NULL DEFAULT 0,
+  last_probe_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Recent outcome of fresh queries to each RBL, written by the web and DNS servers
+-- and trimmed to the last RBL_HEALTH_WINDOW rows per host by the health prober
+CREATE TABLE IF NOT EXISTS rbl_health_samples (
+  id BIGSERIAL PRIMARY KEY,
+  rbl_host VARCHAR(255) NOT NULL,
+  ok BOOLEAN NOT NULL,                      -- Answered (listed or not listed)
+  response_time INTEGER NOT NULL,           -- Milliseconds
+  sampled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_rbl_health_samples_host ON rbl_health_samples(rbl_host, id DESC);
+
 -- Custom RBL Configuration Table
 CREATE TABLE IF NOT EXISTS custom_rbl_config (
   id SERIAL PRIMARY KEY,
@@ -36,6 +103,21 @@ CREATE TABLE IF NOT EXISTS custom_rbl_config (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- SOA serial of the custom RBL zone, bumped on every entry change
+ALTER TABLE custom_rbl_config ADD COLUMN IF NOT EXISTS serial BIGINT NOT NULL DEFAULT 1;
+-- Transaction that last bumped the serial (a transaction bumps it once)
+ALTER TABLE custom_rbl_config ADD COLUMN IF NOT EXISTS serial_txid BIGINT;
+-- A record answered for addresses listed in the zone
+ALTER TABLE custom_rbl_config ADD COLUMN IF NOT EXISTS return_code VARCHAR(15) NOT NULL DEFAULT '127.0.0.2';
+-- Zone type: block (blocklist) or allow (DNSWL-style allowlist, answers 127.0.<category>.<trust>)
+ALTER TABLE custom_rbl_config ADD COLUMN IF NOT EXISTS type VARCHAR(10) NOT NULL DEFAULT 'block';
+-- Blocklist categories and their return codes, e.g. {"dynamic": "127.0.0.3", "spam": "127.0.0.4"}
+ALTER TABLE custom_rbl_config ADD COLUMN IF NOT EXISTS categories JSONB;
+-- TXT record template ($ip, $network, $reason, $listed_since, $removal_url, $category, $zone;
+-- NULL answers the reason) and the URL for delisting requests
+ALTER TABLE custom_rbl_config ADD COLUMN IF NOT EXISTS txt_template TEXT;
+ALTER TABLE custom_rbl_config ADD COLUMN IF NOT EXISTS removal_url TEXT;
+
 -- Custom RBL Entries Table (CIDR-based blocklist)
 CREATE TABLE IF NOT EXISTS custom_rbl_entries (
   id SERIAL PRIMARY KEY,
@@ -51,6 +133,83 @@ CREATE TABLE IF NOT EXISTS custom_rbl_entries (
 CREATE INDEX IF NOT EXISTS idx_custom_rbl_network ON custom_rbl_entries USING GIST(network inet_ops);
 CREATE INDEX IF NOT EXISTS idx_custom_rbl_listed ON custom_rbl_entries(listed);
 
+-- Zone the entry belongs to (each custom RBL zone has its own entries)
+ALTER TABLE custom_rbl_entries ADD COLUMN IF NOT EXISTS zone_id INTEGER REFERENCES custom_rbl_config(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_custom_rbl_zone ON custom_rbl_entries(zone_id);
+
+-- Allowlist trust level (0-3: none, low, medium, high; NULL is high) and expiry
+-- (expired entries are ignored by lookups and delisted by the expiry sweeper)
+ALTER TABLE custom_rbl_entries ADD COLUMN IF NOT EXISTS trust SMALLINT;
+ALTER TABLE custom_rbl_entries ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+-- When and by whom (or "expiry") a listed entry was delisted
+ALTER TABLE custom_rbl_entries ADD COLUMN IF NOT EXISTS delisted_at TIMESTAMP;
+ALTER TABLE custom_rbl_entries ADD COLUMN IF NOT EXISTS delisted_by VARCHAR(100);
+CREATE INDEX IF NOT EXISTS idx_custom_rbl_expires ON custom_rbl_entries(expires_at) WHERE listed AND expires_at IS NOT NULL;
+-- Escalation rules that listed or extended the entry: when last, and how often
+ALTER TABLE custom_rbl_entries ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP;
+ALTER TABLE custom_rbl_entries ADD COLUMN IF NOT EXISTS escalations INTEGER NOT NULL DEFAULT 0;
+-- Blocklist answer of the entry (NULL: its category's return code, else the zone's)
+ALTER TABLE custom_rbl_entries ADD COLUMN IF NOT EXISTS return_code VARCHAR(15);
+ALTER TABLE custom_rbl_entries ADD COLUMN IF NOT EXISTS category VARCHAR(50);
+-- When the entry was last listed (set on insert and on every relist; NULL for
+-- entries older than the column, which were listed at created_at)
+ALTER TABLE custom_rbl_entries ADD COLUMN IF NOT EXISTS listed_at TIMESTAMP;
+
+-- Custom RBL change journal (one row per listed entry added or removed, for IXFR)
+-- An update is journaled as a remove of the old entry and an add of the new one.
+CREATE TABLE IF NOT EXISTS custom_rbl_journal (
+  id BIGSERIAL PRIMARY KEY,
+  serial BIGINT NOT NULL,              -- Zone serial the change first appears in
+  entry_id INTEGER NOT NULL,
+  action VARCHAR(10) NOT NULL,         -- add, remove
+  network CIDR NOT NULL,
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_custom_rbl_journal_serial ON custom_rbl_journal(serial);
+CREATE INDEX IF NOT EXISTS idx_custom_rbl_journal_created ON custom_rbl_journal(created_at);
+
+ALTER TABLE custom_rbl_journal ADD COLUMN IF NOT EXISTS zone_id INTEGER REFERENCES custom_rbl_config(id) ON DELETE CASCADE;
+ALTER TABLE custom_rbl_journal ADD COLUMN IF NOT EXISTS trust SMALLINT;
+-- What older versions of the entry answered (for TXT templates, when it was listed)
+ALTER TABLE custom_rbl_journal ADD COLUMN IF NOT EXISTS return_code VARCHAR(15);
+ALTER TABLE custom_rbl_journal ADD COLUMN IF NOT EXISTS category VARCHAR(50);
+ALTER TABLE custom_rbl_journal ADD COLUMN IF NOT EXISTS listed_since TIMESTAMP;
+CREATE INDEX IF NOT EXISTS idx_custom_rbl_journal_zone ON custom_rbl_journal(zone_id, serial);
+
+-- Custom RBL evidence (spamtrap hits, abuse reports, ...) submitted for IPs
+CREATE TABLE IF NOT EXISTS custom_rbl_evidence (
+  id SERIAL PRIMARY KEY,
+  ip INET NOT NULL,
+  source VARCHAR(100) NOT NULL,        -- Who reported it, e.g. a trap network
+  type VARCHAR(50) NOT NULL,           -- What it is, e.g. spamtrap, abuse_report
+  observed_at TIMESTAMP NOT NULL,
+  submitted_by VARCHAR(100),           -- API key identifier
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_custom_rbl_evidence_ip ON custom_rbl_evidence USING gist (ip inet_ops);
+CREATE INDEX IF NOT EXISTS idx_custom_rbl_evidence_observed ON custom_rbl_evidence(observed_at);
+
+-- Custom RBL escalation rules: list an IP for list_seconds once min_events
+-- matching evidence events were observed within window_seconds
+CREATE TABLE IF NOT EXISTS custom_rbl_escalation_rules (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  zone_id INTEGER REFERENCES custom_rbl_config(id) ON DELETE CASCADE,  -- NULL: default zone
+  types TEXT[],                        -- Evidence types that count (NULL: all)
+  sources TEXT[],                      -- Evidence sources that count (NULL: all)
+  min_events INTEGER NOT NULL DEFAULT 1,
+  window_seconds INTEGER NOT NULL,
+  repeat_within_seconds INTEGER,       -- Only IPs escalated this recently (repeat offenders)
+  list_seconds INTEGER NOT NULL,
+  enabled BOOLEAN DEFAULT TRUE,
+  created_by VARCHAR(100),             -- API key identifier
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- API Keys Table for authentication
 CREATE TABLE IF NOT EXISTS api_keys (
   id SERIAL PRIMARY KEY,
@@ -65,6 +224,125 @@ CREATE TABLE IF NOT EXISTS api_keys (
 CREATE INDEX IF NOT EXISTS idx_api_keys_hash ON api_keys(key_hash);
 CREATE INDEX IF NOT EXISTS idx_api_keys_revoked ON api_keys(revoked);
 
+-- Bulk Lookup Jobs (many IPs / CIDR ranges checked in one job)
+CREATE TABLE IF NOT EXISTS bulk_lookup_jobs (
+  id SERIAL PRIMARY KEY,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued',  -- queued, running, completed, failed
+  targets JSONB NOT NULL,              -- Expanded list of IPs to check
+  total INTEGER NOT NULL,
+  completed INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  created_by VARCHAR(100),             -- API key identifier
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_bulk_lookup_jobs_status ON bulk_lookup_jobs(status);
+
+-- Bulk Lookup Results (one row per IP per job)
+CREATE TABLE IF NOT EXISTS bulk_lookup_results (
+  id SERIAL PRIMARY KEY,
+  job_id INTEGER NOT NULL REFERENCES bulk_lookup_jobs(id) ON DELETE CASCADE,
+  ip INET NOT NULL,
+  listed_count INTEGER NOT NULL,
+  error_count INTEGER NOT NULL,
+  total_checked INTEGER NOT NULL,
+  statuses JSONB NOT NULL,             -- { "rbl host": "listed" | "not_listed" | "blocked" | "error" }
+  error TEXT,                          -- Error message if the whole lookup failed
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(job_id, ip)
+);
+
+-- Monitors (watched IPs / CIDR ranges re-checked on a schedule)
+CREATE TABLE IF NOT EXISTS monitors (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  targets JSONB NOT NULL,              -- IPs and CIDR ranges to watch
+  interval_minutes INTEGER NOT NULL DEFAULT 60,
+  enabled BOOLEAN DEFAULT TRUE,
+  last_run_at TIMESTAMP,
+  next_run_at TIMESTAMP,
+  last_error TEXT,
+  created_by VARCHAR(100),             -- API key identifier
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_monitors_next_run ON monitors(next_run_at) WHERE enabled = TRUE;
+
+-- Monitor State (current listing state of each watched IP on each RBL)
+CREATE TABLE IF NOT EXISTS monitor_state (
+  id SERIAL PRIMARY KEY,
+  monitor_id INTEGER NOT NULL REFERENCES monitors(id) ON DELETE CASCADE,
+  ip INET NOT NULL,
+  rbl_host VARCHAR(255) NOT NULL,
+  listed BOOLEAN NOT NULL,
+  response INET,                       -- Last DNS response while listed
+  changed_at TIMESTAMP NOT NULL,       -- When the IP became listed / delisted
+  last_checked_at TIMESTAMP NOT NULL,
+  UNIQUE(monitor_id, ip, rbl_host)
+);
+
+-- Monitor Events (listing / delisting transitions)
+CREATE TABLE IF NOT EXISTS monitor_events (
+  id SERIAL PRIMARY KEY,
+  monitor_id INTEGER NOT NULL REFERENCES monitors(id) ON DELETE CASCADE,
+  ip INET NOT NULL,
+  rbl_host VARCHAR(255) NOT NULL,
+  event VARCHAR(10) NOT NULL,          -- listed, delisted
+  response INET,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_monitor_events_monitor ON monitor_events(monitor_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_monitor_events_ip ON monitor_events(ip);
+
+-- Webhooks (outbound notifications on listing state changes)
+CREATE TABLE IF NOT EXISTS webhooks (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  url TEXT NOT NULL,
+  secret VARCHAR(255) NOT NULL,        -- HMAC-SHA256 signing secret
+  events JSONB NOT NULL DEFAULT '[]',  -- Subscribed events (empty = all)
+  enabled BOOLEAN DEFAULT TRUE,
+  created_by VARCHAR(100),             -- API key identifier
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Webhook Delivery Log
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',  -- pending, delivered, failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,             -- HTTP status of the last attempt
+  error TEXT,                          -- Error of the last attempt
+  next_attempt_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+-- Lookup History (append-only record of fresh RBL results, kept for HISTORY_RETENTION_DAYS)
+CREATE TABLE IF NOT EXISTS lookup_history (
+  id BIGSERIAL PRIMARY KEY,
+  ip INET NOT NULL,
+  rbl_host VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL,         -- listed, not_listed, blocked, error
+  response INET,
+  source VARCHAR(20) NOT NULL DEFAULT 'lookup',  -- lookup (HTTP API, bulk, monitors) or dns
+  checked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_lookup_history_ip ON lookup_history(ip, checked_at);
+CREATE INDEX IF NOT EXISTS idx_lookup_history_checked ON lookup_history(checked_at);
+
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -74,26 +352,128 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
--- Triggers for updated_at
+-- Stamp listed_at when an entry is added listed or relisted
+CREATE OR REPLACE FUNCTION set_custom_rbl_listed_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.listed AND (TG_OP = 'INSERT' OR NOT OLD.listed) THEN
+    NEW.listed_at = CURRENT_TIMESTAMP;
+  ELSIF TG_OP = 'UPDATE' THEN
+    NEW.listed_at = OLD.listed_at;
+  END IF;
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Bump the serial of the entry's zone (once per transaction) and journal
+-- the change under the new serial. The UPDATE locks the zone row, so
+-- concurrent writers to a zone wait and each journals under its own serial.
+-- Entries don't move between zones.
+CREATE OR REPLACE FUNCTION journal_custom_rbl_entry()
+RETURNS TRIGGER AS $$
+DECLARE
+  entry_zone INTEGER;
+  zone_serial BIGINT;
+BEGIN
+  entry_zone := CASE WHEN TG_OP = 'DELETE' THEN OLD.zone_id ELSE NEW.zone_id END;
+
+  UPDATE custom_rbl_config
+  SET serial = serial + 1, serial_txid = txid_current()
+  WHERE id = entry_zone AND serial_txid IS DISTINCT FROM txid_current();
+
+  SELECT serial INTO zone_serial FROM custom_rbl_config WHERE id = entry_zone;
+
+  -- The zone itself is being deleted
+  IF zone_serial IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.listed THEN
+    INSERT INTO custom_rbl_journal (zone_id, serial, entry_id, action, network, reason, trust, return_code, category, listed_since)
+    VALUES (entry_zone, zone_serial, OLD.id, 'remove', OLD.network, OLD.reason, OLD.trust, OLD.return_code, OLD.category, COALESCE(OLD.listed_at, OLD.created_at));
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.listed THEN
+    INSERT INTO custom_rbl_journal (zone_id, serial, entry_id, action, network, reason, trust, return_code, category, listed_since)
+    VALUES (entry_zone, zone_serial, NEW.id, 'add', NEW.network, NEW.reason, NEW.trust, NEW.return_code, NEW.category, COALESCE(NEW.listed_at, NEW.created_at));
+  END IF;
+
+  RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+-- Triggers for updated_at (dropped first so this schema can be re-applied to upgrade)
+DROP TRIGGER IF EXISTS update_custom_rbl_config_updated_at ON custom_rbl_config;
 CREATE TRIGGER update_custom_rbl_config_updated_at
   BEFORE UPDATE ON custom_rbl_config
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_custom_rbl_entries_updated_at ON custom_rbl_entries;
 CREATE TRIGGER update_custom_rbl_entries_updated_at
   BEFORE UPDATE ON custom_rbl_entries
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS set_custom_rbl_entries_listed_at ON custom_rbl_entries;
+CREATE TRIGGER set_custom_rbl_entries_listed_at
+  BEFORE INSERT OR UPDATE ON custom_rbl_entries
+  FOR EACH ROW
+  EXECUTE FUNCTION set_custom_rbl_listed_at();
+
+DROP TRIGGER IF EXISTS update_custom_rbl_escalation_rules_updated_at ON custom_rbl_escalation_rules;
+CREATE TRIGGER update_custom_rbl_escalation_rules_updated_at
+  BEFORE UPDATE ON custom_rbl_escalation_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_rbl_servers_updated_at ON rbl_servers;
+CREATE TRIGGER update_rbl_servers_updated_at
+  BEFORE UPDATE ON rbl_servers
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_monitors_updated_at ON monitors;
+CREATE TRIGGER update_monitors_updated_at
+  BEFORE UPDATE ON monitors
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_webhooks_updated_at ON webhooks;
+CREATE TRIGGER update_webhooks_updated_at
+  BEFORE UPDATE ON webhooks
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Zone serial and journal (the serial used to be bumped by a separate
+-- statement-level trigger for the single zone)
+DROP TRIGGER IF EXISTS bump_custom_rbl_serial ON custom_rbl_entries;
+DROP FUNCTION IF EXISTS bump_custom_rbl_serial();
+
+DROP TRIGGER IF EXISTS journal_custom_rbl_entry ON custom_rbl_entries;
+CREATE TRIGGER journal_custom_rbl_entry
+  AFTER INSERT OR UPDATE OR DELETE ON custom_rbl_entries
+  FOR EACH ROW
+  EXECUTE FUNCTION journal_custom_rbl_entry();
+
 -- Insert default custom RBL configuration
 INSERT INTO custom_rbl_config (zone_name, description, enabled)
 VALUES ('myrbl.example.com', 'Custom RBL blocklist', TRUE)
 ON CONFLICT (zone_name) DO NOTHING;
 
+-- Entries and journal rows from before zones existed belong to the first
+-- zone (triggers off: assigning the zone is not an entry change)
+ALTER TABLE custom_rbl_entries DISABLE TRIGGER USER;
+UPDATE custom_rbl_entries SET zone_id = (SELECT MIN(id) FROM custom_rbl_config) WHERE zone_id IS NULL;
+ALTER TABLE custom_rbl_entries ENABLE TRIGGER USER;
+UPDATE custom_rbl_journal SET zone_id = (SELECT MIN(id) FROM custom_rbl_config) WHERE zone_id IS NULL;
+ALTER TABLE custom_rbl_entries ALTER COLUMN zone_id SET NOT NULL;
+ALTER TABLE custom_rbl_journal ALTER COLUMN zone_id SET NOT NULL;
+
 -- Sample queries for reference:
 -- Check if an IP is in custom RBL:
---   SELECT * FROM custom_rbl_entries WHERE network >>= '192.168.1.100'::inet AND listed = TRUE;
+--   SELECT * FROM custom_rbl_entries WHERE zone_id = 1 AND network >>= '192.168.1.100'::inet AND listed = TRUE;
 -- Add a CIDR range:
---   INSERT INTO custom_rbl_entries (network, reason) VALUES ('192.168.1.0/24', 'Spam source');
+--   INSERT INTO custom_rbl_entries (zone_id, network, reason) VALUES (1, '192.168.1.0/24', 'Spam source');
 -- Add a single IP (as /32):
---   INSERT INTO custom_rbl_entries (network, reason) VALUES ('10.0.0.1/32', 'Known spammer');
+--   INSERT INTO custom_rbl_entries (zone_id, network, reason) VALUES (1, '10.0.0.1/32', 'Known spammer');
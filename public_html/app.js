@@ -9,12 +9,18 @@ const resultsSection = document.getElementById('resultsSection');
 const resultsContainer = document.getElementById('resultsContainer');
 const errorMessage = document.getElementById('errorMessage');
 const rblCount = document.getElementById('rblCount');
+const historySection = document.getElementById('historySection');
+const historySummary = document.getElementById('historySummary');
+const historyContainer = document.getElementById('historyContainer');
 
 // Summary counts
 const listedCount = document.getElementById('listedCount');
 const notListedCount = document.getElementById('notListedCount');
 const errorCountEl = document.getElementById('errorCount');
 const totalCount = document.getElementById('totalCount');
+const scoreCard = document.getElementById('scoreCard');
+const scoreValue = document.getElementById('scoreValue');
+const verdictLabel = document.getElementById('verdictLabel');
 
 // State
 let currentFilter = 'all';
@@ -29,7 +35,7 @@ async function init() {
         const response = await fetch('/api/rbl-servers');
         const data = await response.json();
         if (data.success) {
-            rblCount.textContent = data.servers.length;
+            rblCount.textContent = data.servers.filter(server => !server.quarantined).length;
         }
     } catch (error) {
         console.error('Failed to load RBL servers:', error);
@@ -71,6 +77,8 @@ async function handleLookup(e) {
     hideError();
     resultsSection.classList.remove('hidden');
     resultsContainer.innerHTML = '';
+    historySection.classList.add('hidden');
+    historyContainer.innerHTML = '';
     progressBar.classList.remove('hidden');
     lookupBtn.disabled = true;
     lookupBtn.textContent = 'Looking up...';
@@ -83,15 +91,21 @@ async function handleLookup(e) {
     notListedCount.textContent = '0';
     errorCountEl.textContent = '0';
     totalCount.textContent = '0';
+    displayScore(null, null);
+
+    let isDomain = false;
+    let completed = false;
 
     try {
         // Use Server-Sent Events for real-time updates
-        const response = await fetch('/api/lookup-stream', {
+        // Anything that isn't an IP address is checked against the domain RBLs
+        isDomain = !isIpAddress(ip);
+        const response = await fetch(isDomain ? '/api/lookup-domain-stream' : '/api/lookup-stream', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ ip })
+            body: JSON.stringify(isDomain ? { domain: ip } : { ip })
         });
 
         if (!response.ok) {
@@ -135,7 +149,7 @@ async function handleLookup(e) {
                         // Update summary counts
                         const listed = allResults.filter(r => r.listed === true).length;
                         const notListed = allResults.filter(r => r.listed === false && !r.error).length;
-                        const errors = allResults.filter(r => r.error).length;
+                        const errors = allResults.filter(r => r.error && r.status !== 'blocked').length;
 
                         listedCount.textContent = listed;
                         notListedCount.textContent = notListed;
@@ -149,8 +163,10 @@ async function handleLookup(e) {
                         }
                     } else if (event.type === 'complete') {
                         // Lookup complete
+                        displayScore(event.score, event.verdict);
                         progressFill.style.width = '100%';
                         progressText.textContent = '100%';
+                        completed = true;
                     } else if (event.type === 'error') {
                         showError(event.error);
                     }
@@ -170,6 +186,86 @@ async function handleLookup(e) {
         lookupBtn.disabled = false;
         lookupBtn.textContent = 'Lookup';
     }
+
+    // History is only kept for IP lookups
+    if (completed && !isDomain) {
+        loadHistory(ip);
+    }
+}
+
+// Load and render the per-RBL listing timeline for an IP
+async function loadHistory(ip) {
+    try {
+        const response = await fetch(`/api/history/${encodeURIComponent(ip)}`);
+        const data = await response.json();
+
+        if (!data.success || data.timelines.length === 0) {
+            return;
+        }
+
+        displayHistory(data);
+    } catch (error) {
+        console.error('Failed to load history:', error);
+    }
+}
+
+function displayHistory(data) {
+    historyContainer.innerHTML = '';
+
+    // Only RBLs that have listed the IP at some point are interesting
+    const listedTimelines = data.timelines.filter(t => t.listedChecks > 0);
+    const neverListed = data.timelines.length - listedTimelines.length;
+
+    historySummary.textContent = `${data.totalChecks} checks over the last ${data.days} days` +
+        (neverListed > 0 ? ` - ${neverListed} RBL(s) never listed this IP` : '');
+
+    if (listedTimelines.length === 0) {
+        historyContainer.innerHTML = '<p style="text-align: center; color: var(--text-secondary); padding: 1rem;">No listings recorded for this IP.</p>';
+    }
+
+    // Timeline bars share one time axis: first check to now
+    const start = new Date(data.firstCheckedAt).getTime();
+    const span = Math.max(Date.now() - start, 1);
+
+    listedTimelines.forEach(timeline => {
+        const div = document.createElement('div');
+        div.className = 'history-item';
+
+        const segments = timeline.periods.map((period, index) => {
+            // A period lasts until the next one starts (or until now for the last one)
+            const from = new Date(period.from).getTime();
+            const next = timeline.periods[index + 1];
+            const to = next ? new Date(next.from).getTime() : Date.now();
+            const left = ((from - start) / span) * 100;
+            const width = Math.max(((to - from) / span) * 100, 0.5);
+            const label = `${period.status === 'listed' ? 'Listed' : 'Clean'}: ${formatDate(period.from)} - ${formatDate(period.to)}`;
+            return `<div class="history-segment ${period.status === 'listed' ? 'listed' : 'clean'}" style="left: ${left}%; width: ${width}%;" title="${escapeHtml(label)}"></div>`;
+        }).join('');
+
+        div.innerHTML = `
+            <div class="history-info">
+                <div class="result-name">${escapeHtml(timeline.host)}</div>
+                <div class="result-description">
+                    First seen listed: ${formatDate(timeline.firstSeenListed)} &middot;
+                    Last seen listed: ${formatDate(timeline.lastSeenListed)} &middot;
+                    Flaps: ${timeline.flaps}
+                </div>
+            </div>
+            <div class="history-bar">${segments}</div>
+        `;
+
+        historyContainer.appendChild(div);
+    });
+
+    historySection.classList.remove('hidden');
+}
+
+function formatDate(value) {
+    return value ? escapeHtml(new Date(value).toLocaleString()) : 'never';
+}
+
+function isIpAddress(value) {
+    return /^(\d{1,3}\.){3}\d{1,3}$/.test(value) || (value.includes(':') && /^[0-9a-fA-F:.]+$/.test(value));
 }
 
 function shouldShowResult(result) {
@@ -186,6 +282,7 @@ function displayResults(data) {
     notListedCount.textContent = data.notListedCount;
     errorCountEl.textContent = data.errorCount;
     totalCount.textContent = data.totalChecked;
+    displayScore(data.score, data.verdict);
 
     // Display results
     resultsSection.classList.remove('hidden');
@@ -196,6 +293,21 @@ function displayResults(data) {
     progressText.textContent = '100%';
 }
 
+// Show the weighted score and verdict (clean / suspicious / block / allowlisted)
+function displayScore(score, verdict) {
+    scoreCard.classList.remove('verdict-clean', 'verdict-suspicious', 'verdict-block', 'verdict-allowlisted');
+
+    if (score === null || score === undefined) {
+        scoreValue.textContent = '-';
+        verdictLabel.textContent = 'Score';
+        return;
+    }
+
+    scoreValue.textContent = score;
+    verdictLabel.textContent = `Score: ${verdict}`;
+    scoreCard.classList.add(`verdict-${verdict}`);
+}
+
 function filterResults() {
     resultsContainer.innerHTML = '';
 
@@ -230,7 +342,7 @@ function createResultItem(result) {
     if (result.error) {
         statusClass = 'error';
         statusIcon = '!';
-        statusText = 'Error';
+        statusText = result.status === 'blocked' ? 'Blocked' : 'Error';
     } else if (result.listed) {
         statusClass = 'listed';
         statusIcon = '✗';
@@ -251,7 +363,8 @@ function createResultItem(result) {
             <div class="result-host">${escapeHtml(result.host)}</div>
             <div class="result-description">${escapeHtml(result.description)}</div>
             ${result.error ? `<div class="result-description" style="color: var(--danger-color);">Error: ${escapeHtml(result.error)}</div>` : ''}
-            ${result.response ? `<div class="result-description">Response: ${escapeHtml(result.response)}</div>` : ''}
+            ${result.response ? `<div class="result-description">Response: ${escapeHtml(result.response)}${formatCategories(result)}</div>` : ''}
+            ${result.removalUrl ? `<div class="result-description"><a href="${escapeHtml(result.removalUrl)}" target="_blank" rel="noopener">Removal / lookup page</a></div>` : ''}
             ${result.reason ? `<div class="result-description" style="color: #e74c3c; font-weight: 500;">Reason: ${escapeHtml(result.reason)}</div>` : ''}
         </div>
         <div class="result-meta">
@@ -262,6 +375,15 @@ function createResultItem(result) {
     return div;
 }
 
+// Format decoded return code categories (e.g. " - SBL, PBL ISP [high]")
+function formatCategories(result) {
+    if (!result.categories || result.categories.length === 0) return '';
+
+    const names = result.categories.map(c => c.category).join(', ');
+    const severity = result.severity ? ` [${result.severity}]` : '';
+    return ` - ${escapeHtml(names)}${escapeHtml(severity)}`;
+}
+
 function showError(message) {
     errorMessage.textContent = message;
     errorMessage.classList.remove('hidden');
@@ -19,7 +19,7 @@
  *   --help            Show this help message
  *
  * Custom RBL Commands:
- *   custom add <cidr> [reason]           # Add IP/CIDR to blocklist
+ *   custom add <cidr> [reason] [--ttl=]  # Add IP/CIDR to blocklist (--ttl=24h, 7d)
  *   custom remove <cidr>                 # Remove IP/CIDR from blocklist
  *   custom list [--limit=N]              # List all entries
  *   custom config [--zone=<name>]        # View/update config
@@ -168,7 +168,7 @@ class RBLCli {
         echo "  --help, -h        Show this help message\n";
         echo "\n";
         echo $this->color("CUSTOM RBL COMMANDS:\n", 'bold');
-        echo "  " . $this->color("custom add", 'cyan') . " <ip|cidr> [reason]     Add IP/CIDR to custom RBL\n";
+        echo "  " . $this->color("custom add", 'cyan') . " <ip|cidr> [reason]     Add IP/CIDR to custom RBL (--ttl=24h to expire it)\n";
         echo "  " . $this->color("custom remove", 'cyan') . " <ip|cidr>           Remove IP/CIDR from custom RBL\n";
         echo "  " . $this->color("custom list", 'cyan') . " [--limit=N]           List custom RBL entries\n";
         echo "  " . $this->color("custom config", 'cyan') . " <zone-name>         Set custom RBL zone name\n";
@@ -199,6 +199,7 @@ class RBLCli {
         echo "  php rbl-cli.php custom config myrbl.example.com\n";
         echo "  php rbl-cli.php custom add 192.0.2.100 \"Spam source\"\n";
         echo "  php rbl-cli.php custom add 198.51.100.0/24 \"Spam network\"\n";
+        echo "  php rbl-cli.php custom add 203.0.113.7 \"Brute force\" --ttl=24h\n";
         echo "  php rbl-cli.php custom list\n";
         echo "  php rbl-cli.php custom list --limit=50\n";
         echo "  php rbl-cli.php custom remove 192.0.2.100\n";
@@ -348,6 +349,10 @@ class RBLCli {
         echo $this->color("{$data['notListedCount']} Clean", 'green') . ' | ';
         echo $this->color("{$data['errorCount']} Errors", 'yellow') . ' | ';
         echo $this->color("{$data['totalChecked']} Total", 'blue');
+        if (isset($data['score'])) {
+            $verdictColors = ['clean' => 'green', 'suspicious' => 'yellow', 'block' => 'red'];
+            echo ' | ' . $this->color("Score {$data['score']} ({$data['verdict']})", $verdictColors[$data['verdict']] ?? 'bold');
+        }
         echo "\n\n";
 
         if (empty($results)) {
@@ -474,19 +479,25 @@ class RBLCli {
         return $result;
     }
 
-    public function customAdd($cidr, $reason = null) {
+    public function customAdd($cidr, $reason = null, $ttl = null) {
         try {
             echo "Adding $cidr to custom RBL...\n";
 
-            $result = $this->apiRequestCustom('POST', '/api/admin/custom-rbl/entries', [
+            $data = [
                 'network' => $cidr,
                 'reason' => $reason
-            ]);
+            ];
+            if ($ttl !== null) {
+                $data['ttl'] = $ttl;
+            }
+
+            $result = $this->apiRequestCustom('POST', '/api/admin/custom-rbl/entries', $data);
 
             if ($result['success']) {
                 echo $this->color("✓ Successfully added entry\n", 'green');
                 echo "  Network: {$result['entry']['network']}\n";
                 echo "  Reason: " . ($result['entry']['reason'] ?: 'None') . "\n";
+                echo "  Expires: " . (($result['entry']['expiresAt'] ?? null) ?: 'Never') . "\n";
                 echo "  Entry ID: {$result['entry']['id']}\n";
             } else {
                 echo $this->color("✗ Failed: {$result['error']}\n", 'red');
@@ -735,7 +746,13 @@ if (!empty($args) && $args[0] === 'custom') {
             }
             $cidr = $positional[0];
             $reason = isset($positional[1]) ? implode(' ', array_slice($positional, 1)) : null;
-            $cli->customAdd($cidr, $reason);
+            $ttl = null;
+            foreach ($options as $opt) {
+                if (strpos($opt, '--ttl=') === 0) {
+                    $ttl = substr($opt, 6);
+                }
+            }
+            $cli->customAdd($cidr, $reason, $ttl);
             break;
 
         case 'remove':
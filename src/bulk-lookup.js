@@ -0,0 +1,401 @@
+/**
+ * Multi-RBL Lookup Tool
+ * Copyright (C) 2025 Matthew Asham & Multi-RBL Lookup Contributors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Bulk Lookup Jobs
+ * Checks many IPs and CIDR ranges in one job. Job state and per-IP results
+ * are persisted in PostgreSQL; progress is published on bulkJobEvents.
+ */
+
+import { EventEmitter } from 'events';
+import net from 'net';
+import { query } from './db-postgres.js';
+import { getDatabase } from './cache-db.js';
+import { lookupIpCached } from './rbl-lookup-cached.js';
+import { expandCidr } from './ip-network-utils.js';
+
+const BULK_MAX_IPS = parseInt(process.env.BULK_MAX_IPS || '1024', 10);
+const BULK_CONCURRENCY = parseInt(process.env.BULK_CONCURRENCY || '4', 10);
+
+// Emits "progress" and "complete" events: (jobId, payload)
+export const bulkJobEvents = new EventEmitter();
+bulkJobEvents.setMaxListeners(0);
+
+// Jobs currently being processed by this process
+const runningJobs = new Set();
+
+/**
+ * Expand a list of IPs and CIDR ranges into unique IP addresses
+ * @param {string[]} targets - IPs and/or CIDR ranges
+ * @param {number} maxIps - Maximum number of IPs after expansion
+ * @returns {object} { ips, errors } where errors lists invalid targets
+ */
+export function expandTargets(targets, maxIps = BULK_MAX_IPS) {
+  const ips = new Set();
+  const errors = [];
+
+  for (const raw of targets) {
+    const target = String(raw).trim();
+    if (!target) {
+      continue;
+    }
+
+    try {
+      if (target.includes('/')) {
+        for (const ip of expandCidr(target, maxIps)) {
+          ips.add(ip);
+        }
+      } else if (net.isIP(target)) {
+        ips.add(target);
+      } else {
+        errors.push({ target, error: 'Invalid IP address or CIDR' });
+      }
+    } catch (error) {
+      errors.push({ target, error: error.message });
+    }
+
+    if (ips.size > maxIps) {
+      throw new Error(`Bulk lookup is limited to ${maxIps} IPs after CIDR expansion`);
+    }
+  }
+
+  return { ips: [...ips], errors };
+}
+
+/**
+ * Format a job row for API output
+ */
+function formatJob(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    total: row.total,
+    completed: row.completed,
+    percentage: row.total > 0 ? Math.round((row.completed / row.total) * 100) : 100,
+    error: row.error,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+/**
+ * Create a bulk lookup job and start processing it in the background
+ * @param {string[]} targets - IPs and/or CIDR ranges
+ * @param {string} createdBy - Identifier of who created the job
+ * @returns {Promise<object>} Result with job or error
+ */
+export async function createBulkJob(targets, createdBy = 'api') {
+  if (!Array.isArray(targets) || targets.length === 0) {
+    return { success: false, error: 'targets must be a non-empty array of IPs or CIDR ranges' };
+  }
+
+  let expanded;
+  try {
+    expanded = expandTargets(targets);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  if (expanded.errors.length > 0) {
+    return { success: false, error: 'Invalid targets', invalid: expanded.errors };
+  }
+
+  if (expanded.ips.length === 0) {
+    return { success: false, error: 'No IPs to check' };
+  }
+
+  try {
+    const result = await query(
+      `INSERT INTO bulk_lookup_jobs (status, targets, total, created_by)
+       VALUES ('queued', $1, $2, $3)
+       RETURNING *`,
+      [JSON.stringify(expanded.ips), expanded.ips.length, createdBy]
+    );
+
+    const job = result.rows[0];
+
+    // Process in the background - progress is tracked in the database
+    runBulkJob(job.id).catch(err => {
+      console.error(`Bulk job ${job.id} failed:`, err.message);
+    });
+
+    return { success: true, job: formatJob(job) };
+  } catch (error) {
+    console.error('Error creating bulk job:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Summarize a lookup result into a per-RBL status map
+ */
+function toStatuses(lookup) {
+  const statuses = {};
+  for (const result of lookup.results) {
+    statuses[result.host] = result.status || (result.error ? 'error' : (result.listed ? 'listed' : 'not_listed'));
+  }
+  return statuses;
+}
+
+/**
+ * Process a bulk job with bounded concurrency
+ * IPs that already have a stored result are skipped, so interrupted jobs can be resumed
+ * @param {number} jobId - Job ID
+ */
+export async function runBulkJob(jobId) {
+  if (runningJobs.has(jobId)) {
+    return;
+  }
+  runningJobs.add(jobId);
+
+  const db = getDatabase();
+
+  try {
+    const jobResult = await query(
+      `UPDATE bulk_lookup_jobs
+       SET status = 'running', started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+       WHERE id = $1
+       RETURNING *`,
+      [jobId]
+    );
+
+    if (jobResult.rowCount === 0) {
+      return;
+    }
+
+    const job = jobResult.rows[0];
+
+    // Compare as inet so IPv6 spellings match the stored results
+    const pendingResult = await query(
+      `SELECT target FROM jsonb_array_elements_text($2::jsonb) AS target
+       WHERE NOT EXISTS (
+         SELECT 1 FROM bulk_lookup_results r WHERE r.job_id = $1 AND r.ip = target::inet
+       )`,
+      [jobId, JSON.stringify(job.targets)]
+    );
+    const pending = pendingResult.rows.map(r => r.target);
+    let completed = job.total - pending.length;
+
+    // Worker pool: each worker takes the next pending IP until none remain
+    const worker = async () => {
+      while (pending.length > 0) {
+        const ip = pending.shift();
+        let row;
+
+        try {
+          const lookup = await lookupIpCached(ip, db);
+          row = [jobId, ip, lookup.listedCount, lookup.errorCount, lookup.totalChecked, JSON.stringify(toStatuses(lookup)), null];
+        } catch (error) {
+          row = [jobId, ip, 0, 0, 0, '{}', error.message];
+        }
+
+        await query(
+          `INSERT INTO bulk_lookup_results (job_id, ip, listed_count, error_count, total_checked, statuses, error)
+           VALUES ($1, $2::inet, $3, $4, $5, $6, $7)
+           ON CONFLICT (job_id, ip) DO NOTHING`,
+          row
+        );
+
+        completed++;
+        await query('UPDATE bulk_lookup_jobs SET completed = $2 WHERE id = $1', [jobId, completed]);
+
+        bulkJobEvents.emit('progress', jobId, {
+          ip,
+          listedCount: row[2],
+          errorCount: row[3],
+          error: row[6],
+          completed,
+          total: job.total,
+          percentage: Math.round((completed / job.total) * 100)
+        });
+      }
+    };
+
+    const workers = Array.from({ length: Math.max(1, BULK_CONCURRENCY) }, () => worker());
+    await Promise.all(workers);
+
+    await query(
+      `UPDATE bulk_lookup_jobs SET status = 'completed', finished_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [jobId]
+    );
+    bulkJobEvents.emit('complete', jobId, { status: 'completed', completed, total: job.total });
+  } catch (error) {
+    console.error(`Error running bulk job ${jobId}:`, error.message);
+    await query(
+      `UPDATE bulk_lookup_jobs SET status = 'failed', error = $2, finished_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [jobId, error.message]
+    ).catch(() => {});
+    bulkJobEvents.emit('complete', jobId, { status: 'failed', error: error.message });
+  } finally {
+    runningJobs.delete(jobId);
+  }
+}
+
+/**
+ * Resume jobs left queued or running by a previous server process
+ * @returns {Promise<number>} Number of resumed jobs
+ */
+export async function resumeBulkJobs() {
+  try {
+    const result = await query(
+      `SELECT id FROM bulk_lookup_jobs WHERE status IN ('queued', 'running') ORDER BY id`
+    );
+
+    for (const row of result.rows) {
+      runBulkJob(row.id).catch(err => {
+        console.error(`Bulk job ${row.id} failed:`, err.message);
+      });
+    }
+
+    return result.rows.length;
+  } catch (error) {
+    console.error('Error resuming bulk jobs:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Get a bulk job
+ * @param {number} jobId - Job ID
+ * @returns {Promise<object>} Result with job or error
+ */
+export async function getBulkJob(jobId) {
+  try {
+    const result = await query('SELECT * FROM bulk_lookup_jobs WHERE id = $1', [jobId]);
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'Job not found' };
+    }
+
+    return { success: true, job: formatJob(result.rows[0]) };
+  } catch (error) {
+    console.error('Error getting bulk job:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List bulk jobs with pagination
+ * @param {object} options - Query options (limit, offset)
+ * @returns {Promise<object>} Result with jobs array
+ */
+export async function listBulkJobs(options = {}) {
+  const limit = options.limit || 50;
+  const offset = options.offset || 0;
+
+  try {
+    const result = await query(
+      `SELECT * FROM bulk_lookup_jobs ORDER BY created_at DESC LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return { success: true, jobs: result.rows.map(formatJob), limit, offset };
+  } catch (error) {
+    console.error('Error listing bulk jobs:', error.message);
+    return { success: false, error: error.message, jobs: [] };
+  }
+}
+
+/**
+ * Get the per-IP summary matrix for a job
+ * @param {number} jobId - Job ID
+ * @returns {Promise<object>} Result with rbls (column hosts) and rows
+ */
+export async function getBulkJobMatrix(jobId) {
+  const jobResult = await getBulkJob(jobId);
+  if (!jobResult.success) {
+    return jobResult;
+  }
+
+  try {
+    const result = await query(
+      `SELECT host(ip) as ip, listed_count, error_count, total_checked, statuses, error
+       FROM bulk_lookup_results
+       WHERE job_id = $1
+       ORDER BY ip::inet`,
+      [jobId]
+    );
+
+    const rbls = new Set();
+    for (const row of result.rows) {
+      Object.keys(row.statuses).forEach(host => rbls.add(host));
+    }
+
+    return {
+      success: true,
+      job: jobResult.job,
+      rbls: [...rbls].sort(),
+      rows: result.rows.map(row => ({
+        ip: row.ip,
+        listedCount: row.listed_count,
+        errorCount: row.error_count,
+        totalChecked: row.total_checked,
+        statuses: row.statuses,
+        error: row.error
+      }))
+    };
+  } catch (error) {
+    console.error('Error getting bulk job results:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Escape a value for CSV output
+ */
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a job matrix as CSV (one row per IP, one column per RBL)
+ * @param {object} matrix - Result of getBulkJobMatrix()
+ * @returns {string} CSV text
+ */
+export function matrixToCsv(matrix) {
+  const header = ['ip', 'listed_count', 'error_count', 'total_checked', 'error', ...matrix.rbls];
+  const lines = [header.map(csvValue).join(',')];
+
+  for (const row of matrix.rows) {
+    lines.push([
+      row.ip,
+      row.listedCount,
+      row.errorCount,
+      row.totalChecked,
+      row.error,
+      ...matrix.rbls.map(host => row.statuses[host] || '')
+    ].map(csvValue).join(','));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+export default {
+  bulkJobEvents,
+  expandTargets,
+  createBulkJob,
+  runBulkJob,
+  resumeBulkJobs,
+  getBulkJob,
+  listBulkJobs,
+  getBulkJobMatrix,
+  matrixToCsv
+};
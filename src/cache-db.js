@@ -16,9 +16,13 @@
  * along with this program. If not, see <https://www.gnu.org/licenses/>.
  */
 
+import net from 'net';
 import { query } from './db-postgres.js';
 import { getMemcache } from './memcache.js';
 
+// Maximum TTL for failed lookups (errors and blocked/sentinel answers)
+const ERROR_TTL = 300;
+
 /**
  * Database manager for caching DNS RBL lookup results
  * Two-tier caching: Memcache (L1) -> PostgreSQL (L2)
@@ -41,9 +45,22 @@ class CacheDatabase {
   }
 
   /**
-   * Get cached result for IP and RBL host
+   * Get the rbl_cache column and cast for a lookup target
+   * IP lookups are keyed on the inet "ip" column, domain lookups on "domain"
+   * @param {string} target - IP address or domain
+   * @returns {object} Column name and SQL cast
+   */
+  getTargetColumn(target) {
+    if (net.isIP(target)) {
+      return { column: 'ip', cast: '::inet' };
+    }
+    return { column: 'domain', cast: '' };
+  }
+
+  /**
+   * Get cached result for IP (or domain) and RBL host
    * Two-tier: Check memcache first, then PostgreSQL
-   * @param {string} ip - IP address
+   * @param {string} ip - IP address, or domain for domain RBLs
    * @param {string} rblHost - RBL host
    * @returns {Promise<object|null>} Cached result or null if not found/expired
    */
@@ -67,10 +84,13 @@ class CacheDatabase {
 
     // L2 Cache: Check PostgreSQL (slower ~1-5ms)
     try {
+      const { column, cast } = this.getTargetColumn(ip);
       const result = await query(
-        `SELECT host(ip) as ip, rbl_host, listed, host(response) as response, error, ttl, cached_at, expires_at
+        `SELECT host(ip) as ip, domain, rbl_host, listed, host(response) as response,
+                (SELECT array_agg(host(address)) FROM unnest(responses) AS address) as responses,
+                reason, error, ttl, cached_at, expires_at
          FROM rbl_cache
-         WHERE ip = $1::inet AND rbl_host = $2 AND expires_at > $3`,
+         WHERE ${column} = $1${cast} AND rbl_host = $2 AND expires_at > $3`,
         [ip, rblHost, now]
       );
 
@@ -81,9 +101,12 @@ class CacheDatabase {
       const row = result.rows[0];
       const cacheData = {
         ip: row.ip,
+        domain: row.domain,
         rblHost: row.rbl_host,
         listed: row.listed,
         response: row.response,
+        responses: row.responses,
+        reason: row.reason,
         error: row.error,
         ttl: row.ttl,
         cachedAt: row.cached_at,
@@ -108,15 +131,22 @@ class CacheDatabase {
   /**
    * Cache a DNS lookup result
    * Write to both memcache (L1) and PostgreSQL (L2)
-   * @param {string} ip - IP address
+   * @param {string} ip - IP address, or domain for domain RBLs
    * @param {string} rblHost - RBL host
    * @param {boolean} listed - Whether IP is listed
    * @param {string|null} response - DNS response (IP address if listed)
    * @param {string|null} error - Error message if lookup failed
-   * @param {number} ttl - Time to live in seconds (default 3600)
+   * @param {number} ttl - Time to live in seconds (default 3600, capped at 300 for errors)
+   * @param {string|null} reason - TXT listing reason published by the RBL
+   * @param {string[]|null} responses - Every address answered, for RBLs that answer several
    * @returns {Promise<void>}
    */
-  async cache(ip, rblHost, listed, response = null, error = null, ttl = 3600) {
+  async cache(ip, rblHost, listed, response = null, error = null, ttl = 3600, reason = null, responses = null) {
+    // Errors (including blocked/sentinel answers) are only cached briefly
+    if (error) {
+      ttl = Math.min(ttl, ERROR_TTL);
+    }
+
     const now = Math.floor(Date.now() / 1000);
     const expiresAt = now + ttl;
 
@@ -125,6 +155,8 @@ class CacheDatabase {
       rblHost,
       listed,
       response,
+      responses,
+      reason,
       error,
       ttl,
       cachedAt: now,
@@ -138,17 +170,20 @@ class CacheDatabase {
 
     // Write to PostgreSQL (L2) - persistent storage
     try {
+      const { column, cast } = this.getTargetColumn(ip);
       await query(
-        `INSERT INTO rbl_cache (ip, rbl_host, listed, response, error, ttl, cached_at, expires_at)
-         VALUES ($1::inet, $2, $3, $4::inet, $5, $6, $7, $8)
-         ON CONFLICT(ip, rbl_host) DO UPDATE SET
+        `INSERT INTO rbl_cache (${column}, rbl_host, listed, response, error, ttl, cached_at, expires_at, reason, responses)
+         VALUES ($1${cast}, $2, $3, $4::inet, $5, $6, $7, $8, $9, $10::inet[])
+         ON CONFLICT(${column}, rbl_host) DO UPDATE SET
            listed = EXCLUDED.listed,
            response = EXCLUDED.response,
+           responses = EXCLUDED.responses,
+           reason = EXCLUDED.reason,
            error = EXCLUDED.error,
            ttl = EXCLUDED.ttl,
            cached_at = EXCLUDED.cached_at,
            expires_at = EXCLUDED.expires_at`,
-        [ip, rblHost, listed, response, error, ttl, now, expiresAt]
+        [ip, rblHost, listed, response, error, ttl, now, expiresAt, reason, responses && responses.length > 0 ? responses : null]
       );
     } catch (error) {
       console.error('Error caching result:', error.message);
@@ -186,7 +221,8 @@ class CacheDatabase {
           COUNT(*) FILTER (WHERE expires_at <= $1) as expired,
           COUNT(*) FILTER (WHERE expires_at > $1 AND listed = true) as listed,
           COUNT(*) FILTER (WHERE expires_at > $1 AND listed = false) as not_listed,
-          COUNT(*) FILTER (WHERE expires_at > $1 AND error IS NOT NULL) as errors
+          COUNT(*) FILTER (WHERE expires_at > $1 AND error IS NOT NULL) as errors,
+          COUNT(*) FILTER (WHERE expires_at > $1 AND error IS NOT NULL AND response IS NOT NULL) as blocked
          FROM rbl_cache`,
         [now]
       );
@@ -198,11 +234,12 @@ class CacheDatabase {
         expired: parseInt(row.expired),
         listed: parseInt(row.listed),
         notListed: parseInt(row.not_listed),
-        errors: parseInt(row.errors)
+        errors: parseInt(row.errors),
+        blocked: parseInt(row.blocked)
       };
     } catch (error) {
       console.error('Error getting cache stats:', error.message);
-      return { total: 0, valid: 0, expired: 0, listed: 0, notListed: 0, errors: 0 };
+      return { total: 0, valid: 0, expired: 0, listed: 0, notListed: 0, errors: 0, blocked: 0 };
     }
   }
 
@@ -225,8 +262,8 @@ class CacheDatabase {
   }
 
   /**
-   * Clear cache for specific IP (both memcache and PostgreSQL)
-   * @param {string} ip - IP address
+   * Clear cache for specific IP or domain (both memcache and PostgreSQL)
+   * @param {string} ip - IP address or domain
    * @returns {Promise<number>} Number of deleted entries
    */
   async clearIp(ip) {
@@ -235,7 +272,8 @@ class CacheDatabase {
     // For now, memcache entries will expire naturally
 
     try {
-      const result = await query('DELETE FROM rbl_cache WHERE ip = $1::inet', [ip]);
+      const { column, cast } = this.getTargetColumn(ip);
+      const result = await query(`DELETE FROM rbl_cache WHERE ${column} = $1${cast}`, [ip]);
       return result.rowCount;
     } catch (error) {
       console.error('Error clearing IP cache:', error.message);
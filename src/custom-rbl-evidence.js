@@ -0,0 +1,642 @@
+/**
+ * Multi-RBL Lookup Tool
+ * Copyright (C) 2025 Matthew Asham & Multi-RBL Lookup Contributors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Custom RBL Evidence and Escalation
+ * Stores evidence events (spamtrap hits, abuse reports, ...) submitted for
+ * IPs and applies escalation rules to them: once an IP has enough matching
+ * events within a rule's window, it is listed (or its listing extended) in
+ * the rule's zone for the rule's duration.
+ *
+ * Rules with a repeat window only apply to IPs that were escalated that
+ * recently, so "3 events in an hour lists for a day" and "a repeat offender
+ * within 30 days lists for a week" are two rules. Per zone, the matching rule
+ * with the longest listing wins. Events only count towards a new escalation
+ * if they were submitted after the last one, and allowlisted IPs are never
+ * escalated.
+ */
+
+import { query, getClient } from './db-postgres.js';
+import { isValidIp } from './rbl-lookup-cached.js';
+import {
+  customRblEvents,
+  notifyZoneChange,
+  parseDuration,
+  getCustomRblConfig,
+  getCustomRblZone,
+  checkAllowlist
+} from './custom-rbl-lookup.js';
+
+const MAX_EVENTS = parseInt(process.env.CUSTOM_RBL_EVIDENCE_MAX_EVENTS || '1000', 10);
+const RETENTION_DAYS = parseInt(process.env.CUSTOM_RBL_EVIDENCE_RETENTION_DAYS || '90', 10);
+
+// Evidence may be timestamped this far ahead of our clock
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Rule durations: API field and column
+const RULE_DURATIONS = [['window', 'window_seconds'], ['repeatWithin', 'repeat_within_seconds'], ['listFor', 'list_seconds']];
+
+/**
+ * Format a rule row for API output (durations in seconds)
+ */
+function formatRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    zone: row.zone_name || null,
+    types: row.types,
+    sources: row.sources,
+    minEvents: row.min_events,
+    window: row.window_seconds,
+    repeatWithin: row.repeat_within_seconds,
+    listFor: row.list_seconds,
+    enabled: row.enabled,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Format a duration in seconds with its largest whole unit ("1h", "7d")
+ */
+function formatDuration(seconds) {
+  for (const [unit, size] of [['w', 604800], ['d', 86400], ['h', 3600], ['m', 60]]) {
+    if (seconds % size === 0) {
+      return `${seconds / size}${unit}`;
+    }
+  }
+  return `${seconds}s`;
+}
+
+/**
+ * Validate rule fields and map them to columns
+ * @param {object} rule - { name, zone, types, sources, minEvents, window, repeatWithin, listFor, enabled }
+ * @returns {Promise<object>} { columns } or { error }
+ */
+async function ruleColumns(rule) {
+  const columns = {};
+
+  if (rule.name !== undefined) {
+    if (typeof rule.name !== 'string' || !rule.name.trim() || rule.name.length > 100) {
+      return { error: 'name must be a string of up to 100 characters' };
+    }
+    columns.name = rule.name.trim();
+  }
+
+  // No zone means the default zone
+  if (rule.zone === null) {
+    columns.zone_id = null;
+  } else if (rule.zone !== undefined) {
+    const result = await getCustomRblZone(rule.zone);
+    if (!result.success) {
+      return { error: result.error };
+    }
+    if (result.zone.type !== 'block') {
+      return { error: 'Escalation rules can only list in blocklist zones' };
+    }
+    columns.zone_id = result.zone.id;
+  }
+
+  for (const key of ['types', 'sources']) {
+    if (rule[key] === undefined) {
+      continue;
+    }
+    if (rule[key] !== null && !(Array.isArray(rule[key]) && rule[key].length > 0 && rule[key].every(value => typeof value === 'string' && value))) {
+      return { error: `${key} must be a non-empty array of strings, or null for any` };
+    }
+    columns[key] = rule[key];
+  }
+
+  if (rule.minEvents !== undefined) {
+    if (!Number.isInteger(rule.minEvents) || rule.minEvents < 1) {
+      return { error: 'minEvents must be a positive integer' };
+    }
+    columns.min_events = rule.minEvents;
+  }
+
+  for (const [key, column] of RULE_DURATIONS) {
+    if (rule[key] === undefined) {
+      continue;
+    }
+    if (rule[key] === null && key === 'repeatWithin') {
+      columns[column] = null;
+      continue;
+    }
+    const seconds = parseDuration(rule[key]);
+    if (!seconds) {
+      return { error: `${key} must be a number of seconds or a duration like "1h" or "7d"` };
+    }
+    columns[column] = seconds;
+  }
+
+  if (rule.enabled !== undefined) {
+    if (typeof rule.enabled !== 'boolean') {
+      return { error: 'enabled must be a boolean' };
+    }
+    columns.enabled = rule.enabled;
+  }
+
+  return { columns };
+}
+
+/**
+ * Get an escalation rule
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<object>} Result with rule or error
+ */
+export async function getEscalationRule(ruleId) {
+  try {
+    const result = await query(
+      `SELECT r.*, c.zone_name
+       FROM custom_rbl_escalation_rules r
+       LEFT JOIN custom_rbl_config c ON c.id = r.zone_id
+       WHERE r.id = $1`,
+      [ruleId]
+    );
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'Rule not found' };
+    }
+
+    return { success: true, rule: formatRule(result.rows[0]) };
+  } catch (error) {
+    console.error('Error getting escalation rule:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List all escalation rules, longest listing first
+ * @returns {Promise<object>} Result with rules array
+ */
+export async function listEscalationRules() {
+  try {
+    const result = await query(
+      `SELECT r.*, c.zone_name
+       FROM custom_rbl_escalation_rules r
+       LEFT JOIN custom_rbl_config c ON c.id = r.zone_id
+       ORDER BY r.list_seconds DESC, r.id`
+    );
+    return { success: true, rules: result.rows.map(formatRule) };
+  } catch (error) {
+    console.error('Error listing escalation rules:', error.message);
+    return { success: false, error: error.message, rules: [] };
+  }
+}
+
+/**
+ * Create an escalation rule
+ * @param {object} rule - { name, zone, types, sources, minEvents, window, repeatWithin, listFor, enabled }
+ *   (durations are seconds or e.g. "1h", "7d")
+ * @param {string} createdBy - Identifier of who created it
+ * @returns {Promise<object>} Result with rule or error
+ */
+export async function createEscalationRule(rule, createdBy = 'api') {
+  if (!rule.name || !rule.window || !rule.listFor) {
+    return { success: false, error: 'name, window and listFor are required' };
+  }
+
+  try {
+    const { columns, error } = await ruleColumns(rule);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const keys = [...Object.keys(columns), 'created_by'];
+    const result = await query(
+      `INSERT INTO custom_rbl_escalation_rules (${keys.join(', ')})
+       VALUES (${keys.map((key, index) => `$${index + 1}`).join(', ')})
+       RETURNING id`,
+      [...Object.values(columns), createdBy]
+    );
+
+    return await getEscalationRule(result.rows[0].id);
+  } catch (error) {
+    console.error('Error creating escalation rule:', error.message);
+
+    if (error.code === '23505') {
+      return { success: false, error: 'Rule name already exists' };
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Update an escalation rule
+ * @param {number} ruleId - Rule ID
+ * @param {object} updates - Fields to update (as for createEscalationRule; null
+ *   clears zone, types, sources and repeatWithin)
+ * @returns {Promise<object>} Result with updated rule or error
+ */
+export async function updateEscalationRule(ruleId, updates) {
+  try {
+    const { columns, error } = await ruleColumns(updates);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const keys = Object.keys(columns);
+    if (keys.length === 0) {
+      return { success: false, error: 'No fields to update' };
+    }
+
+    const result = await query(
+      `UPDATE custom_rbl_escalation_rules
+       SET ${keys.map((key, index) => `${key} = $${index + 1}`).join(', ')}
+       WHERE id = $${keys.length + 1}`,
+      [...Object.values(columns), ruleId]
+    );
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'Rule not found' };
+    }
+
+    return await getEscalationRule(ruleId);
+  } catch (error) {
+    console.error('Error updating escalation rule:', error.message);
+
+    if (error.code === '23505') {
+      return { success: false, error: 'Rule name already exists' };
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete an escalation rule (entries it listed stay listed)
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<object>} Result indicating success or failure
+ */
+export async function deleteEscalationRule(ruleId) {
+  try {
+    const result = await query('DELETE FROM custom_rbl_escalation_rules WHERE id = $1 RETURNING id', [ruleId]);
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'Rule not found' };
+    }
+
+    return { success: true, deletedId: ruleId };
+  } catch (error) {
+    console.error('Error deleting escalation rule:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Validate an evidence event
+ * @returns {string|null} Error message or null if valid
+ */
+function validateEvent(event) {
+  if (!event || typeof event !== 'object') {
+    return 'must be an object';
+  }
+  if (typeof event.ip !== 'string' || !isValidIp(event.ip)) {
+    return 'ip must be a valid IPv4 or IPv6 address';
+  }
+  if (typeof event.source !== 'string' || !event.source.trim() || event.source.length > 100) {
+    return 'source is required (up to 100 characters)';
+  }
+  if (typeof event.type !== 'string' || !event.type.trim() || event.type.length > 50) {
+    return 'type is required (up to 50 characters)';
+  }
+  if (event.timestamp !== undefined) {
+    const timestamp = Date.parse(event.timestamp);
+    if (Number.isNaN(timestamp)) {
+      return 'timestamp must be a date';
+    }
+    if (timestamp > Date.now() + MAX_CLOCK_SKEW_MS) {
+      return 'timestamp is in the future';
+    }
+  }
+  return null;
+}
+
+/**
+ * Load the enabled rules with the zone each one lists in
+ * Rules of disabled zones, or without a default zone, are left out.
+ * @returns {Promise<object[]>} Rule rows with zone_id and zone_name set, longest listing first
+ */
+async function loadActiveRules() {
+  const result = await query(
+    `SELECT r.*, c.zone_name, c.enabled AS zone_enabled
+     FROM custom_rbl_escalation_rules r
+     LEFT JOIN custom_rbl_config c ON c.id = r.zone_id
+     WHERE r.enabled = true
+     ORDER BY r.list_seconds DESC, r.id`
+  );
+
+  const defaultZone = result.rows.some(rule => rule.zone_id === null) ? await getCustomRblConfig() : null;
+
+  return result.rows
+    .map(rule => (rule.zone_id === null && defaultZone
+      ? { ...rule, zone_id: defaultZone.id, zone_name: defaultZone.zone_name, zone_enabled: true }
+      : rule))
+    .filter(rule => rule.zone_id !== null && rule.zone_enabled);
+}
+
+/**
+ * Store one evidence event and apply the rules to its IP
+ * Evaluation holds a per-IP lock, so concurrent events for an IP are
+ * escalated one after the other.
+ * @returns {Promise<object>} { id, ip, escalations, allowlisted } plus the entries
+ *   created or changed ({ zoneId, entry, published }) for the caller to announce
+ */
+async function ingestEvent(event, rules, submittedBy) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext(host($1::inet)))', [event.ip]);
+
+    const inserted = await client.query(
+      `INSERT INTO custom_rbl_evidence (ip, source, type, observed_at, submitted_by)
+       VALUES ($1::inet, $2, $3, COALESCE($4::timestamptz, CURRENT_TIMESTAMP), $5)
+       RETURNING id, host(ip) AS ip, observed_at`,
+      [event.ip, event.source.trim(), event.type.trim(), event.timestamp ?? null, submittedBy]
+    );
+    const evidence = inserted.rows[0];
+
+    const allowlisted = await checkAllowlist(evidence.ip);
+    const escalations = [];
+    const changes = [];
+
+    const applicable = allowlisted
+      ? []
+      : rules.filter(rule => (!rule.types || rule.types.includes(event.type.trim()))
+        && (!rule.sources || rule.sources.includes(event.source.trim())));
+    const escalatedZones = new Set();
+
+    for (const rule of applicable) {
+      if (escalatedZones.has(rule.zone_id)) {
+        continue;
+      }
+
+      const existingResult = await client.query(
+        `SELECT id, listed, expires_at, escalated_at,
+                escalated_at > CURRENT_TIMESTAMP - make_interval(secs => $3) AS repeat
+         FROM custom_rbl_entries
+         WHERE zone_id = $1 AND network = $2::inet::cidr
+         ORDER BY id
+         LIMIT 1
+         FOR UPDATE`,
+        [rule.zone_id, evidence.ip, rule.repeat_within_seconds || 0]
+      );
+      const existing = existingResult.rows[0] || null;
+
+      if (rule.repeat_within_seconds && !(existing && existing.repeat)) {
+        continue;
+      }
+
+      // A permanent listing (set by hand) already outlasts any rule; leave its reason alone
+      if (existing && existing.listed && existing.expires_at === null) {
+        continue;
+      }
+
+      // Events submitted since the last escalation count towards the next one
+      const countResult = await client.query(
+        `SELECT COUNT(*) AS total
+         FROM custom_rbl_evidence
+         WHERE ip = $1::inet
+           AND observed_at > CURRENT_TIMESTAMP - make_interval(secs => $2)
+           AND ($3::text[] IS NULL OR type = ANY($3))
+           AND ($4::text[] IS NULL OR source = ANY($4))
+           AND ($5::timestamp IS NULL OR created_at > $5)`,
+        [evidence.ip, rule.window_seconds, rule.types, rule.sources, existing ? existing.escalated_at : null]
+      );
+      const count = parseInt(countResult.rows[0].total);
+
+      if (count < rule.min_events) {
+        continue;
+      }
+
+      const reason = `Auto-listed by rule "${rule.name}": ${count} evidence event(s) within ${formatDuration(rule.window_seconds)}`;
+      let result;
+
+      if (existing) {
+        // Never shorten a listing
+        result = await client.query(
+          `UPDATE custom_rbl_entries
+           SET listed = true,
+               expires_at = CASE
+                 WHEN listed THEN GREATEST(expires_at, CURRENT_TIMESTAMP + make_interval(secs => $2))
+                 ELSE CURRENT_TIMESTAMP + make_interval(secs => $2)
+               END,
+               reason = $3, delisted_at = NULL, delisted_by = NULL,
+               escalated_at = CURRENT_TIMESTAMP, escalations = escalations + 1
+           WHERE id = $1
+           RETURNING id, network::text, reason, expires_at, escalations, created_at`,
+          [existing.id, rule.list_seconds, reason]
+        );
+      } else {
+        result = await client.query(
+          `INSERT INTO custom_rbl_entries
+             (zone_id, network, reason, added_by, listed, expires_at, escalated_at, escalations)
+           VALUES ($1, $2::inet::cidr, $3, 'escalation', true,
+                   CURRENT_TIMESTAMP + make_interval(secs => $4), CURRENT_TIMESTAMP, 1)
+           RETURNING id, network::text, reason, expires_at, escalations, created_at`,
+          [rule.zone_id, evidence.ip, reason, rule.list_seconds]
+        );
+      }
+
+      const entry = result.rows[0];
+      escalatedZones.add(rule.zone_id);
+      escalations.push({
+        rule: rule.name,
+        zone: rule.zone_name,
+        entryId: entry.id,
+        network: entry.network,
+        action: !existing ? 'listed' : (existing.listed ? 'extended' : 'relisted'),
+        events: count,
+        expiresAt: entry.expires_at
+      });
+      changes.push({
+        zoneId: rule.zone_id,
+        published: !existing || !existing.listed, // Added or relisted
+        entry: { ...entry, zone: rule.zone_name }
+      });
+    }
+
+    await client.query('COMMIT');
+
+    return {
+      id: evidence.id,
+      ip: evidence.ip,
+      observedAt: evidence.observed_at,
+      allowlisted: allowlisted ? allowlisted.zone : null,
+      escalations,
+      changes
+    };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record evidence events and escalate IPs according to the rules
+ * @param {object[]} events - Events: { ip, source, type, timestamp } (timestamp defaults to now)
+ * @param {string} submittedBy - Identifier of who submitted them
+ * @returns {Promise<object>} Result with one { id, ip, observedAt, allowlisted, escalations }
+ *   per event, or an error naming the first invalid event (nothing is recorded then).
+ *   Each event is committed on its own, so a database error partway returns the
+ *   error together with the events recorded before it (events is only set then).
+ */
+export async function recordEvidence(events, submittedBy = 'api') {
+  if (!Array.isArray(events) || events.length === 0) {
+    return { success: false, error: 'At least one event is required' };
+  }
+
+  if (events.length > MAX_EVENTS) {
+    return { success: false, error: `Too many events (${events.length}, limit ${MAX_EVENTS})` };
+  }
+
+  for (const [index, event] of events.entries()) {
+    const validationError = validateEvent(event);
+    if (validationError) {
+      return { success: false, error: `events[${index}]: ${validationError}` };
+    }
+  }
+
+  const recorded = [];
+  const summarize = () => ({
+    recorded: recorded.length,
+    escalated: recorded.filter(event => event.escalations.length > 0).length,
+    events: recorded
+  });
+
+  try {
+    const rules = await loadActiveRules();
+
+    for (const event of events) {
+      const { changes, ...result } = await ingestEvent(event, rules, submittedBy);
+      recorded.push(result);
+
+      for (const change of changes) {
+        if (change.published) {
+          customRblEvents.emit('entry_added', {
+            id: change.entry.id,
+            zone: change.entry.zone,
+            network: change.entry.network,
+            reason: change.entry.reason,
+            trust: null,
+            expiresAt: change.entry.expires_at,
+            addedBy: 'escalation',
+            createdAt: change.entry.created_at
+          });
+        }
+        await notifyZoneChange(change.zoneId);
+      }
+    }
+
+    return { success: true, ...summarize() };
+  } catch (error) {
+    console.error('Error recording custom RBL evidence:', error.message);
+    return { success: false, error: error.message, ...summarize() };
+  }
+}
+
+/**
+ * List evidence events, newest first
+ * @param {object} options - Query options (ip - an address or CIDR range, limit, offset)
+ * @returns {Promise<object>} Result with evidence array
+ */
+export async function listEvidence(options = {}) {
+  const limit = options.limit || 100;
+  const offset = options.offset || 0;
+  const values = [];
+  let whereClause = '';
+
+  if (options.ip) {
+    values.push(options.ip);
+    whereClause = `WHERE ip <<= $1::inet`;
+  }
+
+  try {
+    const result = await query(
+      `SELECT id, host(ip) AS ip, source, type, observed_at, submitted_by, created_at
+       FROM custom_rbl_evidence
+       ${whereClause}
+       ORDER BY observed_at DESC, id DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    return {
+      success: true,
+      evidence: result.rows.map(row => ({
+        id: row.id,
+        ip: row.ip,
+        source: row.source,
+        type: row.type,
+        observedAt: row.observed_at,
+        submittedBy: row.submitted_by,
+        createdAt: row.created_at
+      })),
+      limit,
+      offset
+    };
+  } catch (error) {
+    console.error('Error listing custom RBL evidence:', error.message);
+
+    if (error.code === '22P02') {
+      return { success: false, error: 'Invalid IP or CIDR', evidence: [] };
+    }
+
+    return { success: false, error: error.message, evidence: [] };
+  }
+}
+
+/**
+ * Delete evidence older than the retention period
+ * Keep it longer than the longest repeat window, or repeat offenders lose
+ * their history.
+ * @param {number} retentionDays - Days to keep (0 keeps evidence forever)
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export async function pruneEvidence(retentionDays = RETENTION_DAYS) {
+  if (!retentionDays || retentionDays <= 0) {
+    return 0;
+  }
+
+  try {
+    const result = await query(
+      'DELETE FROM custom_rbl_evidence WHERE observed_at < CURRENT_TIMESTAMP - make_interval(days => $1)',
+      [retentionDays]
+    );
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error pruning custom RBL evidence:', error.message);
+    return 0;
+  }
+}
+
+export default {
+  getEscalationRule,
+  listEscalationRules,
+  createEscalationRule,
+  updateEscalationRule,
+  deleteEscalationRule,
+  recordEvidence,
+  listEvidence,
+  pruneEvidence
+};
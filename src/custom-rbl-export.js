@@ -0,0 +1,221 @@
+/**
+ * Multi-RBL Lookup Tool
+ * Copyright (C) 2025 Matthew Asham & Multi-RBL Lookup Contributors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Custom RBL Export
+ * Renders the listed entries of a custom RBL zone for other DNS software:
+ *   ip4set  - rbldnsd ip4set data file (IPv4 entries)
+ *   ip6trie - rbldnsd ip6trie data file (IPv6 entries)
+ *   bind    - BIND zone file, wildcard records or one name per address
+ *   cidr    - Plain CIDR list, one network per line
+ * Exports contain no timestamps, so an unchanged list exports identically.
+ */
+
+import { query } from './db-postgres.js';
+import { getCustomRblConfig, getEntryAnswer } from './custom-rbl-lookup.js';
+import { buildZoneRecords } from './custom-rbl-zone.js';
+
+export const EXPORT_FORMATS = ['ip4set', 'ip6trie', 'bind', 'cidr'];
+
+// Largest number of addresses a BIND export expands to single names
+const MAX_EXPANDED_ADDRESSES = parseInt(process.env.CUSTOM_RBL_EXPORT_MAX_EXPANDED || '65536', 10);
+
+const TEST_POINT_REASON = 'Test point (RFC 5782)';
+const LISTING_TTL = 3600;
+
+const CONTENT_TYPES = {
+  ip4set: 'text/plain',
+  ip6trie: 'text/plain',
+  bind: 'text/dns',
+  cidr: 'text/plain'
+};
+
+/**
+ * Keep a reason on one line (rbldnsd reads one entry per line; the rest of
+ * the line after ":<return code>:" is the TXT record)
+ */
+function rbldnsdText(text) {
+  return text.replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Quote text as BIND TXT character-strings (255 bytes each)
+ */
+function bindText(text) {
+  const escaped = [];
+  for (let i = 0; i < text.length; i += 255) {
+    escaped.push(`"${text.substring(i, i + 255).replace(/[\\"]/g, '\\$&').replace(/[\r\n]+/g, ' ')}"`);
+  }
+  return escaped.join(' ');
+}
+
+/**
+ * Render an rbldnsd data file (ip4set or ip6trie)
+ * The default value line gives entries with the default answer the standard
+ * TXT; other entries (return codes, allowlist trust levels, reasons) carry
+ * their own value. rbldnsd replaces "$" in a TXT with the queried address,
+ * so that is what a template's $ip becomes.
+ */
+function renderRbldnsd(format, config, entries) {
+  const ipv6 = format === 'ip6trie';
+  const fallback = getEntryAnswer(config, {}, '$');
+  const lines = [
+    `# ${config.zone_name} ${format} (serial ${config.serial})`,
+    `$TTL ${LISTING_TTL}`,
+    `:${fallback.response}:${rbldnsdText(fallback.txt)}`,
+    ipv6 ? `::ffff:7f00:2 :127.0.0.2:${TEST_POINT_REASON}` : `127.0.0.2 :127.0.0.2:${TEST_POINT_REASON}`
+  ];
+
+  for (const entry of entries) {
+    if (entry.network.includes(':') !== ipv6) {
+      continue;
+    }
+    const { response, txt } = getEntryAnswer(config, entry, '$');
+    lines.push(response === fallback.response && txt === fallback.txt
+      ? entry.network
+      : `${entry.network} :${response}:${rbldnsdText(txt)}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Expand IPv4 entries into one record pair per address
+ * Longer prefixes are applied last, so the longest matching entry's answer
+ * wins. TXT templates are rendered for each address.
+ */
+function expandRecords(config, entries) {
+  const ipv4 = entries
+    .filter(entry => !entry.network.includes(':'))
+    .map(entry => {
+      const [address, length] = entry.network.split('/');
+      const prefix = parseInt(length || '32', 10);
+      const start = address.split('.').reduce((number, octet) => number * 256 + parseInt(octet, 10), 0);
+      return { start, size: 2 ** (32 - prefix), prefix, entry };
+    })
+    .sort((a, b) => a.prefix - b.prefix);
+
+  const total = ipv4.reduce((sum, entry) => sum + entry.size, 0);
+  if (total > MAX_EXPANDED_ADDRESSES) {
+    throw new Error(`Too many addresses to expand (${total}, limit ${MAX_EXPANDED_ADDRESSES}) - use wildcard records`);
+  }
+
+  const names = new Map();
+  for (const block of ipv4) {
+    for (let number = block.start; number < block.start + block.size; number++) {
+      names.set(number, block.entry);
+    }
+  }
+
+  const records = [];
+  for (const number of [...names.keys()].sort((a, b) => a - b)) {
+    const octets = [24, 16, 8, 0].map(shift => Math.floor(number / 2 ** shift) % 256);
+    const { response, txt } = getEntryAnswer(config, names.get(number), octets.join('.'));
+    const name = octets.reverse().join('.');
+    records.push({ name, type: 'A', data: response }, { name, type: 'TXT', data: txt });
+  }
+  return records;
+}
+
+/**
+ * Render a BIND zone file
+ * SOA and NS come from the same settings the DNS server uses (DNS_NS,
+ * DNS_HOSTMASTER, DNS_NEGATIVE_TTL).
+ */
+function renderBind(config, entries, expand) {
+  const zone = config.zone_name;
+  const nameservers = (process.env.DNS_NS || `ns1.${zone}`).split(',').map(ns => ns.trim()).filter(Boolean);
+  const hostmaster = (process.env.DNS_HOSTMASTER || `hostmaster.${zone}`).replace('@', '.');
+  const negativeTtl = parseInt(process.env.DNS_NEGATIVE_TTL || '300', 10);
+
+  const records = expand
+    ? expandRecords(config, entries)
+    : [...buildZoneRecords(
+      new Map(entries.map(entry => [entry.id, { network: entry.network, ...getEntryAnswer(config, entry) }])),
+      config.return_code
+    ).values()];
+
+  const lines = [
+    `$ORIGIN ${zone}.`,
+    `$TTL ${LISTING_TTL}`,
+    `@ IN SOA ${nameservers[0]}. ${hostmaster}. ( ${config.serial} 3600 600 604800 ${negativeTtl} )`,
+    ...nameservers.map(ns => `@ IN NS ${ns}.`),
+    `2.0.0.127 IN A 127.0.0.2`,
+    `2.0.0.127 IN TXT ${bindText(TEST_POINT_REASON)}`,
+    ...records.map(record => (record.type === 'A'
+      ? `${record.name} IN A ${record.data}`
+      : `${record.name} IN TXT ${bindText(record.data)}`))
+  ];
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Export the listed entries of a custom RBL zone
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {object} options - Options (zone - zone name, default zone if not given;
+ *   expand - BIND: one name per address instead of wildcards)
+ * @returns {Promise<object>} Result with content, contentType and filename
+ */
+export async function exportCustomRbl(format, options = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { success: false, error: `Unknown format "${format}" (use ${EXPORT_FORMATS.join(', ')})` };
+  }
+
+  try {
+    const config = await getCustomRblConfig(options.zone || null);
+    if (!config) {
+      return { success: false, error: options.zone ? 'Zone not found' : 'Custom RBL not configured' };
+    }
+
+    const result = await query(
+      `SELECT id, network::text, reason, trust, return_code, category, COALESCE(listed_at, created_at) AS listed_at
+       FROM custom_rbl_entries WHERE zone_id = $1 AND listed = true ORDER BY network`,
+      [config.id]
+    );
+    const entries = result.rows;
+
+    let content;
+    if (format === 'bind') {
+      content = renderBind(config, entries, options.expand === true);
+    } else if (format === 'cidr') {
+      content = entries.map(entry => `${entry.network}\n`).join('');
+    } else {
+      content = renderRbldnsd(format, config, entries);
+    }
+
+    return {
+      success: true,
+      format,
+      zone: config.zone_name,
+      serial: Number(config.serial),
+      entries: entries.length,
+      content,
+      contentType: CONTENT_TYPES[format],
+      filename: `${config.zone_name}.${format === 'bind' ? 'zone' : format}`
+    };
+  } catch (error) {
+    console.error('Error exporting custom RBL:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+export default {
+  EXPORT_FORMATS,
+  exportCustomRbl
+};
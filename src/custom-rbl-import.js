@@ -0,0 +1,305 @@
+/**
+ * Multi-RBL Lookup Tool
+ * Copyright (C) 2025 Matthew Asham & Multi-RBL Lookup Contributors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Custom RBL Bulk Import
+ * Parses blocklists and adds them to a custom RBL zone in one transaction:
+ *   cidr    - One IP or CIDR per line; "# text" or "; text" after it is the reason
+ *   csv     - network,reason columns (a header row may name them)
+ *   rbldnsd - ip4set/ip4trie/ip6trie data files; the TXT value is the reason
+ * Lists come from the request body or a remote feed URL. Lines that can't
+ * be imported are reported with their line number and don't stop the rest.
+ */
+
+import { isValidCidr } from './ip-network-utils.js';
+import { addCustomRblEntries } from './custom-rbl-lookup.js';
+
+export const IMPORT_FORMATS = ['cidr', 'csv', 'rbldnsd'];
+
+const MAX_ENTRIES = parseInt(process.env.CUSTOM_RBL_IMPORT_MAX_ENTRIES || '100000', 10);
+const FEED_TIMEOUT = parseInt(process.env.CUSTOM_RBL_IMPORT_FEED_TIMEOUT || '30000', 10);
+
+const NETWORK_COLUMNS = ['network', 'cidr', 'ip', 'address', 'prefix'];
+const REASON_COLUMNS = ['reason', 'description', 'comment'];
+
+/**
+ * Normalize an IP or CIDR (bare addresses become /32 or /128)
+ * @returns {string|null} CIDR, or null if invalid
+ */
+function toCidr(value) {
+  const cidr = value.includes('/') ? value : `${value}${value.includes(':') ? '/128' : '/32'}`;
+  return isValidCidr(cidr) ? cidr : null;
+}
+
+/**
+ * Split a CSV line into fields ("" escapes a quote inside a quoted field)
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted && char === '"' && line[i + 1] === '"') {
+      field += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+
+  return fields;
+}
+
+/**
+ * Parse one line of a plain CIDR list
+ */
+function parseCidrLine(line) {
+  const [, value, comment] = line.match(/^([^#;]*)[#;]?(.*)$/);
+  const network = toCidr(value.trim());
+
+  if (!network) {
+    return { error: 'Invalid IP or CIDR' };
+  }
+  return { network, reason: comment.trim() || null };
+}
+
+/**
+ * Parse an rbldnsd network: CIDR, bare address or abbreviated IPv4 prefix
+ * ("10.1" is 10.1.0.0/16). Ranges are not supported.
+ */
+function parseRbldnsdNetwork(value) {
+  if (value.includes('-')) {
+    return null;
+  }
+
+  if (/^\d{1,3}(\.\d{1,3}){0,2}$/.test(value)) {
+    const octets = value.split('.');
+    const padded = [...octets, '0', '0', '0'].slice(0, 4).join('.');
+    return toCidr(`${padded}/${octets.length * 8}`);
+  }
+
+  return toCidr(value);
+}
+
+/**
+ * Get the TXT part of an rbldnsd ":A:TXT" value
+ */
+function rbldnsdText(value) {
+  const match = value.match(/^:[^:]*:(.*)$/);
+  return match && match[1].trim() ? match[1].trim() : null;
+}
+
+/**
+ * Parse a blocklist into entries
+ * @param {string} format - One of IMPORT_FORMATS
+ * @param {string} content - List contents
+ * @param {string|null} defaultReason - Reason for entries that don't have one
+ * @returns {object} { entries: [{ line, network, reason }], errors: [{ line, text, error }] }
+ */
+export function parseImport(format, content, defaultReason = null) {
+  const entries = [];
+  const errors = [];
+  const lines = content.split(/\r?\n/);
+
+  let csvColumns = null;
+  let rbldnsdDefault = null;
+
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    const lineNumber = index + 1;
+
+    if (!line || line.startsWith('#') || (format !== 'csv' && line.startsWith(';'))) {
+      return;
+    }
+
+    let parsed;
+
+    if (format === 'csv') {
+      const fields = parseCsvLine(line);
+
+      // A header row names the columns
+      if (!csvColumns) {
+        const names = fields.map(field => field.toLowerCase());
+        const networkColumn = names.findIndex(name => NETWORK_COLUMNS.includes(name));
+        csvColumns = networkColumn >= 0
+          ? { network: networkColumn, reason: names.findIndex(name => REASON_COLUMNS.includes(name)), header: true }
+          : { network: 0, reason: 1, header: false };
+        if (csvColumns.header) {
+          return;
+        }
+      }
+
+      const network = toCidr(fields[csvColumns.network] || '');
+      parsed = network
+        ? { network, reason: (csvColumns.reason >= 0 && fields[csvColumns.reason]) || null }
+        : { error: 'Invalid IP or CIDR' };
+    } else if (format === 'rbldnsd') {
+      // $SOA/$NS/$TTL directives don't apply to entries
+      if (line.startsWith('$')) {
+        return;
+      }
+
+      // ":A:TXT" sets the value of entries without one
+      if (line.startsWith(':')) {
+        rbldnsdDefault = rbldnsdText(line);
+        return;
+      }
+
+      if (line.startsWith('!')) {
+        parsed = { error: 'Exclusions are not supported' };
+      } else {
+        const [value, ...rest] = line.split(/\s+/);
+        const network = parseRbldnsdNetwork(value);
+        parsed = network
+          ? { network, reason: rbldnsdText(rest.join(' ')) || rbldnsdDefault }
+          : { error: value.includes('-') ? 'Address ranges are not supported' : 'Invalid IP or CIDR' };
+      }
+    } else {
+      parsed = parseCidrLine(line);
+    }
+
+    if (parsed.error) {
+      errors.push({ line: lineNumber, text: line.substring(0, 200), error: parsed.error });
+    } else {
+      entries.push({ line: lineNumber, network: parsed.network, reason: parsed.reason || defaultReason });
+    }
+  });
+
+  return { entries, errors };
+}
+
+/**
+ * Download a remote blocklist feed
+ * @param {string} url - http(s) URL
+ * @param {number} maxBytes - Largest accepted feed
+ * @returns {Promise<string>} Feed contents
+ */
+export async function fetchImportFeed(url, maxBytes) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch {
+    throw new Error('Invalid feed URL');
+  }
+
+  if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+    throw new Error('Feed URL must be http or https');
+  }
+
+  const controller = new AbortController();
+  const signal = AbortSignal.any([controller.signal, AbortSignal.timeout(FEED_TIMEOUT)]);
+  const tooLarge = () => {
+    controller.abort();
+    return new Error(`Feed is larger than ${maxBytes} bytes`);
+  };
+
+  const response = await fetch(parsedUrl, { signal });
+  if (!response.ok) {
+    controller.abort();
+    throw new Error(`Feed returned HTTP ${response.status}`);
+  }
+
+  // Refuse announced oversize feeds up front, then stop reading once the limit is passed
+  const contentLength = parseInt(response.headers.get('content-length'), 10);
+  if (contentLength > maxBytes) {
+    throw tooLarge();
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw tooLarge();
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Import a blocklist into a custom RBL zone
+ * @param {object} options - { zone, format, content | url, reason, category, dryRun, addedBy, maxBytes }
+ *   (zone defaults to the default zone; category applies to every entry)
+ * @returns {Promise<object>} Import report: counts, added/existing/duplicates and per-line errors
+ */
+export async function importCustomRbl(options) {
+  const { format, reason = null, dryRun = false, addedBy = 'api' } = options;
+
+  if (!IMPORT_FORMATS.includes(format)) {
+    return { success: false, error: `Unknown format "${format}" (use ${IMPORT_FORMATS.join(', ')})` };
+  }
+
+  let content = options.content;
+  if (typeof content !== 'string' || !content.trim()) {
+    if (!options.url) {
+      return { success: false, error: 'A list (request body) or feed "url" is required' };
+    }
+    try {
+      content = await fetchImportFeed(options.url, options.maxBytes || 10 * 1024 * 1024);
+    } catch (error) {
+      return { success: false, error: `Feed download failed: ${error.name === 'TimeoutError' ? 'timed out' : error.message}` };
+    }
+  }
+
+  const { entries, errors } = parseImport(format, content, reason);
+
+  if (entries.length > MAX_ENTRIES) {
+    return { success: false, error: `Too many entries (${entries.length}, limit ${MAX_ENTRIES})` };
+  }
+
+  const result = await addCustomRblEntries(entries, addedBy, { zone: options.zone, category: options.category, dryRun });
+  if (!result.success) {
+    return result;
+  }
+
+  return {
+    success: true,
+    dryRun: result.dryRun,
+    zone: result.zone,
+    format,
+    source: options.url && !options.content ? options.url : 'body',
+    counts: {
+      parsed: entries.length,
+      added: result.added.length,
+      existing: result.existing.length,
+      duplicates: result.duplicates.length,
+      errors: errors.length
+    },
+    added: result.added,
+    existing: result.existing,
+    duplicates: result.duplicates,
+    errors
+  };
+}
+
+export default {
+  IMPORT_FORMATS,
+  parseImport,
+  fetchImportFeed,
+  importCustomRbl
+};
@@ -18,26 +18,449 @@
 
 /**
  * Custom RBL Lookup Implementation
- * Checks if an IP address is in the custom blocklist using PostgreSQL CIDR matching
+ * Checks if an IP address is in a custom blocklist using PostgreSQL CIDR matching
+ *
+ * There can be several custom RBL zones, each with its own entries,
+ * description and return code. Functions that take an optional zone name
+ * use the default zone (the first enabled blocklist) when it is not given.
+ *
+ * Allowlist zones (type "allow") are DNSWL-style: they answer
+ * 127.0.<category>.<trust>, where the category is the third octet of the
+ * zone's return code and the trust level is set per entry. An allowlisted
+ * address overrides blocklist verdicts (see checkAllowlist()).
+ *
+ * Blocklist entries answer the zone's return code unless they have their own,
+ * directly or through a category the zone maps to a return code (e.g.
+ * "dynamic" -> 127.0.0.3). A zone's TXT template turns the reason into the
+ * TXT record, with $ip, $network, $reason, $listed_since, $removal_url,
+ * $category and $zone filled in (see getEntryAnswer()).
  */
 
-import { query } from './db-postgres.js';
+import { EventEmitter } from 'events';
+import { query, getClient } from './db-postgres.js';
+
+// PostgreSQL NOTIFY channel for zone changes
+// (payload: JSON { type: "entries" | "config", zone, serial })
+const ZONE_CHANNEL = 'custom_rbl_changed';
+
+const ZONE_COLUMNS = 'id, zone_name, description, enabled, serial, return_code, type, categories, txt_template, removal_url';
+
+export const ZONE_TYPES = ['block', 'allow'];
+
+// DNSWL trust levels, by the last octet of an allowlist answer
+export const TRUST_LEVELS = ['none', 'low', 'medium', 'high'];
+
+// Allowlist entries without a trust level are highly trusted
+const DEFAULT_TRUST = 3;
+
+const DEFAULT_RETURN_CODES = {
+  block: '127.0.0.2',
+  allow: '127.0.20.0'
+};
+
+const DEFAULT_REASONS = {
+  block: 'Listed in custom blocklist',
+  allow: 'Listed in custom allowlist'
+};
+
+// Seconds between expiry sweeps (0 disables the sweeper)
+const EXPIRY_SWEEP_SECONDS = parseInt(process.env.CUSTOM_RBL_EXPIRY_SWEEP_SECONDS || '60', 10);
+
+// Most recent evidence events shown with an entry
+const EVIDENCE_CHAIN_LIMIT = parseInt(process.env.CUSTOM_RBL_EVIDENCE_CHAIN || '10', 10);
+
+// Durations: seconds, or a number with a unit ("30m", "24h", "7d", "2w")
+const TTL_PATTERN = /^(\d+)\s*([smhdw]?)$/i;
+const TTL_UNITS = { '': 1, s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// Zone names are DNS names: dot-separated labels of letters, digits and hyphens
+const ZONE_NAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+
+// Return codes are 127.0.0.0/8 addresses; 127.0.0.1 means "not listed" (RFC 5782)
+const RETURN_CODE_PATTERN = /^127\.(25[0-5]|2[0-4]\d|1?\d?\d)\.(25[0-5]|2[0-4]\d|1?\d?\d)\.(25[0-5]|2[0-4]\d|1?\d?\d)$/;
+
+const CATEGORY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+// TXT template placeholders; anything else starting with "$" is left as is
+const TEMPLATE_PLACEHOLDER = /\$(ip|network|reason|listed_since|removal_url|category|zone)\b/g;
+const MAX_TEMPLATE_LENGTH = 1000;
+
+// Emits "entry_added" (entry), "entry_removed" ({ id, network, zone }) and
+// "entry_expired" ({ id, zone, network, reason, expiresAt }) events, and, for
+// changes made by any process once watchCustomRblZone() has been called,
+// "zone_changed" ({ zone, serial }) when a zone's entries change and
+// "config_changed" ({ zone }) when zones are created, updated or deleted
+export const customRblEvents = new EventEmitter();
+
+let watching = false;
+let resyncAfterListen = false; // Changes may have been missed while reconnecting
+let sweeperTimer = null;
 
 /**
- * Get custom RBL configuration
- * @returns {Promise<object|null>} Configuration object or null if not configured
+ * Tell every process watching the zones that a zone changed
+ * @param {number} zoneId - Zone ID
+ * @param {string} type - "entries" or "config"
  */
-export async function getCustomRblConfig() {
+export async function notifyZoneChange(zoneId, type = 'entries') {
   try {
-    const result = await query(
-      'SELECT zone_name, description, enabled FROM custom_rbl_config WHERE enabled = true LIMIT 1'
+    await query(
+      `SELECT pg_notify('${ZONE_CHANNEL}', json_build_object('type', $2::text, 'zone', zone_name, 'serial', serial)::text)
+       FROM custom_rbl_config WHERE id = $1`,
+      [zoneId, type]
+    );
+  } catch (error) {
+    console.error('Error sending custom RBL change notification:', error.message);
+  }
+}
+
+/**
+ * Find a zone by name, or the default zone (first enabled blocklist)
+ * @param {string|null} zoneName - Zone name, or null for the default zone
+ * @param {boolean} enabledOnly - Only find enabled zones
+ * @returns {Promise<object|null>} Zone row or null
+ */
+async function findZone(zoneName, enabledOnly = false) {
+  const result = zoneName
+    ? await query(
+      `SELECT ${ZONE_COLUMNS} FROM custom_rbl_config
+       WHERE zone_name = lower($1)${enabledOnly ? ' AND enabled = true' : ''}`,
+      [zoneName]
+    )
+    : await query(
+      `SELECT ${ZONE_COLUMNS} FROM custom_rbl_config WHERE enabled = true AND type = 'block' ORDER BY id LIMIT 1`
     );
 
-    if (result.rows.length === 0) {
-      return null;
+  return result.rows[0] || null;
+}
+
+/**
+ * Error for a zone that findZone() didn't find
+ */
+function zoneNotFound(zoneName) {
+  return { success: false, error: zoneName ? 'Zone not found' : 'Custom RBL not configured' };
+}
+
+/**
+ * Validate zone fields
+ * @param {object} zone - Zone fields
+ * @param {string} type - Zone type ("block" or "allow")
+ * @returns {string|null} Error message or null if valid
+ */
+function validateZone(zone, type) {
+  if (zone.zoneName !== undefined && (typeof zone.zoneName !== 'string' || !ZONE_NAME_PATTERN.test(zone.zoneName.toLowerCase()))) {
+    return 'Invalid zone name';
+  }
+
+  if (!ZONE_TYPES.includes(type)) {
+    return `type must be one of ${ZONE_TYPES.join(', ')}`;
+  }
+
+  // The last octet of an allowlist answer is the trust level, and 127.0.0.x
+  // answers are reserved for blocklists (RFC 5782)
+  if (zone.returnCode !== undefined && type === 'allow'
+      && (!RETURN_CODE_PATTERN.test(zone.returnCode) || zone.returnCode.startsWith('127.0.0.') || !zone.returnCode.endsWith('.0'))) {
+    return 'returnCode of an allowlist must be 127.0.<category>.0 with a category other than 0';
+  }
+
+  if (zone.returnCode !== undefined && type === 'block' && !isBlockReturnCode(zone.returnCode)) {
+    return 'returnCode must be a 127.0.0.0/8 address other than 127.0.0.1';
+  }
+
+  if (zone.enabled !== undefined && typeof zone.enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+
+  if (zone.categories !== undefined && zone.categories !== null) {
+    if (type !== 'block') {
+      return 'categories only apply to blocklist zones';
+    }
+    if (typeof zone.categories !== 'object' || Array.isArray(zone.categories)) {
+      return 'categories must map category names to return codes';
+    }
+    for (const [category, returnCode] of Object.entries(zone.categories)) {
+      if (!CATEGORY_PATTERN.test(category)) {
+        return `Invalid category name "${category}" (lowercase letters, digits, "-" and "_")`;
+      }
+      if (!isBlockReturnCode(returnCode)) {
+        return `Return code of category "${category}" must be a 127.0.0.0/8 address other than 127.0.0.1`;
+      }
+    }
+  }
+
+  if (zone.txtTemplate !== undefined && zone.txtTemplate !== null
+      && (typeof zone.txtTemplate !== 'string' || !zone.txtTemplate.trim() || zone.txtTemplate.length > MAX_TEMPLATE_LENGTH)) {
+    return `txtTemplate must be a string of up to ${MAX_TEMPLATE_LENGTH} characters`;
+  }
+
+  if (zone.removalUrl !== undefined && zone.removalUrl !== null && !isHttpUrl(zone.removalUrl)) {
+    return 'removalUrl must be an http or https URL';
+  }
+
+  return null;
+}
+
+/**
+ * Whether a value is a blocklist return code (127.0.0.0/8, not 127.0.0.1)
+ */
+function isBlockReturnCode(value) {
+  return typeof value === 'string' && RETURN_CODE_PATTERN.test(value) && value !== '127.0.0.1';
+}
+
+/**
+ * Whether a value is an http(s) URL
+ */
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate the answer and expiry fields of an entry
+ * @param {object} fields - { trust, expiresAt, returnCode, category } (null clears them)
+ * @param {object} zone - Zone the entry belongs to
+ * @returns {string|null} Error message or null if valid
+ */
+function validateEntryFields(fields, zone) {
+  if (fields.trust !== undefined && fields.trust !== null) {
+    if (zone.type !== 'allow') {
+      return 'trust only applies to allowlist zones';
+    }
+    if (!Number.isInteger(fields.trust) || fields.trust < 0 || fields.trust >= TRUST_LEVELS.length) {
+      return `trust must be 0-${TRUST_LEVELS.length - 1} or one of ${TRUST_LEVELS.join(', ')}`;
+    }
+  }
+
+  if (fields.expiresAt !== undefined && fields.expiresAt !== null) {
+    const expires = Date.parse(fields.expiresAt);
+    if (Number.isNaN(expires)) {
+      return 'expiresAt must be a date';
+    }
+    if (expires <= Date.now()) {
+      return 'expiresAt must be in the future';
+    }
+  }
+
+  if (fields.returnCode !== undefined && fields.returnCode !== null) {
+    if (zone.type !== 'block') {
+      return 'returnCode only applies to blocklist entries';
+    }
+    if (!isBlockReturnCode(fields.returnCode)) {
+      return 'returnCode must be a 127.0.0.0/8 address other than 127.0.0.1';
+    }
+  }
+
+  if (fields.category !== undefined && fields.category !== null
+      && !(zone.categories && Object.hasOwn(zone.categories, fields.category))) {
+    const categories = Object.keys(zone.categories || {});
+    return categories.length > 0
+      ? `category must be one of ${categories.join(', ')}`
+      : `Zone ${zone.zone_name} has no categories`;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a duration given in seconds or as e.g. "30m", "24h", "7d", "2w"
+ * @returns {number|null} Seconds, or null if invalid or not positive
+ */
+export function parseDuration(value) {
+  const match = String(value).trim().match(TTL_PATTERN);
+  const seconds = match ? parseInt(match[1], 10) * TTL_UNITS[match[2].toLowerCase()] : 0;
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Turn a ttl into an expiry date
+ * @param {object} fields - { ttl, expiresAt } - ttl is seconds or e.g. "24h", "7d"
+ * @returns {object} { expiresAt } (undefined if neither is given), or { error }
+ */
+function resolveExpiry(fields) {
+  if (fields.ttl === undefined || fields.ttl === null) {
+    return { expiresAt: fields.expiresAt };
+  }
+
+  if (fields.expiresAt !== undefined) {
+    return { error: 'Use either ttl or expiresAt, not both' };
+  }
+
+  const seconds = parseDuration(fields.ttl);
+  if (!seconds) {
+    return { error: 'ttl must be a number of seconds or a duration like "24h" or "7d"' };
+  }
+
+  return { expiresAt: new Date(Date.now() + seconds * 1000).toISOString() };
+}
+
+/**
+ * Parse a trust level given by name ("high") or number
+ * @returns {*} Trust level; anything else is returned as is, for validation
+ */
+export function parseTrust(value) {
+  if (typeof value === 'string' && TRUST_LEVELS.includes(value.toLowerCase())) {
+    return TRUST_LEVELS.indexOf(value.toLowerCase());
+  }
+  return value;
+}
+
+/**
+ * Get the most recent evidence events for addresses in each entry's network
+ * @param {number[]} entryIds - Entry IDs
+ * @returns {Promise<Map<number, object[]>>} Evidence by entry ID: { id, source, type, observedAt }
+ */
+async function getEvidenceChains(entryIds) {
+  const chains = new Map(entryIds.map(id => [id, []]));
+  if (entryIds.length === 0) {
+    return chains;
+  }
+
+  const result = await query(
+    `SELECT e.id AS entry_id, v.id, v.source, v.type, v.observed_at
+     FROM custom_rbl_entries e
+     CROSS JOIN LATERAL (
+       SELECT id, source, type, observed_at
+       FROM custom_rbl_evidence
+       WHERE ip <<= e.network
+       ORDER BY observed_at DESC
+       LIMIT $2
+     ) v
+     WHERE e.id = ANY($1)
+     ORDER BY v.observed_at DESC`,
+    [entryIds, EVIDENCE_CHAIN_LIMIT]
+  );
+
+  for (const row of result.rows) {
+    chains.get(row.entry_id).push({ id: row.id, source: row.source, type: row.type, observedAt: row.observed_at });
+  }
+
+  return chains;
+}
+
+/**
+ * Format when an entry was listed for a TXT record ("2025-01-15T10:00:00Z")
+ */
+function formatListedSince(value) {
+  return value ? new Date(value).toISOString().replace(/\.\d{3}Z$/, 'Z') : '';
+}
+
+/**
+ * Get the DNS answer for an entry of a zone
+ * Allowlists answer 127.0.<category>.<trust>. Blocklist entries answer their
+ * own return code, else their category's, else the zone's.
+ *
+ * The TXT record is the zone's template with the entry filled in, or the
+ * reason. Without a queried address (zone transfers and exports), $ip is the
+ * entry's network, or the address for single-address entries, so secondaries
+ * answer a different TXT record than this server does. $listed_since is when
+ * the entry was last listed (listed_at), not when it was first added.
+ *
+ * @param {object} zone - Zone ({ type, zone_name, return_code, categories, txt_template, removal_url })
+ * @param {object} entry - Entry ({ network, reason, trust, return_code, category, listed_at })
+ * @param {string|null} ip - Queried address
+ * @returns {object} { response, reason, txt } - A record, reason and TXT record data
+ */
+export function getEntryAnswer(zone, entry, ip = null) {
+  const type = zone.type || 'block';
+  const response = type === 'allow'
+    ? `${zone.return_code.split('.').slice(0, 3).join('.')}.${entry.trust ?? DEFAULT_TRUST}`
+    : entry.return_code || (entry.category && zone.categories?.[entry.category]) || zone.return_code;
+  const reason = entry.reason || DEFAULT_REASONS[type];
+
+  if (!zone.txt_template) {
+    return { response, reason, txt: reason };
+  }
+
+  const network = entry.network || '';
+  const values = {
+    ip: ip ?? network.replace(/\/(32|128)$/, ''),
+    network,
+    reason,
+    listed_since: formatListedSince(entry.listed_at ?? entry.created_at),
+    removal_url: zone.removal_url || '',
+    category: entry.category || '',
+    zone: zone.zone_name || ''
+  };
+
+  return { response, reason, txt: zone.txt_template.replace(TEMPLATE_PLACEHOLDER, (match, name) => values[name]) };
+}
+
+/**
+ * Listen for zone changes made by any process and emit "zone_changed"
+ * and "config_changed"
+ * Uses a dedicated connection; reconnects if it is lost, then emits
+ * "config_changed" ({ zone: null }) so listeners re-read what they missed.
+ */
+export async function watchCustomRblZone() {
+  if (watching) {
+    return;
+  }
+  watching = true;
+
+  let client;
+  try {
+    client = await getClient();
+  } catch (error) {
+    console.error('Error listening for custom RBL changes:', error.message);
+    watching = false;
+    resyncAfterListen = true;
+    setTimeout(() => watchCustomRblZone(), 5000);
+    return;
+  }
+
+  let lost = false;
+  const reconnect = (error) => {
+    if (lost) {
+      return;
+    }
+    lost = true;
+    console.error('Custom RBL change listener lost:', error ? error.message : 'connection ended');
+    client.removeAllListeners();
+    client.release(true);
+    watching = false;
+    resyncAfterListen = true;
+    setTimeout(() => watchCustomRblZone(), 5000);
+  };
+
+  client.on('notification', (msg) => {
+    if (msg.channel !== ZONE_CHANNEL) {
+      return;
     }
 
-    return result.rows[0];
+    const change = JSON.parse(msg.payload);
+    if (change.type === 'config') {
+      customRblEvents.emit('config_changed', { zone: change.zone });
+    } else {
+      customRblEvents.emit('zone_changed', { zone: change.zone, serial: Number(change.serial) });
+    }
+  });
+  client.on('error', reconnect);
+  client.on('end', reconnect);
+
+  try {
+    await client.query(`LISTEN ${ZONE_CHANNEL}`);
+  } catch (error) {
+    reconnect(error);
+    return;
+  }
+
+  if (resyncAfterListen) {
+    resyncAfterListen = false;
+    customRblEvents.emit('config_changed', { zone: null });
+  }
+}
+
+/**
+ * Get the configuration of an enabled custom RBL zone
+ * @param {string|null} zoneName - Zone name, or null for the default zone
+ * @returns {Promise<object|null>} Configuration object or null if not configured
+ */
+export async function getCustomRblConfig(zoneName = null) {
+  try {
+    return await findZone(zoneName, true);
   } catch (error) {
     console.error('Error getting custom RBL config:', error.message);
     return null;
@@ -45,46 +468,261 @@ export async function getCustomRblConfig() {
 }
 
 /**
- * Check if an IP address is in the custom RBL
+ * Get all enabled custom RBL zones (blocklists and allowlists)
+ * @returns {Promise<object[]>} Zone configurations, by id
+ */
+export async function getCustomRblZones() {
+  try {
+    const result = await query(
+      `SELECT ${ZONE_COLUMNS} FROM custom_rbl_config WHERE enabled = true ORDER BY id`
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting custom RBL zones:', error.message);
+    return [];
+  }
+}
+
+/**
+ * List all custom RBL zones, including disabled ones, with their entry counts
+ * @returns {Promise<object>} Result with zones array
+ */
+export async function listCustomRblZones() {
+  try {
+    const result = await query(
+      `SELECT c.id, c.zone_name, c.description, c.enabled, c.serial, c.return_code, c.type,
+              c.categories, c.txt_template, c.removal_url, c.created_at, c.updated_at,
+              (SELECT COUNT(*) FROM custom_rbl_entries e WHERE e.zone_id = c.id AND e.listed)::int AS entries
+       FROM custom_rbl_config c
+       ORDER BY c.id`
+    );
+    return { success: true, zones: result.rows };
+  } catch (error) {
+    console.error('Error listing custom RBL zones:', error.message);
+    return { success: false, error: error.message, zones: [] };
+  }
+}
+
+/**
+ * Get a custom RBL zone (enabled or not)
+ * @param {string} zoneName - Zone name
+ * @returns {Promise<object>} Result with zone or error
+ */
+export async function getCustomRblZone(zoneName) {
+  try {
+    const zone = await findZone(zoneName);
+    return zone ? { success: true, zone } : zoneNotFound(zoneName);
+  } catch (error) {
+    console.error('Error getting custom RBL zone:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Create a custom RBL zone
+ * @param {object} zone - { zoneName, type, description, returnCode, enabled,
+ *   categories, txtTemplate, removalUrl } (type is "block" or "allow", default
+ *   "block"; categories map category names to return codes)
+ * @returns {Promise<object>} Result with zone or error
+ */
+export async function createCustomRblZone(zone) {
+  const {
+    zoneName,
+    type = 'block',
+    description = null,
+    enabled = true,
+    categories = null,
+    txtTemplate = null,
+    removalUrl = null
+  } = zone;
+  const returnCode = zone.returnCode ?? DEFAULT_RETURN_CODES[type];
+
+  if (!zoneName) {
+    return { success: false, error: 'zoneName is required' };
+  }
+
+  const validationError = validateZone({ zoneName, returnCode, enabled, categories, txtTemplate, removalUrl }, type);
+  if (validationError) {
+    return { success: false, error: validationError };
+  }
+
+  try {
+    const result = await query(
+      `INSERT INTO custom_rbl_config (zone_name, type, description, return_code, enabled, categories, txt_template, removal_url)
+       VALUES (lower($1), $2, $3, $4, $5, $6, $7, $8)
+       RETURNING ${ZONE_COLUMNS}`,
+      [zoneName, type, description, returnCode, enabled, categories && JSON.stringify(categories), txtTemplate, removalUrl]
+    );
+
+    await notifyZoneChange(result.rows[0].id, 'config');
+
+    return { success: true, zone: result.rows[0] };
+  } catch (error) {
+    console.error('Error creating custom RBL zone:', error.message);
+
+    if (error.code === '23505') {
+      return { success: false, error: 'Zone name already exists' };
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Update a custom RBL zone
+ * The type of a zone can't be changed. Changing the return code, categories,
+ * TXT template or removal URL changes the records of the zone, so the serial
+ * is bumped and the journal cleared (secondaries get a full transfer).
+ * @param {string|null} zoneName - Zone name, or null for the default zone
+ * @param {object} updates - Fields to update (zoneName, description, returnCode, enabled,
+ *   categories, txtTemplate, removalUrl; null clears the last three)
+ * @returns {Promise<object>} Result with updated zone or error
+ */
+export async function updateCustomRblZone(zoneName, updates) {
+  if (updates.type !== undefined) {
+    return { success: false, error: 'The type of a zone can\'t be changed' };
+  }
+
+  try {
+    const zone = await findZone(zoneName);
+    if (!zone) {
+      return zoneNotFound(zoneName);
+    }
+
+    const validationError = validateZone(updates, zone.type);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    if (updates.zoneName !== undefined) {
+      fields.push(`zone_name = lower($${paramIndex++})`);
+      values.push(updates.zoneName);
+    }
+
+    for (const [key, column] of [['description', 'description'], ['returnCode', 'return_code'], ['enabled', 'enabled'],
+      ['categories', 'categories'], ['txtTemplate', 'txt_template'], ['removalUrl', 'removal_url']]) {
+      if (updates[key] !== undefined) {
+        fields.push(`${column} = $${paramIndex++}`);
+        values.push(key === 'categories' && updates[key] !== null ? JSON.stringify(updates[key]) : updates[key]);
+      }
+    }
+
+    if (fields.length === 0) {
+      return { success: false, error: 'No fields to update' };
+    }
+
+    const answersChanged = (updates.returnCode !== undefined && updates.returnCode !== zone.return_code)
+      || (updates.categories !== undefined && JSON.stringify(updates.categories) !== JSON.stringify(zone.categories))
+      || (updates.txtTemplate !== undefined && updates.txtTemplate !== zone.txt_template)
+      || (updates.removalUrl !== undefined && updates.removalUrl !== zone.removal_url);
+    if (answersChanged) {
+      fields.push('serial = serial + 1');
+    }
+
+    values.push(zone.id);
+
+    const result = await query(
+      `UPDATE custom_rbl_config
+       SET ${fields.join(', ')}
+       WHERE id = $${paramIndex}
+       RETURNING ${ZONE_COLUMNS}, updated_at`,
+      values
+    );
+
+    if (answersChanged) {
+      await query('DELETE FROM custom_rbl_journal WHERE zone_id = $1', [zone.id]);
+      await notifyZoneChange(zone.id);
+    }
+    await notifyZoneChange(zone.id, 'config');
+
+    return { success: true, zone: result.rows[0] };
+  } catch (error) {
+    console.error('Error updating custom RBL zone:', error.message);
+
+    if (error.code === '23505') {
+      return { success: false, error: 'Zone name already exists' };
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a custom RBL zone and its entries
+ * A zone that still has entries is only deleted with force.
+ * @param {string} zoneName - Zone name
+ * @param {object} options - Options (force - delete even if it has entries)
+ * @returns {Promise<object>} Result with the number of entries deleted
+ */
+export async function deleteCustomRblZone(zoneName, options = {}) {
+  try {
+    const zone = await findZone(zoneName);
+    if (!zone) {
+      return zoneNotFound(zoneName);
+    }
+
+    const countResult = await query(
+      'SELECT COUNT(*) AS total FROM custom_rbl_entries WHERE zone_id = $1',
+      [zone.id]
+    );
+    const entries = parseInt(countResult.rows[0].total);
+
+    if (entries > 0 && !options.force) {
+      return { success: false, error: `Zone has ${entries} entries (use force to delete them too)` };
+    }
+
+    await query('DELETE FROM custom_rbl_config WHERE id = $1', [zone.id]);
+    await query(
+      `SELECT pg_notify('${ZONE_CHANNEL}', json_build_object('type', 'config', 'zone', $1::text)::text)`,
+      [zone.zone_name]
+    );
+
+    return { success: true, deletedZone: zone.zone_name, deletedEntries: entries };
+  } catch (error) {
+    console.error('Error deleting custom RBL zone:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Check if an IP address is in a custom RBL zone
  * Uses PostgreSQL's >>= operator for CIDR containment check
  *
  * @param {string} ip - IP address to check (IPv4 or IPv6)
- * @param {string} zoneName - Zone name (optional, for validation)
+ * @param {string|null} zoneName - Zone name, or null for the default zone
+ * @param {object} options - { includeEvidence } to attach the entry's escalations and
+ *   evidence chain (one more query, and it names traps and hit times, so only for
+ *   authenticated callers)
  * @returns {Promise<object>} Lookup result
  */
-export async function checkCustomRbl(ip, zoneName = null) {
+export async function checkCustomRbl(ip, zoneName = null, options = {}) {
   try {
-    // Check if custom RBL is enabled
-    const config = await getCustomRblConfig();
+    const config = await getCustomRblConfig(zoneName);
 
     if (!config) {
       return {
         listed: false,
         response: null,
         reason: null,
-        error: 'Custom RBL not configured or disabled'
-      };
-    }
-
-    // Validate zone name if provided
-    if (zoneName && zoneName !== config.zone_name) {
-      return {
-        listed: false,
-        response: null,
-        reason: null,
-        error: `Invalid zone name: ${zoneName}`
+        error: zoneName ? `Unknown or disabled zone: ${zoneName}` : 'Custom RBL not configured or disabled'
       };
     }
 
     // Query for matching CIDR entries using containment operator
     // The >>= operator checks if the network contains the IP
     const result = await query(
-      `SELECT id, network::text, reason, created_at
+      `SELECT id, network::text, reason, trust, return_code, category, expires_at, escalated_at, escalations, created_at,
+              COALESCE(listed_at, created_at) AS listed_at
        FROM custom_rbl_entries
-       WHERE listed = true AND network >>= $1::inet
+       WHERE zone_id = $2 AND listed = true AND network >>= $1::inet
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
        ORDER BY masklen(network) DESC
        LIMIT 1`,
-      [ip]
+      [ip, config.id]
     );
 
     if (result.rows.length === 0) {
@@ -97,14 +735,25 @@ export async function checkCustomRbl(ip, zoneName = null) {
     }
 
     const entry = result.rows[0];
+    const evidence = options.includeEvidence
+      ? (await getEvidenceChains([entry.id])).get(entry.id)
+      : null;
 
     return {
       listed: true,
-      response: '127.0.0.2', // Standard RBL response for listed IPs
-      reason: entry.reason || 'Listed in custom blocklist',
+      ...getEntryAnswer(config, entry, ip),
       network: entry.network,
       entryId: entry.id,
+      category: entry.category,
+      trust: config.type === 'allow' ? entry.trust ?? DEFAULT_TRUST : undefined,
+      expiresAt: entry.expires_at,
       createdAt: entry.created_at,
+      listedAt: entry.listed_at,
+      ...(options.includeEvidence && {
+        escalations: entry.escalations,
+        escalatedAt: entry.escalated_at,
+        evidence
+      }),
       error: null
     };
 
@@ -120,30 +769,104 @@ export async function checkCustomRbl(ip, zoneName = null) {
 }
 
 /**
- * Add an entry to the custom RBL
+ * Check if an IP address is in any enabled allowlist zone
+ * The longest matching entry wins; the oldest one breaks ties.
+ * @param {string} ip - IP address to check (IPv4 or IPv6)
+ * @returns {Promise<object|null>} { zone, network, response, reason, trust, entryId, expiresAt },
+ *   or null if not allowlisted (or the check failed)
+ */
+export async function checkAllowlist(ip) {
+  try {
+    const result = await query(
+      `SELECT c.zone_name, c.type, c.return_code, c.txt_template, c.removal_url,
+              e.id, e.network::text, e.reason, e.trust, e.expires_at, COALESCE(e.listed_at, e.created_at) AS listed_at
+       FROM custom_rbl_entries e
+       JOIN custom_rbl_config c ON c.id = e.zone_id
+       WHERE c.type = 'allow' AND c.enabled = true
+         AND e.listed = true AND e.network >>= $1::inet
+         AND (e.expires_at IS NULL OR e.expires_at > CURRENT_TIMESTAMP)
+       ORDER BY masklen(e.network) DESC, e.id
+       LIMIT 1`,
+      [ip]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const entry = result.rows[0];
+
+    return {
+      zone: entry.zone_name,
+      network: entry.network,
+      ...getEntryAnswer(entry, entry, ip),
+      trust: entry.trust ?? DEFAULT_TRUST,
+      entryId: entry.id,
+      expiresAt: entry.expires_at
+    };
+  } catch (error) {
+    console.error('Error checking custom allowlist:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Add an entry to a custom RBL zone
  * @param {string} network - CIDR notation (e.g., '192.168.1.0/24' or '10.0.0.1/32')
  * @param {string} reason - Reason for listing
  * @param {string} addedBy - Identifier of who added it
+ * @param {string|null} zoneName - Zone name, or null for the default zone
+ * @param {object} options - Options (trust - allowlist trust level, 0-3;
+ *   expiresAt - when the entry is delisted, or ttl - seconds or "24h", "7d" from now;
+ *   returnCode - blocklist answer of this entry; category - one of the zone's categories)
  * @returns {Promise<object>} Result with id or error
  */
-export async function addCustomRblEntry(network, reason = null, addedBy = 'api') {
+export async function addCustomRblEntry(network, reason = null, addedBy = 'api', zoneName = null, options = {}) {
   try {
+    const zone = await findZone(zoneName);
+    if (!zone) {
+      return zoneNotFound(zoneName);
+    }
+
+    const expiry = resolveExpiry(options);
+    if (expiry.error) {
+      return { success: false, error: expiry.error };
+    }
+
+    const trust = parseTrust(options.trust ?? null);
+    const expiresAt = expiry.expiresAt ?? null;
+    const returnCode = options.returnCode ?? null;
+    const category = options.category ?? null;
+    const validationError = validateEntryFields({ trust, expiresAt, returnCode, category }, zone);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
     const result = await query(
-      `INSERT INTO custom_rbl_entries (network, reason, added_by, listed)
-       VALUES ($1::cidr, $2, $3, true)
-       RETURNING id, network::text, reason, created_at`,
-      [network, reason, addedBy]
+      `INSERT INTO custom_rbl_entries (zone_id, network, reason, added_by, listed, trust, expires_at, return_code, category)
+       VALUES ($4, $1::cidr, $2, $3, true, $5, $6::timestamptz, $7, $8)
+       RETURNING id, network::text, reason, trust, return_code, category, expires_at, created_at`,
+      [network, reason, addedBy, zone.id, trust, expiresAt, returnCode, category]
     );
 
-    return {
-      success: true,
-      entry: {
-        id: result.rows[0].id,
-        network: result.rows[0].network,
-        reason: result.rows[0].reason,
-        createdAt: result.rows[0].created_at
-      }
+    const entry = {
+      id: result.rows[0].id,
+      zone: zone.zone_name,
+      network: result.rows[0].network,
+      reason: result.rows[0].reason,
+      trust: result.rows[0].trust,
+      returnCode: result.rows[0].return_code,
+      category: result.rows[0].category,
+      response: getEntryAnswer(zone, result.rows[0]).response,
+      expiresAt: result.rows[0].expires_at,
+      addedBy,
+      createdAt: result.rows[0].created_at
     };
+
+    customRblEvents.emit('entry_added', entry);
+    await notifyZoneChange(zone.id);
+
+    return { success: true, entry };
   } catch (error) {
     console.error('Error adding custom RBL entry:', error.message);
 
@@ -159,21 +882,116 @@ export async function addCustomRblEntry(network, reason = null, addedBy = 'api')
 }
 
 /**
- * Remove an entry from the custom RBL
+ * Add many entries to a custom RBL zone in one transaction
+ * Networks are normalized (host bits cleared) and deduplicated against
+ * existing rows and earlier entries of the same batch; the first occurrence wins.
+ * @param {object[]} entries - Entries to add: { line, network, reason }
+ * @param {string} addedBy - Identifier of who added them
+ * @param {object} options - Options (zone - zone name, default zone if not given;
+ *   category - category of every entry; dryRun - roll back instead of committing)
+ * @returns {Promise<object>} Result with added, existing and duplicates ({ line, network[, reason] })
+ */
+export async function addCustomRblEntries(entries, addedBy = 'api', options = {}) {
+  const client = await getClient();
+
+  try {
+    const zone = await findZone(options.zone || null);
+    if (!zone) {
+      return zoneNotFound(options.zone);
+    }
+
+    const category = options.category || null;
+    const validationError = validateEntryFields({ category }, zone);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    await client.query('BEGIN');
+
+    // Concurrent imports must not add the same network twice
+    await client.query('LOCK TABLE custom_rbl_entries IN SHARE ROW EXCLUSIVE MODE');
+
+    const normalized = await client.query(
+      `SELECT network(t.network::inet)::text AS network
+       FROM unnest($1::text[]) WITH ORDINALITY AS t(network, ord)
+       ORDER BY t.ord`,
+      [entries.map(entry => entry.network)]
+    );
+
+    const existingResult = await client.query(
+      'SELECT network::text FROM custom_rbl_entries WHERE zone_id = $2 AND network = ANY($1::cidr[])',
+      [normalized.rows.map(row => row.network), zone.id]
+    );
+    const existingNetworks = new Set(existingResult.rows.map(row => row.network));
+
+    const added = [];
+    const existing = [];
+    const duplicates = [];
+    const seen = new Set();
+
+    entries.forEach((entry, index) => {
+      const network = normalized.rows[index].network;
+
+      if (existingNetworks.has(network)) {
+        existing.push({ line: entry.line, network });
+      } else if (seen.has(network)) {
+        duplicates.push({ line: entry.line, network });
+      } else {
+        seen.add(network);
+        added.push({ line: entry.line, network, reason: entry.reason || null });
+      }
+    });
+
+    if (added.length > 0 && !options.dryRun) {
+      await client.query(
+        `INSERT INTO custom_rbl_entries (zone_id, network, reason, added_by, listed, category)
+         SELECT $4, network, reason, $3, true, $5
+         FROM unnest($1::cidr[], $2::text[]) AS t(network, reason)`,
+        [added.map(entry => entry.network), added.map(entry => entry.reason), addedBy, zone.id, category]
+      );
+    }
+
+    await client.query(options.dryRun ? 'ROLLBACK' : 'COMMIT');
+
+    if (added.length > 0 && !options.dryRun) {
+      await notifyZoneChange(zone.id);
+    }
+
+    return { success: true, dryRun: options.dryRun === true, zone: zone.zone_name, added, existing, duplicates };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error importing custom RBL entries:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Remove an entry from a custom RBL zone
  * @param {number} entryId - Entry ID to remove
+ * @param {string|null} zoneName - Zone name, or null for the default zone
  * @returns {Promise<object>} Result indicating success or failure
  */
-export async function removeCustomRblEntry(entryId) {
+export async function removeCustomRblEntry(entryId, zoneName = null) {
   try {
+    const zone = await findZone(zoneName);
+    if (!zone) {
+      return zoneNotFound(zoneName);
+    }
+
     const result = await query(
-      'DELETE FROM custom_rbl_entries WHERE id = $1 RETURNING id',
-      [entryId]
+      'DELETE FROM custom_rbl_entries WHERE id = $1 AND zone_id = $2 RETURNING id, network::text',
+      [entryId, zone.id]
     );
 
     if (result.rowCount === 0) {
       return { success: false, error: 'Entry not found' };
     }
 
+    customRblEvents.emit('entry_removed', { ...result.rows[0], zone: zone.zone_name });
+    await notifyZoneChange(zone.id);
+
     return { success: true, deletedId: entryId };
   } catch (error) {
     console.error('Error removing custom RBL entry:', error.message);
@@ -184,19 +1002,28 @@ export async function removeCustomRblEntry(entryId) {
 /**
  * Remove an entry by CIDR network
  * @param {string} network - CIDR notation
+ * @param {string|null} zoneName - Zone name, or null for the default zone
  * @returns {Promise<object>} Result indicating success or failure
  */
-export async function removeCustomRblEntryByNetwork(network) {
+export async function removeCustomRblEntryByNetwork(network, zoneName = null) {
   try {
+    const zone = await findZone(zoneName);
+    if (!zone) {
+      return zoneNotFound(zoneName);
+    }
+
     const result = await query(
-      'DELETE FROM custom_rbl_entries WHERE network = $1::cidr RETURNING id',
-      [network]
+      'DELETE FROM custom_rbl_entries WHERE network = $1::cidr AND zone_id = $2 RETURNING id, network::text',
+      [network, zone.id]
     );
 
     if (result.rowCount === 0) {
       return { success: false, error: 'Entry not found' };
     }
 
+    customRblEvents.emit('entry_removed', { ...result.rows[0], zone: zone.zone_name });
+    await notifyZoneChange(zone.id);
+
     return { success: true, deletedId: result.rows[0].id };
   } catch (error) {
     console.error('Error removing custom RBL entry by network:', error.message);
@@ -205,38 +1032,71 @@ export async function removeCustomRblEntryByNetwork(network) {
 }
 
 /**
- * Update an entry in the custom RBL
+ * Update an entry in a custom RBL zone
+ * Delisting records when and by whom. Relisting an expired entry without a
+ * new expiry keeps it listed for good.
  * @param {number} entryId - Entry ID
- * @param {object} updates - Fields to update (reason, listed)
+ * @param {object} updates - Fields to update (reason, listed, trust, expiresAt or ttl,
+ *   returnCode, category; null clears all but reason and listed)
+ * @param {string|null} zoneName - Zone name, or null for the default zone
+ * @param {string} updatedBy - Identifier of who updated it
  * @returns {Promise<object>} Result with updated entry or error
  */
-export async function updateCustomRblEntry(entryId, updates) {
+export async function updateCustomRblEntry(entryId, updates, zoneName = null, updatedBy = 'api') {
   try {
+    const zone = await findZone(zoneName);
+    if (!zone) {
+      return zoneNotFound(zoneName);
+    }
+
+    const expiry = resolveExpiry(updates);
+    if (expiry.error) {
+      return { success: false, error: expiry.error };
+    }
+
+    const changes = { ...updates, trust: parseTrust(updates.trust), expiresAt: expiry.expiresAt };
+    const validationError = validateEntryFields(changes, zone);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
     const fields = [];
     const values = [];
     let paramIndex = 1;
 
-    if (updates.reason !== undefined) {
-      fields.push(`reason = $${paramIndex++}`);
-      values.push(updates.reason);
-    }
-
-    if (updates.listed !== undefined) {
-      fields.push(`listed = $${paramIndex++}`);
-      values.push(updates.listed);
+    for (const [key, column] of [['reason', 'reason'], ['listed', 'listed'], ['trust', 'trust'], ['expiresAt', 'expires_at'],
+      ['returnCode', 'return_code'], ['category', 'category']]) {
+      if (changes[key] !== undefined) {
+        fields.push(`${column} = $${paramIndex++}${key === 'expiresAt' ? '::timestamptz' : ''}`);
+        values.push(changes[key]);
+      }
     }
 
     if (fields.length === 0) {
       return { success: false, error: 'No fields to update' };
     }
 
-    values.push(entryId);
+    if (changes.listed === false) {
+      fields.push(
+        'delisted_at = CASE WHEN listed THEN CURRENT_TIMESTAMP ELSE delisted_at END',
+        `delisted_by = CASE WHEN listed THEN $${paramIndex++} ELSE delisted_by END`
+      );
+      values.push(updatedBy);
+    } else if (changes.listed === true) {
+      fields.push('delisted_at = NULL', 'delisted_by = NULL');
+      if (changes.expiresAt === undefined) {
+        fields.push('expires_at = CASE WHEN expires_at <= CURRENT_TIMESTAMP THEN NULL ELSE expires_at END');
+      }
+    }
+
+    values.push(entryId, zone.id);
 
     const result = await query(
       `UPDATE custom_rbl_entries
        SET ${fields.join(', ')}
-       WHERE id = $${paramIndex}
-       RETURNING id, network::text, reason, listed, updated_at`,
+       WHERE id = $${paramIndex} AND zone_id = $${paramIndex + 1}
+       RETURNING id, network::text, reason, listed, trust, return_code, category, expires_at,
+                 delisted_at, delisted_by, created_at, updated_at`,
       values
     );
 
@@ -244,6 +1104,8 @@ export async function updateCustomRblEntry(entryId, updates) {
       return { success: false, error: 'Entry not found' };
     }
 
+    await notifyZoneChange(zone.id);
+
     return {
       success: true,
       entry: {
@@ -251,6 +1113,13 @@ export async function updateCustomRblEntry(entryId, updates) {
         network: result.rows[0].network,
         reason: result.rows[0].reason,
         listed: result.rows[0].listed,
+        trust: result.rows[0].trust,
+        returnCode: result.rows[0].return_code,
+        category: result.rows[0].category,
+        response: getEntryAnswer(zone, result.rows[0]).response,
+        expiresAt: result.rows[0].expires_at,
+        delistedAt: result.rows[0].delisted_at,
+        delistedBy: result.rows[0].delisted_by,
         updatedAt: result.rows[0].updated_at
       }
     };
@@ -261,9 +1130,9 @@ export async function updateCustomRblEntry(entryId, updates) {
 }
 
 /**
- * List all entries in the custom RBL with pagination
- * @param {object} options - Query options (limit, offset, listedOnly)
- * @returns {Promise<object>} Result with entries array
+ * List the entries of a custom RBL zone with pagination
+ * @param {object} options - Query options (zone, limit, offset, listedOnly)
+ * @returns {Promise<object>} Result with entries array (each with its answer and most recent evidence)
  */
 export async function listCustomRblEntries(options = {}) {
   const limit = options.limit || 100;
@@ -271,24 +1140,35 @@ export async function listCustomRblEntries(options = {}) {
   const listedOnly = options.listedOnly !== false;
 
   try {
-    const whereClause = listedOnly ? 'WHERE listed = true' : '';
+    const zone = await findZone(options.zone || null);
+    if (!zone) {
+      return { ...zoneNotFound(options.zone), entries: [] };
+    }
+
+    const whereClause = `WHERE zone_id = $1${listedOnly ? ' AND listed = true' : ''}`;
 
     const result = await query(
-      `SELECT id, network::text, reason, listed, added_by, created_at, updated_at
+      `SELECT id, network::text, reason, listed, trust, return_code, category, expires_at, delisted_at, delisted_by,
+              escalations, escalated_at, added_by, created_at, COALESCE(listed_at, created_at) AS listed_at, updated_at
        FROM custom_rbl_entries
        ${whereClause}
        ORDER BY created_at DESC
-       LIMIT $1 OFFSET $2`,
-      [limit, offset]
+       LIMIT $2 OFFSET $3`,
+      [zone.id, limit, offset]
     );
 
     const countResult = await query(
-      `SELECT COUNT(*) as total FROM custom_rbl_entries ${whereClause}`
+      `SELECT COUNT(*) as total FROM custom_rbl_entries ${whereClause}`,
+      [zone.id]
     );
 
+    const chains = await getEvidenceChains(result.rows.map(row => row.id));
+
     return {
       success: true,
-      entries: result.rows,
+      zone: zone.zone_name,
+      type: zone.type,
+      entries: result.rows.map(row => ({ ...row, response: getEntryAnswer(zone, row).response, evidence: chains.get(row.id) })),
       total: parseInt(countResult.rows[0].total),
       limit,
       offset
@@ -300,68 +1180,97 @@ export async function listCustomRblEntries(options = {}) {
 }
 
 /**
- * Update custom RBL configuration
- * @param {object} config - Configuration fields to update
- * @returns {Promise<object>} Result with updated config or error
+ * Delist every entry whose expiry has passed
+ * Expired entries are set to listed = false with delisted_by "expiry", which
+ * journals the removal and bumps the zone serial like any other delisting.
+ * @returns {Promise<object[]>} Expired entries: { id, zone, network, reason, expiresAt }
  */
-export async function updateCustomRblConfig(config) {
+export async function expireCustomRblEntries() {
   try {
-    const fields = [];
-    const values = [];
-    let paramIndex = 1;
+    const result = await query(
+      `UPDATE custom_rbl_entries e
+       SET listed = false, delisted_at = CURRENT_TIMESTAMP, delisted_by = 'expiry'
+       FROM custom_rbl_config c
+       WHERE c.id = e.zone_id AND e.listed = true AND e.expires_at <= CURRENT_TIMESTAMP
+       RETURNING e.id, e.zone_id, c.zone_name, e.network::text, e.reason, e.expires_at`
+    );
 
-    if (config.zoneName !== undefined) {
-      fields.push(`zone_name = $${paramIndex++}`);
-      values.push(config.zoneName);
-    }
+    const expired = result.rows.map(row => ({
+      id: row.id,
+      zone: row.zone_name,
+      network: row.network,
+      reason: row.reason,
+      expiresAt: row.expires_at
+    }));
 
-    if (config.description !== undefined) {
-      fields.push(`description = $${paramIndex++}`);
-      values.push(config.description);
+    for (const entry of expired) {
+      customRblEvents.emit('entry_expired', entry);
     }
-
-    if (config.enabled !== undefined) {
-      fields.push(`enabled = $${paramIndex++}`);
-      values.push(config.enabled);
+    for (const zoneId of new Set(result.rows.map(row => row.zone_id))) {
+      await notifyZoneChange(zoneId);
     }
 
-    if (fields.length === 0) {
-      return { success: false, error: 'No fields to update' };
-    }
+    return expired;
+  } catch (error) {
+    console.error('Error expiring custom RBL entries:', error.message);
+    return [];
+  }
+}
 
-    const result = await query(
-      `UPDATE custom_rbl_config
-       SET ${fields.join(', ')}
-       WHERE id = 1
-       RETURNING zone_name, description, enabled, updated_at`
-    );
+/**
+ * Start the background expiry sweeper (every CUSTOM_RBL_EXPIRY_SWEEP_SECONDS, 0 disables it)
+ */
+export function startExpirySweeper() {
+  if (sweeperTimer || EXPIRY_SWEEP_SECONDS <= 0) {
+    return;
+  }
 
-    if (result.rowCount === 0) {
-      return { success: false, error: 'Configuration not found' };
+  const sweep = async () => {
+    const expired = await expireCustomRblEntries();
+    if (expired.length > 0) {
+      console.log(`Delisted ${expired.length} expired custom RBL entries`);
     }
+  };
 
-    return {
-      success: true,
-      config: result.rows[0]
-    };
-  } catch (error) {
-    console.error('Error updating custom RBL config:', error.message);
-
-    if (error.code === '23505') {
-      return { success: false, error: 'Zone name already exists' };
-    }
+  sweeperTimer = setInterval(sweep, EXPIRY_SWEEP_SECONDS * 1000);
+  sweep();
+}
 
-    return { success: false, error: error.message };
+/**
+ * Stop the background expiry sweeper
+ */
+export function stopExpirySweeper() {
+  if (sweeperTimer) {
+    clearInterval(sweeperTimer);
+    sweeperTimer = null;
   }
 }
 
 export default {
+  ZONE_TYPES,
+  TRUST_LEVELS,
+  customRblEvents,
+  notifyZoneChange,
+  parseDuration,
+  parseTrust,
+  getEntryAnswer,
+  watchCustomRblZone,
   getCustomRblConfig,
+  getCustomRblZones,
+  listCustomRblZones,
+  getCustomRblZone,
+  createCustomRblZone,
+  updateCustomRblZone,
+  deleteCustomRblZone,
   checkCustomRbl,
+  checkAllowlist,
   addCustomRblEntry,
+  addCustomRblEntries,
   removeCustomRblEntry,
   removeCustomRblEntryByNetwork,
   updateCustomRblEntry,
   listCustomRblEntries,
-  updateCustomRblConfig
+  expireCustomRblEntries,
+  startExpirySweeper,
+  stopExpirySweeper
 };
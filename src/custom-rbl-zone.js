@@ -0,0 +1,283 @@
+/**
+ * Multi-RBL Lookup Tool
+ * Copyright (C) 2025 Matthew Asham & Multi-RBL Lookup Contributors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Custom RBL Zone Contents
+ * Turns the CIDR entries of a custom RBL zone into the DNS records a secondary
+ * nameserver needs (for AXFR), and rebuilds older versions of the zone from
+ * the change journal (for IXFR).
+ *
+ * CIDR ranges become wildcards on octet boundaries ("*.2.0.192" for
+ * 192.0.2.0/24); ranges between boundaries are split into octet-aligned
+ * blocks, and anything longer than /24 into single addresses. Only IPv4
+ * entries are served over DNS, so IPv6 entries are left out.
+ */
+
+import { query, getClient } from './db-postgres.js';
+import { getEntryAnswer } from './custom-rbl-lookup.js';
+
+const JOURNAL_DAYS = parseInt(process.env.DNS_IXFR_JOURNAL_DAYS || '30', 10);
+const DEFAULT_REASON = 'Listed in custom blocklist';
+
+/**
+ * Convert an IPv4 address to a 32-bit number
+ */
+function ipToNumber(ip) {
+  return ip.split('.').reduce((number, octet) => number * 256 + parseInt(octet, 10), 0);
+}
+
+/**
+ * Get the reversed owner name (relative to the zone) of the first
+ * `octets` octets of an address, e.g. 192.0.2.0 with 3 octets -> "2.0.192"
+ */
+function ownerName(number, octets) {
+  const parts = [];
+  for (let i = 0; i < octets; i++) {
+    parts.push(Math.floor(number / 2 ** (24 - i * 8)) % 256);
+  }
+  return parts.reverse().join('.');
+}
+
+/**
+ * Split an IPv4 CIDR into the owner names that list it
+ * /8, /16 and /24 blocks are wildcards; /25 to /32 are single addresses.
+ * @returns {object[]} { name, wildcard, prefix } - prefix is the block's prefix length
+ */
+function cidrToOwners(network) {
+  const [address, length] = network.split('/');
+  const prefix = length === undefined ? 32 : parseInt(length, 10);
+  const aligned = prefix > 24 ? 32 : Math.max(8, Math.ceil(prefix / 8) * 8);
+  const start = ipToNumber(address);
+  const owners = [];
+
+  for (let i = 0; i < 2 ** (aligned - prefix); i++) {
+    const block = start + i * 2 ** (32 - aligned);
+    owners.push(aligned === 32
+      ? { name: ownerName(block, 4), wildcard: false, prefix: aligned }
+      : { name: `*.${ownerName(block, aligned / 8)}`, wildcard: true, prefix: aligned });
+  }
+
+  return owners;
+}
+
+/**
+ * Whether an entry should win over another for the same addresses
+ * Longest prefix first, like checkCustomRbl(); the oldest entry breaks ties.
+ */
+function isBetterEntry(entry, current) {
+  return !current
+    || entry.prefix > current.prefix
+    || (entry.prefix === current.prefix && entry.id < current.id);
+}
+
+/**
+ * Build the listing records of a custom RBL zone
+ * Every listed address gets an A record and a TXT record with the answer of
+ * its longest matching entry, as the DNS server answers.
+ *
+ * Wildcards don't apply below names that exist (RFC 4592), so when a longer
+ * entry sits inside a shorter one, the empty names in between get their own
+ * wildcard for the shorter entry.
+ *
+ * @param {Map<number, object>} entries - Listed entries by id: { network, reason, response, txt }
+ *   (txt - TXT record data, the reason if not given)
+ * @param {string} returnCode - A record data of entries without a response
+ * @returns {Map<string, object>} Records by key: { name, type, data } (names relative to the zone)
+ */
+export function buildZoneRecords(entries, returnCode = '127.0.0.2') {
+  // Winning entry per owner name
+  const owners = new Map();
+  // Best entry listing each wildcard block, by the block's parent name
+  const blocks = new Map();
+
+  for (const [id, entry] of entries) {
+    if (entry.network.includes(':')) {
+      continue;
+    }
+
+    const prefix = parseInt(entry.network.split('/')[1] || '32', 10);
+    const candidate = { id, prefix, reason: entry.txt || entry.reason || DEFAULT_REASON, response: entry.response || returnCode };
+
+    for (const owner of cidrToOwners(entry.network)) {
+      if (isBetterEntry(candidate, owners.get(owner.name))) {
+        owners.set(owner.name, candidate);
+      }
+      if (owner.wildcard && isBetterEntry(candidate, blocks.get(owner.name.slice(2)))) {
+        blocks.set(owner.name.slice(2), candidate);
+      }
+    }
+  }
+
+  // Give every empty name under a wildcard block a wildcard of its own
+  for (const name of [...owners.keys()]) {
+    const labels = name.split('.').filter(label => label !== '*');
+    const depth = name.startsWith('*.') ? labels.length : labels.length - 1;
+
+    for (let octets = 1; octets <= depth; octets++) {
+      const parent = labels.slice(labels.length - octets).join('.');
+      if (owners.has(`*.${parent}`)) {
+        continue;
+      }
+
+      // The covering block is the closest one above the empty name
+      let cover = null;
+      for (let above = octets - 1; above >= 1 && !cover; above--) {
+        cover = blocks.get(labels.slice(labels.length - above).join('.')) || null;
+      }
+      if (cover) {
+        owners.set(`*.${parent}`, cover);
+      }
+    }
+  }
+
+  const records = new Map();
+  for (const name of [...owners.keys()].sort()) {
+    const { reason, response } = owners.get(name);
+    records.set(`${name}\tA\t${response}`, { name, type: 'A', data: response });
+    records.set(`${name}\tTXT\t${reason}`, { name, type: 'TXT', data: reason });
+  }
+
+  return records;
+}
+
+/**
+ * Get the records deleted and added between two versions of the zone
+ * @param {Map<string, object>} from - Records of the older version
+ * @param {Map<string, object>} to - Records of the newer version
+ * @returns {object} { deleted, added }
+ */
+export function diffZoneRecords(from, to) {
+  return {
+    deleted: [...from.entries()].filter(([key]) => !to.has(key)).map(([, record]) => record),
+    added: [...to.entries()].filter(([key]) => !from.has(key)).map(([, record]) => record)
+  };
+}
+
+/**
+ * Load a custom RBL zone for a transfer
+ * The zone, its serial and the journal are read from one snapshot. When
+ * fromSerial is given and the journal still covers it, the records of that
+ * version are rebuilt too, by undoing the journaled changes newest first.
+ *
+ * @param {string} zoneName - Zone name
+ * @param {number|null} fromSerial - Serial the secondary has (IXFR), or null (AXFR)
+ * @returns {Promise<object|null>} { zoneName, serial, records, previous } - previous
+ *   is null when the journal doesn't reach back to fromSerial; null if the zone is
+ *   not configured or disabled
+ */
+export async function getZoneTransfer(zoneName, fromSerial = null) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+    const configResult = await client.query(
+      `SELECT id, zone_name, serial, return_code, type, categories, txt_template, removal_url
+       FROM custom_rbl_config WHERE zone_name = lower($1) AND enabled = true`,
+      [zoneName]
+    );
+    if (configResult.rows.length === 0) {
+      await client.query('COMMIT');
+      return null;
+    }
+
+    const zone = configResult.rows[0];
+    const serial = Number(zone.serial);
+    const entriesResult = await client.query(
+      `SELECT id, network::text, reason, trust, return_code, category, COALESCE(listed_at, created_at) AS listed_at
+       FROM custom_rbl_entries WHERE zone_id = $1 AND listed = true`,
+      [zone.id]
+    );
+    const entries = new Map(entriesResult.rows.map(row => [row.id, { network: row.network, ...getEntryAnswer(zone, row) }]));
+
+    let previous = null;
+
+    if (fromSerial !== null && fromSerial < serial) {
+      const startResult = await client.query(
+        'SELECT MIN(serial) AS first FROM custom_rbl_journal WHERE zone_id = $1',
+        [zone.id]
+      );
+      const first = startResult.rows[0].first;
+
+      // Every change after fromSerial must still be in the journal
+      if (first !== null && fromSerial >= Number(first) - 1) {
+        const journalResult = await client.query(
+          `SELECT entry_id, action, network::text, reason, trust, return_code, category, listed_since AS listed_at
+           FROM custom_rbl_journal
+           WHERE zone_id = $3 AND serial > $1 AND serial <= $2
+           ORDER BY id DESC`,
+          [fromSerial, serial, zone.id]
+        );
+
+        const older = new Map(entries);
+        for (const change of journalResult.rows) {
+          if (change.action === 'add') {
+            older.delete(change.entry_id);
+          } else {
+            older.set(change.entry_id, { network: change.network, ...getEntryAnswer(zone, change) });
+          }
+        }
+        previous = buildZoneRecords(older, zone.return_code);
+      }
+    }
+
+    await client.query('COMMIT');
+
+    return {
+      zoneName: zone.zone_name,
+      serial,
+      records: buildZoneRecords(entries, zone.return_code),
+      previous
+    };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete journal rows older than the retention period
+ * Secondaries further behind than that get a full transfer instead.
+ * @param {number} retentionDays - Days to keep (0 keeps the journal forever)
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export async function pruneZoneJournal(retentionDays = JOURNAL_DAYS) {
+  if (!retentionDays || retentionDays <= 0) {
+    return 0;
+  }
+
+  try {
+    const result = await query(
+      'DELETE FROM custom_rbl_journal WHERE created_at < CURRENT_TIMESTAMP - make_interval(days => $1)',
+      [retentionDays]
+    );
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error pruning custom RBL journal:', error.message);
+    return 0;
+  }
+}
+
+export default {
+  buildZoneRecords,
+  diffZoneRecords,
+  getZoneTransfer,
+  pruneZoneJournal
+};
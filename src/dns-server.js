@@ -17,13 +17,300 @@
  */
 
 import dns from 'native-dns';
+import dgram from 'dgram';
+import net from 'net';
+import os from 'os';
 import { readFile } from 'fs/promises';
 import { join } from 'path';
-import { lookupSingleRblWithCache } from './rbl-lookup-cached.js';
+import { lookupSingleRblWithCache, getServerType, isValidDomain } from './rbl-lookup-cached.js';
 import { getDatabase } from './cache-db.js';
-import { getRblServers } from './rbl-lookup.js';
-import { getCustomRblConfig, checkCustomRbl } from './custom-rbl-lookup.js';
+import { getRblServers, validateRblServers, rblServerEvents } from './rbl-servers.js';
+import { getCustomRblZones, checkCustomRbl, checkAllowlist, customRblEvents, watchCustomRblZone } from './custom-rbl-lookup.js';
+import { getZoneTransfer, diffZoneRecords, pruneZoneJournal } from './custom-rbl-zone.js';
 import { isIpAllowed, isValidCidr } from './ip-network-utils.js';
+import { formatCategories } from './rbl-return-codes.js';
+import { recordHistory } from './lookup-history.js';
+import { scoreResults, scoreToAddress } from './rbl-score.js';
+
+/**
+ * Validate multi-RBL zone definitions
+ * @param {object[]} zones - "zones" array from etc/multi-rbl-zones.json
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+function validateMultiRblZones(zones) {
+  if (!Array.isArray(zones)) {
+    return ['"zones" must be an array'];
+  }
+
+  const errors = [];
+
+  zones.forEach((zone, index) => {
+    if (!zone || typeof zone.domain !== 'string' || !zone.domain) {
+      errors.push(`zone ${index}: "domain" is required`);
+      return;
+    }
+    if (zone.rbls !== '*' && !(Array.isArray(zone.rbls) && zone.rbls.every(host => typeof host === 'string'))) {
+      errors.push(`${zone.domain}: "rbls" must be "*" or an array of RBL hosts`);
+    }
+    if (zone.answer !== undefined && !['listed', 'score', 'bitmask'].includes(zone.answer)) {
+      errors.push(`${zone.domain}: "answer" must be "listed", "score" or "bitmask"`);
+    }
+    if (zone.answer === 'bitmask') {
+      errors.push(...validateZoneBits(zone).map(error => `${zone.domain}: ${error}`));
+    }
+    if (zone.ns !== undefined && !(Array.isArray(zone.ns) && zone.ns.length > 0 && zone.ns.every(ns => typeof ns === 'string'))) {
+      errors.push(`${zone.domain}: "ns" must be a non-empty array of nameserver names`);
+    }
+    if (zone.hostmaster !== undefined && typeof zone.hostmaster !== 'string') {
+      errors.push(`${zone.domain}: "hostmaster" must be a string`);
+    }
+    if (zone.honorAllowlist !== undefined && typeof zone.honorAllowlist !== 'boolean') {
+      errors.push(`${zone.domain}: "honorAllowlist" must be a boolean`);
+    }
+    if (zone.policy !== undefined) {
+      errors.push(...validateZonePolicy(zone).map(error => `${zone.domain}: ${error}`));
+    }
+  });
+
+  return errors;
+}
+
+// RFC 5782 test points, answered in every authoritative zone
+const TEST_POINTS = {
+  '2.0.0.127': 'listed',
+  'test': 'listed',
+  '1.0.0.127': 'not_listed',
+  'invalid': 'not_listed'
+};
+
+// SOA timers for authoritative zones (the negative TTL is configurable)
+const SOA_REFRESH = 3600;
+const SOA_RETRY = 600;
+const SOA_EXPIRE = 604800;
+
+// Well-known name in a bitmask zone that publishes the bit map as TXT records
+const BITMAP_LABEL = '_bitmask';
+
+// Highest bit value in a 127.x.y.z answer (24 bits; 1 is left for test answers)
+const MAX_ZONE_BIT = 2 ** 23;
+
+// Zone transfer messages are cut at this many bytes (native-dns writes TCP
+// responses into a 4096 byte buffer and can't truncate them correctly)
+const TRANSFER_MESSAGE_BYTES = 3500;
+
+// NOTIFY (RFC 1996) retransmission
+const NOTIFY_TIMEOUT = 2000;
+const NOTIFY_ATTEMPTS = 3;
+
+/**
+ * Get the client address of a request
+ * native-dns sets request.address to the local end of TCP connections, so
+ * TCP clients are read from the socket instead.
+ */
+function getClientIp(request) {
+  const socket = request._socket && request._socket._socket;
+  const address = socket && socket.remoteAddress ? socket.remoteAddress : request.address.address;
+  return address.replace(/^::ffff:/, '');
+}
+
+/**
+ * Parse a NOTIFY target: "192.0.2.53", "192.0.2.53:5353", "2001:db8::53" or "[2001:db8::53]:5353"
+ * @returns {object|null} { address, port }, or null if invalid
+ */
+function parseNotifyTarget(target) {
+  if (typeof target !== 'string') {
+    return null;
+  }
+
+  const match = target.match(/^\[(.+)\]:(\d+)$/) || target.match(/^([^:]+):(\d+)$/);
+  const address = match ? match[1] : target;
+  const port = match ? parseInt(match[2], 10) : 53;
+
+  if (!net.isIP(address) || port < 1 || port > 65535) {
+    return null;
+  }
+
+  return { address, port };
+}
+
+/**
+ * Encode a NOTIFY message for a zone (opcode 4, AA set, SOA question)
+ */
+function encodeNotify(zone, id) {
+  const labels = zone.replace(/\.$/, '').split('.');
+  const buffer = Buffer.alloc(12 + zone.length + 2 + 4);
+  let offset = 0;
+
+  buffer.writeUInt16BE(id, 0);
+  buffer.writeUInt16BE((4 << 11) | 0x0400, 2);
+  buffer.writeUInt16BE(1, 4);
+  offset = 12;
+
+  for (const label of labels) {
+    buffer.writeUInt8(label.length, offset++);
+    offset += buffer.write(label, offset, 'ascii');
+  }
+  buffer.writeUInt8(0, offset++);
+  buffer.writeUInt16BE(dns.consts.NAME_TO_QTYPE.SOA, offset);
+  buffer.writeUInt16BE(1, offset + 2);
+
+  return buffer.subarray(0, offset + 4);
+}
+
+/**
+ * Estimate the wire size of a record (names uncompressed)
+ */
+function estimateRecordSize(record) {
+  const data = record.data ? [].concat(record.data).join('').length + 8 : 0;
+  const soa = record.primary ? record.primary.length + record.admin.length + 24 : 0;
+  return record.name.length + 2 + 10 + 4 + data + soa;
+}
+
+/**
+ * Get the bit assigned to each RBL in a bitmask zone
+ * Explicit "bits" win; otherwise RBLs get 2, 4, 8, ... in "rbls" order.
+ * @param {object} zone - Zone definition
+ * @returns {Map<string, number>} RBL host to bit value
+ */
+function getZoneBits(zone) {
+  if (zone.bits) {
+    return new Map(Object.entries(zone.bits));
+  }
+  return new Map((Array.isArray(zone.rbls) ? zone.rbls : []).map((host, index) => [host, 2 ** (index + 1)]));
+}
+
+/**
+ * Encode a bitmask as a 127.x.y.z address
+ * @param {number} mask - Combined bits (up to 24 bits)
+ * @returns {string} Address
+ */
+function maskToAddress(mask) {
+  return `127.${(mask >> 16) & 255}.${(mask >> 8) & 255}.${mask & 255}`;
+}
+
+/**
+ * Validate the bit assignment of a bitmask zone
+ * @param {object} zone - Zone definition with answer "bitmask"
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+function validateZoneBits(zone) {
+  if (zone.bits === undefined) {
+    if (!Array.isArray(zone.rbls)) {
+      return ['"bits" is required when "rbls" is "*"'];
+    }
+    if (zone.rbls.length > 23) {
+      return ['bitmask zones without "bits" are limited to 23 RBLs'];
+    }
+    return [];
+  }
+
+  if (!zone.bits || typeof zone.bits !== 'object' || Array.isArray(zone.bits)) {
+    return ['"bits" must be an object mapping RBL hosts to bit values'];
+  }
+
+  const errors = [];
+  const used = new Set();
+
+  for (const [host, bit] of Object.entries(zone.bits)) {
+    if (!Number.isInteger(bit) || bit < 2 || bit > MAX_ZONE_BIT || (bit & (bit - 1)) !== 0) {
+      errors.push(`bit for ${host} must be a power of two from 2 to ${MAX_ZONE_BIT}`);
+    } else if (used.has(bit)) {
+      errors.push(`bit ${bit} is assigned more than once`);
+    }
+    used.add(bit);
+
+    if (Array.isArray(zone.rbls) && !zone.rbls.includes(host)) {
+      errors.push(`"bits" host ${host} is not in "rbls"`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a multi-RBL zone's listing policy
+ * @param {object} zone - Zone definition with a "policy" object
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+function validateZonePolicy(zone) {
+  const policy = zone.policy;
+
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['"policy" must be an object'];
+  }
+
+  const errors = [];
+
+  if (policy.minListed !== undefined && (!Number.isInteger(policy.minListed) || policy.minListed < 1)) {
+    errors.push('"policy.minListed" must be a positive integer');
+  }
+  if (policy.minScore !== undefined && (typeof policy.minScore !== 'number' || policy.minScore <= 0)) {
+    errors.push('"policy.minScore" must be a positive number');
+  }
+  if (policy.required !== undefined) {
+    if (!Array.isArray(policy.required) || policy.required.length === 0 ||
+        !policy.required.every(host => typeof host === 'string')) {
+      errors.push('"policy.required" must be a non-empty array of RBL hosts');
+    } else if (Array.isArray(zone.rbls)) {
+      const missing = policy.required.filter(host => !zone.rbls.includes(host));
+      if (missing.length > 0) {
+        errors.push(`"policy.required" hosts not in "rbls": ${missing.join(', ')}`);
+      }
+    }
+  }
+  if (policy.match !== undefined && policy.match !== 'any' && policy.match !== 'all') {
+    errors.push('"policy.match" must be "any" or "all"');
+  }
+  if (policy.minListed === undefined && policy.minScore === undefined && policy.required === undefined) {
+    errors.push('"policy" needs at least one of "minListed", "minScore" or "required"');
+  }
+
+  return errors;
+}
+
+/**
+ * Decide whether a multi-RBL zone lists an IP
+ * Without a policy any listing counts. With one, each configured rule is
+ * checked and "match" decides whether any ("any", default) or every ("all")
+ * rule must fire.
+ * @param {object} policy - Zone policy (or undefined)
+ * @param {object[]} results - Completed RBL results
+ * @param {number} score - Weighted score of the results
+ * @returns {object} { listed, fired } where fired describes the rules that fired
+ */
+function evaluateZonePolicy(policy, results, score) {
+  const listedHosts = results.filter(r => r.listed).map(r => r.host);
+
+  if (!policy) {
+    return { listed: listedHosts.length > 0, fired: [] };
+  }
+
+  const rules = [];
+
+  if (policy.minListed !== undefined) {
+    rules.push({
+      fired: listedHosts.length >= policy.minListed,
+      description: `listed on ${listedHosts.length} RBLs (>= ${policy.minListed})`
+    });
+  }
+  if (policy.minScore !== undefined) {
+    rules.push({
+      fired: score >= policy.minScore,
+      description: `score ${score} (>= ${policy.minScore})`
+    });
+  }
+  if (policy.required !== undefined) {
+    rules.push({
+      fired: policy.required.every(host => listedHosts.includes(host)),
+      description: `listed on required ${policy.required.join(', ')}`
+    });
+  }
+
+  const fired = rules.filter(rule => rule.fired).map(rule => rule.description);
+  const listed = policy.match === 'all' ? fired.length === rules.length : fired.length > 0;
+
+  return { listed, fired };
+}
 
 /**
  * DNS Server for RBL lookups with caching
@@ -36,14 +323,26 @@ class RBLDnsServer {
     this.multiRblDomain = config.multiRblDomain || 'multi-rbl.example.com';
     this.multiRblTimeout = parseInt(config.multiRblTimeout || process.env.DNS_MULTI_RBL_TIMEOUT || '250', 10);
     this.logLevel = config.logLevel || process.env.DNS_LOG_LEVEL || 'info';
+    this.recordHistory = config.recordHistory ?? process.env.DNS_RECORD_HISTORY === 'true';
     this.udpServer = null;
     this.tcpServer = null;
     this.db = getDatabase();
     this.rblServers = [];
     this.rblServersList = []; // Array of all RBL servers
-    this.customRblConfig = null; // Custom RBL configuration
+    this.customRblZones = []; // Enabled custom RBL zone configurations
     this.multiRblZones = []; // Array of multi-RBL zone configurations
     this.accessControl = { enabled: false, allowedNetworks: [] }; // Access control configuration
+    this.zoneTransfer = { allowTransfer: [], notify: [] }; // Custom RBL zone transfer configuration
+    this.reloadStatus = null; // Config load/reload status (see reload()); null until init()
+    this.reloadChain = Promise.resolve(); // Reloads run one at a time
+
+    // SOA/NS data for the zones served authoritatively (custom RBL and multi-RBL zones)
+    this.nameservers = config.nameservers
+      || (process.env.DNS_NS || '').split(',').map(ns => ns.trim()).filter(Boolean);
+    this.hostmaster = config.hostmaster || process.env.DNS_HOSTMASTER || null;
+    this.negativeTtl = parseInt(config.negativeTtl || process.env.DNS_NEGATIVE_TTL || '300', 10);
+    this.configSerial = 0; // Multi-RBL zone serial (time of the last config load)
+    this.customRblSerials = new Map(); // Custom RBL zone name -> serial, kept current by zone_changed
   }
 
   /**
@@ -76,112 +375,311 @@ class RBLDnsServer {
 
   /**
    * Initialize the server
+   * Missing or invalid config files fall back to defaults at startup
    */
   async init() {
-    // Load RBL servers from config
-    const servers = await getRblServers();
-    this.rblServersList = servers;
-    this.rblServers = servers.reduce((map, server) => {
+    const config = await this.loadConfig({ strict: false });
+    this.applyConfig(config);
+
+    this.reloadStatus = {
+      loadedAt: new Date().toISOString(),
+      reloadCount: 0,
+      lastReload: null
+    };
+
+    this.log(`Loaded ${Object.keys(this.rblServers).length} RBL servers`);
+    this.log(`Loaded ${this.multiRblZones.length} multi-RBL zone(s)`);
+  }
+
+  /**
+   * Load the full server configuration without applying it
+   * In strict mode any invalid file throws, so a reload never applies a
+   * partially valid config.
+   * @param {object} options - { strict }
+   * @returns {Promise<object>} Loaded configuration
+   */
+  async loadConfig({ strict }) {
+    // Load enabled RBL servers from the database
+    let servers;
+    try {
+      servers = await getRblServers();
+    } catch (error) {
+      throw new Error(`RBL servers: ${error.message}`);
+    }
+
+    const serverErrors = validateRblServers(servers);
+    if (serverErrors.length > 0) {
+      throw new Error(`RBL servers: ${serverErrors.join('; ')}`);
+    }
+
+    const rblServers = servers.reduce((map, server) => {
       map[server.host] = server;
       return map;
     }, {});
 
-    // Load custom RBL configuration
-    this.customRblConfig = await getCustomRblConfig();
-    if (this.customRblConfig) {
-      this.log(`Custom RBL enabled: ${this.customRblConfig.zone_name}`);
-      // Add custom RBL to the server map for DNS lookups
-      this.rblServers[this.customRblConfig.zone_name] = {
-        name: 'Custom RBL',
-        host: this.customRblConfig.zone_name,
-        description: this.customRblConfig.description || 'Custom blocklist'
+    // Load the enabled custom RBL zones
+    const customRblZones = await getCustomRblZones();
+    for (const zone of customRblZones) {
+      // Add each custom RBL zone to the server map for DNS lookups
+      rblServers[zone.zone_name] = {
+        name: `Custom RBL (${zone.zone_name})`,
+        host: zone.zone_name,
+        description: zone.description || (zone.type === 'allow' ? 'Custom allowlist' : 'Custom blocklist')
       };
     }
 
-    // Load multi-RBL zones configuration
-    await this.loadMultiRblZones();
+    return {
+      rblServersList: servers,
+      rblServers,
+      customRblZones,
+      multiRblZones: await this.loadMultiRblZones(strict),
+      accessControl: await this.loadAccessControl(strict),
+      zoneTransfer: await this.loadZoneTransfer(strict)
+    };
+  }
+
+  /**
+   * Swap in a loaded configuration
+   * All fields are assigned synchronously, so a query never sees a mix of old and new config.
+   */
+  applyConfig(config) {
+    this.rblServersList = config.rblServersList;
+    this.rblServers = config.rblServers;
+    this.customRblZones = config.customRblZones;
+    this.multiRblZones = config.multiRblZones;
+    this.customRblSerials = new Map(config.customRblZones.map(zone => [zone.zone_name, Number(zone.serial || 1)]));
+    this.accessControl = config.accessControl;
+    this.zoneTransfer = config.zoneTransfer;
+    this.configSerial = Math.floor(Date.now() / 1000);
+
+    for (const zone of this.customRblZones) {
+      this.log(`Custom RBL enabled: ${zone.zone_name} (${zone.return_code})`);
+    }
+
+    // Validate and log each zone
+    for (const zone of this.multiRblZones) {
+      const rblCount = zone.rbls === '*' ? 'all' : zone.rbls.length;
+      this.log(`  Zone: ${zone.domain} (${rblCount} RBLs) - ${zone.description || 'No description'}`);
+    }
 
-    // Load access control configuration
-    await this.loadAccessControl();
+    if (this.accessControl.enabled) {
+      this.log(`Access control enabled: ${this.accessControl.allowedNetworks.length} network(s) allowed`);
+      for (const network of this.accessControl.allowedNetworks) {
+        this.log(`  - ${network}`);
+      }
+    } else {
+      this.log('Access control disabled (all IPs allowed)');
+    }
 
-    this.log(`Loaded ${Object.keys(this.rblServers).length} RBL servers`);
-    this.log(`Loaded ${this.multiRblZones.length} multi-RBL zone(s)`);
+    if (this.zoneTransfer.allowTransfer.length > 0) {
+      this.log(`Zone transfers allowed from ${this.zoneTransfer.allowTransfer.length} network(s), NOTIFY to ${this.zoneTransfer.notify.length} secondary(s)`);
+
+      // Transferred records have no queried address, so $ip becomes the entry's network there
+      for (const zone of this.customRblZones) {
+        if (/\$ip\b/.test(zone.txt_template || '')) {
+          this.logError(`Warning: ${zone.zone_name} is transferable but its TXT template uses $ip - secondaries will answer the listed network instead of the queried address`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Re-read and validate all configuration, swapping it in only if everything is valid
+   * Reloads are queued, so a file change and a SIGHUP never load and apply
+   * config at the same time. Reloads before init() has finished are skipped.
+   * @param {string} trigger - What caused the reload (e.g. "SIGHUP", "etc/multi-rbl-zones.json", "rbl_servers")
+   * @returns {Promise<object>} Reload result, also kept in reloadStatus.lastReload
+   */
+  reload(trigger = 'manual') {
+    const run = this.reloadChain.then(() => this.runReload(trigger));
+    this.reloadChain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run one queued reload (see reload())
+   */
+  async runReload(trigger) {
+    const result = { trigger, at: new Date().toISOString(), success: false, error: null };
+
+    if (!this.reloadStatus) {
+      result.error = 'Server is still starting';
+      this.logError(`Config reload (${trigger}) skipped: server is still starting`);
+      return result;
+    }
+
+    try {
+      const config = await this.loadConfig({ strict: true });
+      this.applyConfig(config);
+
+      result.success = true;
+      result.rblServers = Object.keys(this.rblServers).length;
+      result.multiRblZones = this.multiRblZones.length;
+      result.accessControl = this.accessControl.enabled;
+      this.reloadStatus.loadedAt = result.at;
+      this.reloadStatus.reloadCount++;
+
+      this.log(`Config reloaded (${trigger}): ${result.rblServers} RBL servers, ${result.multiRblZones} multi-RBL zone(s)`);
+    } catch (error) {
+      result.error = error.message;
+      this.logError(`Config reload (${trigger}) rejected, keeping current config: ${error.message}`);
+    }
+
+    this.reloadStatus.lastReload = result;
+    return result;
+  }
+
+  /**
+   * Get server status for the status endpoint
+   */
+  getStatus() {
+    return {
+      listen: `${this.host}:${this.port}`,
+      rblServers: Object.keys(this.rblServers).length,
+      customRblZones: this.customRblZones.map(zone => zone.zone_name),
+      multiRblZones: this.multiRblZones.map(zone => zone.domain),
+      accessControl: {
+        enabled: this.accessControl.enabled,
+        allowedNetworks: this.accessControl.allowedNetworks.length
+      },
+      zoneTransfer: {
+        allowedNetworks: this.zoneTransfer.allowTransfer.length,
+        notify: this.zoneTransfer.notify.map(target => `${target.address}:${target.port}`)
+      },
+      config: this.reloadStatus
+    };
   }
 
   /**
    * Load access control configuration from file
+   * @param {boolean} strict - Throw on invalid config instead of falling back
+   * @returns {Promise<object>} { enabled, allowedNetworks }
    */
-  async loadAccessControl() {
+  async loadAccessControl(strict = false) {
     const configPath = join(process.cwd(), 'etc', 'dns-access-control.json');
     try {
       const data = await readFile(configPath, 'utf8');
       const config = JSON.parse(data);
 
-      this.accessControl.enabled = config.enabled || false;
-      this.accessControl.allowedNetworks = config.allowedNetworks || [];
-
-      if (this.accessControl.enabled) {
-        // Validate all CIDR entries
-        const validNetworks = [];
-        const invalidNetworks = [];
+      const enabled = config.enabled || false;
+      const allowedNetworks = config.allowedNetworks || [];
 
-        for (const cidr of this.accessControl.allowedNetworks) {
-          if (isValidCidr(cidr)) {
-            validNetworks.push(cidr);
-          } else {
-            invalidNetworks.push(cidr);
-          }
-        }
+      if (!Array.isArray(allowedNetworks)) {
+        throw new Error('allowedNetworks must be an array');
+      }
 
-        this.accessControl.allowedNetworks = validNetworks;
+      if (!enabled) {
+        return { enabled: false, allowedNetworks };
+      }
 
-        if (invalidNetworks.length > 0) {
-          this.logError(`Invalid CIDR entries in access control config: ${invalidNetworks.join(', ')}`);
-        }
+      // Validate all CIDR entries
+      const validNetworks = allowedNetworks.filter(cidr => isValidCidr(cidr));
+      const invalidNetworks = allowedNetworks.filter(cidr => !isValidCidr(cidr));
 
-        this.log(`Access control enabled: ${validNetworks.length} network(s) allowed`);
-        for (const network of validNetworks) {
-          this.log(`  - ${network}`);
+      if (invalidNetworks.length > 0) {
+        if (strict) {
+          throw new Error(`Invalid CIDR entries: ${invalidNetworks.join(', ')}`);
         }
-      } else {
-        this.log('Access control disabled (all IPs allowed)');
+        this.logError(`Invalid CIDR entries in access control config: ${invalidNetworks.join(', ')}`);
       }
+
+      return { enabled: true, allowedNetworks: validNetworks };
     } catch (error) {
       if (error.code === 'ENOENT') {
         this.log('No access control config found - all IPs allowed');
+      } else if (strict) {
+        throw new Error(`etc/dns-access-control.json: ${error.message}`);
       } else {
         this.logError(`Error loading access control config: ${error.message}`);
       }
-      this.accessControl.enabled = false;
-      this.accessControl.allowedNetworks = [];
+      return { enabled: false, allowedNetworks: [] };
+    }
+  }
+
+  /**
+   * Load custom RBL zone transfer configuration from file
+   * Without the file (or with enabled false) every transfer is refused.
+   * @param {boolean} strict - Throw on invalid config instead of falling back
+   * @returns {Promise<object>} { allowTransfer, notify } - notify holds { address, port }
+   */
+  async loadZoneTransfer(strict = false) {
+    const configPath = join(process.cwd(), 'etc', 'dns-zone-transfer.json');
+    try {
+      const data = await readFile(configPath, 'utf8');
+      const config = JSON.parse(data);
+
+      const allowTransfer = config.allowTransfer || [];
+      const notify = config.notify || [];
+
+      if (!Array.isArray(allowTransfer) || !Array.isArray(notify)) {
+        throw new Error('allowTransfer and notify must be arrays');
+      }
+
+      if (!config.enabled) {
+        return { allowTransfer: [], notify: [] };
+      }
+
+      const invalidNetworks = allowTransfer.filter(cidr => !isValidCidr(cidr));
+      const invalidTargets = notify.filter(target => !parseNotifyTarget(target));
+
+      if (invalidNetworks.length > 0 || invalidTargets.length > 0) {
+        const message = [
+          invalidNetworks.length > 0 ? `Invalid CIDR entries: ${invalidNetworks.join(', ')}` : null,
+          invalidTargets.length > 0 ? `Invalid notify targets: ${invalidTargets.join(', ')}` : null
+        ].filter(Boolean).join('; ');
+
+        if (strict) {
+          throw new Error(message);
+        }
+        this.logError(`Zone transfer config: ${message}`);
+      }
+
+      return {
+        allowTransfer: allowTransfer.filter(cidr => isValidCidr(cidr)),
+        notify: notify.map(parseNotifyTarget).filter(Boolean)
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.logVerbose('No zone transfer config found - transfers disabled');
+      } else if (strict) {
+        throw new Error(`etc/dns-zone-transfer.json: ${error.message}`);
+      } else {
+        this.logError(`Error loading zone transfer config: ${error.message}`);
+      }
+      return { allowTransfer: [], notify: [] };
     }
   }
 
   /**
    * Load multi-RBL zones configuration from file
+   * @param {boolean} strict - Throw on invalid config instead of falling back
+   * @returns {Promise<object[]>} Zone configurations
    */
-  async loadMultiRblZones() {
+  async loadMultiRblZones(strict = false) {
     const configPath = join(process.cwd(), 'etc', 'multi-rbl-zones.json');
     try {
       const data = await readFile(configPath, 'utf8');
       const config = JSON.parse(data);
-      this.multiRblZones = config.zones || [];
+      const zones = config.zones || [];
 
-      // Validate and log each zone
-      for (const zone of this.multiRblZones) {
-        const rblCount = zone.rbls === '*' ? 'all' : zone.rbls.length;
-        this.log(`  Zone: ${zone.domain} (${rblCount} RBLs) - ${zone.description || 'No description'}`);
+      const zoneErrors = validateMultiRblZones(zones);
+      if (zoneErrors.length > 0) {
+        throw new Error(zoneErrors.join('; '));
       }
+
+      return zones;
     } catch (error) {
       // Fall back to single domain from config if file doesn't exist
       if (error.code === 'ENOENT') {
         this.log('No multi-RBL zones config found, using legacy single domain');
+      } else if (strict) {
+        throw new Error(`etc/multi-rbl-zones.json: ${error.message}`);
       } else {
         this.logError(`Error loading multi-RBL zones config: ${error.message}`);
       }
 
       // Create default zone using legacy config
-      this.multiRblZones = [{
+      return [{
         domain: this.multiRblDomain,
         description: 'Default multi-RBL zone (all RBLs)',
         rbls: '*'
@@ -216,6 +714,19 @@ class RBLDnsServer {
     return parts.join('.');
   }
 
+  /**
+   * Parse domain from a domain RBL (RHSBL/URIBL) query
+   * e.g., "example.com.dbl.spamhaus.org" -> "example.com"
+   */
+  parseDomainQuery(query, rblHost) {
+    if (!query.endsWith(`.${rblHost}`)) {
+      return null;
+    }
+
+    const domain = query.slice(0, -(rblHost.length + 1)).toLowerCase();
+    return isValidDomain(domain) ? domain : null;
+  }
+
   /**
    * Parse IP from multi-RBL domain query
    * e.g., "2.0.0.127.multi-rbl.example.com" -> "127.0.0.2"
@@ -248,21 +759,36 @@ class RBLDnsServer {
 
   /**
    * Perform multi-RBL lookup for an IP with configurable timeout
+   * In zones with "honorAllowlist", IPs on a custom allowlist are answered
+   * NXDOMAIN without querying any RBL.
    */
   async performMultiRblLookup(ip, response, queryName, queryType, zoneConfig) {
     this.logVerbose(`Multi-RBL lookup for ${ip} on zone ${zoneConfig.domain} (${this.multiRblTimeout}ms timeout)`);
     const startTime = Date.now();
 
+    if (zoneConfig.honorAllowlist && !isValidDomain(ip)) {
+      const allowlisted = await checkAllowlist(ip);
+      if (allowlisted) {
+        response.header.rcode = dns.consts.NAME_TO_RCODE.NOTFOUND;
+        await this.addNegativeSoa(response, { domain: zoneConfig.domain, custom: false, zone: zoneConfig });
+        this.log(`  -> ALLOWLISTED on ${allowlisted.zone} (${allowlisted.network}, ${allowlisted.response})`);
+        return;
+      }
+    }
+
     // Track completed results and cache statistics
     const completedResults = [];
     let settledCount = 0;
     let cacheHits = 0;
     let cacheMisses = 0;
 
-    // Filter RBL list based on zone configuration
-    const rblsToCheck = zoneConfig.rbls === '*'
+    // Filter RBL list based on zone configuration and lookup type (IP or domain)
+    // Quarantined servers (see rbl-health.js) are left out of multi-RBL answers
+    const targetType = isValidDomain(ip) ? 'domain' : 'ip';
+    const rblsToCheck = (zoneConfig.rbls === '*'
       ? this.rblServersList
-      : this.rblServersList.filter(server => zoneConfig.rbls.includes(server.host));
+      : this.rblServersList.filter(server => zoneConfig.rbls.includes(server.host))
+    ).filter(server => getServerType(server) === targetType && !server.quarantined);
 
     this.logVerbose(`Checking ${rblsToCheck.length} RBLs for this zone`);
 
@@ -273,6 +799,10 @@ class RBLDnsServer {
         completedResults.push(result);
         settledCount++;
 
+        if (this.recordHistory && targetType === 'ip') {
+          recordHistory(ip, [result], 'dns');
+        }
+
         // Track cache hits/misses
         if (result.fromCache) {
           cacheHits++;
@@ -314,32 +844,64 @@ class RBLDnsServer {
     const results = completedResults.filter(r => r !== null);
     const completedCount = results.length;
 
-    // Count listed servers
+    // Count listed servers and weigh them
     const listedCount = results.filter(r => r.listed).length;
     const totalCount = rblsToCheck.length;
+    const { score, verdict } = scoreResults(results);
+
+    // Apply the zone policy, then pick the answer address:
+    //   listed  - 127.0.0.2
+    //   score   - 127.0.0.<score + 1>; a zero score (only weight 0 listings) is not listed
+    //   bitmask - bits of every listing RBL; listings without a bit don't count
+    const policy = evaluateZonePolicy(zoneConfig.policy, results, score);
+    let answerAddress = '127.0.0.2';
+
+    if (zoneConfig.answer === 'score') {
+      answerAddress = scoreToAddress(score);
+    } else if (zoneConfig.answer === 'bitmask') {
+      const bits = getZoneBits(zoneConfig);
+      const mask = results.filter(r => r.listed).reduce((sum, r) => sum | (bits.get(r.host) || 0), 0);
+      answerAddress = mask > 0 ? maskToAddress(mask) : null;
+    }
+
+    const listed = policy.listed && answerAddress !== null;
 
     response.header.qr = 1; // This is a response
     response.header.aa = 1; // Authoritative answer
     response.header.ra = 0; // Recursion not available
 
-    if (listedCount > 0) {
+    if (listed) {
       // Return different responses based on query type
       if (queryType === dns.consts.NAME_TO_QTYPE.TXT) {
         // TXT query - return summary and list of RBLs
-        const summary = `Listed on ${listedCount}/${completedCount} RBLs (${completedCount}/${totalCount} checked in ${elapsed}ms)`;
+        const summary = `Listed on ${listedCount}/${completedCount} RBLs, score ${score} (${verdict}) (${completedCount}/${totalCount} checked in ${elapsed}ms)`;
         response.answer.push(dns.TXT({
           name: queryName,
           data: [summary],  // Must be array of strings
           ttl: 300
         }));
 
+        // Explain which policy rule(s) fired
+        if (zoneConfig.policy) {
+          const joiner = zoneConfig.policy.match === 'all' ? ' AND ' : ' OR ';
+          response.answer.push(dns.TXT({
+            name: queryName,
+            data: this.splitTxtData(`Policy: ${policy.fired.join(joiner)}`),
+            ttl: 300
+          }));
+        }
+
         // Add TXT records for each listing (limit to 5 to avoid DNS packet size issues)
         const listedResults = results.filter(r => r.listed);
         const maxTxtRecords = 5;
         const txtRecordsToAdd = listedResults.slice(0, maxTxtRecords);
 
         txtRecordsToAdd.forEach(result => {
-          const txtData = `${result.name}: LISTED`;
+          // Include decoded categories when the RBL declares return codes
+          const categories = formatCategories(result.categories);
+          const txtData = categories
+            ? `${result.name}: LISTED (${categories})`
+            : `${result.name}: LISTED`;
           response.answer.push(dns.TXT({
             name: queryName,
             data: [txtData],  // Must be array of strings
@@ -356,30 +918,394 @@ class RBLDnsServer {
           }));
         }
       } else {
-        // A record query - just return the IP
+        // A record query
         response.answer.push(dns.A({
           name: queryName,
-          address: '127.0.0.2',
+          address: answerAddress,
           ttl: 300
         }));
       }
 
-      this.log(`  -> LISTED on ${listedCount}/${completedCount} RBLs (${completedCount}/${totalCount} completed in ${elapsed}ms)${timedOut ? ' [TIMEOUT]' : ''}`);
+      this.log(`  -> LISTED on ${listedCount}/${completedCount} RBLs, score ${score} (${verdict})${policy.fired.length > 0 ? ` [${policy.fired.join('; ')}]` : ''} (${completedCount}/${totalCount} completed in ${elapsed}ms)${timedOut ? ' [TIMEOUT]' : ''}`);
     } else {
       // Not listed on any RBL checked - respond with NXDOMAIN
       response.header.rcode = dns.consts.NAME_TO_RCODE.NOTFOUND;
-      this.log(`  -> NOT LISTED (${completedCount}/${totalCount} checked in ${elapsed}ms)${timedOut ? ' [TIMEOUT]' : ''}`);
+      await this.addNegativeSoa(response, { domain: zoneConfig.domain, custom: false, zone: zoneConfig });
+
+      const reason = listedCount > 0 ? ` by policy (listed on ${listedCount}, score ${score})` : '';
+      this.log(`  -> NOT LISTED${reason} (${completedCount}/${totalCount} checked in ${elapsed}ms)${timedOut ? ' [TIMEOUT]' : ''}`);
+    }
+  }
+
+  /**
+   * Find the authoritative zone (custom RBL or multi-RBL zone) containing a name
+   * When custom RBL zones are nested, the longest (closest) one wins.
+   * @param {string} queryName - Query name
+   * @returns {object|null} { domain, custom, zone } - zone is the multi-RBL zone config
+   */
+  findAuthoritativeZone(queryName) {
+    const name = queryName.toLowerCase();
+    const inZone = domain => name === domain.toLowerCase() || name.endsWith(`.${domain.toLowerCase()}`);
+
+    const custom = this.customRblZones
+      .filter(z => inZone(z.zone_name))
+      .sort((a, b) => b.zone_name.length - a.zone_name.length)[0];
+    if (custom) {
+      return { domain: custom.zone_name, custom: true, zone: null };
+    }
+
+    const zone = this.multiRblZones.find(z => inZone(z.domain));
+    return zone ? { domain: zone.domain, custom: false, zone } : null;
+  }
+
+  /**
+   * Get the nameservers of an authoritative zone
+   * Zone "ns" wins over DNS_NS; the host name is the last resort.
+   */
+  getZoneNameservers(auth) {
+    const nameservers = (auth.zone && auth.zone.ns) || this.nameservers;
+    return nameservers.length > 0 ? nameservers : [os.hostname()];
+  }
+
+  /**
+   * Build the SOA record of an authoritative zone
+   * Custom RBL serials are loaded with the config and kept current by
+   * zone_changed notifications, so negative answers don't query the database;
+   * multi-RBL zones use the time of the last config load.
+   * @param {object} auth - Authoritative zone (see findAuthoritativeZone())
+   * @param {number|null} serial - Serial to use instead (zone transfers)
+   */
+  async buildSoaRecord(auth, serial = null) {
+    if (serial === null && auth.custom) {
+      serial = this.customRblSerials.get(auth.domain) || 1;
+    } else if (serial === null) {
+      serial = this.configSerial;
     }
+
+    const hostmaster = (auth.zone && auth.zone.hostmaster) || this.hostmaster || `hostmaster.${auth.domain}`;
+
+    return dns.SOA({
+      name: auth.domain,
+      primary: this.getZoneNameservers(auth)[0],
+      admin: hostmaster.replace('@', '.'),
+      serial,
+      refresh: SOA_REFRESH,
+      retry: SOA_RETRY,
+      expiration: SOA_EXPIRE,
+      minimum: this.negativeTtl,
+      ttl: this.negativeTtl
+    });
+  }
+
+  /**
+   * Add the zone SOA to the authority section (negative answers, RFC 2308)
+   */
+  async addNegativeSoa(response, auth) {
+    response.authority.push(await this.buildSoaRecord(auth));
+  }
+
+  /**
+   * Answer queries that don't need a lookup: the zone apex (SOA, NS),
+   * RFC 5782 test points and record types the zones don't serve
+   * @returns {Promise<boolean>} True if the query was answered
+   */
+  async answerAuthoritative(auth, queryName, queryType, response) {
+    const types = dns.consts.NAME_TO_QTYPE;
+    const name = queryName.toLowerCase();
+
+    response.header.qr = 1;
+    response.header.aa = 1;
+    response.header.ra = 0;
+
+    if (name === auth.domain.toLowerCase()) {
+      if (queryType === types.SOA) {
+        response.answer.push(await this.buildSoaRecord(auth));
+      } else if (queryType === types.NS) {
+        for (const ns of this.getZoneNameservers(auth)) {
+          response.answer.push(dns.NS({ name: auth.domain, data: ns, ttl: SOA_REFRESH }));
+        }
+      } else {
+        await this.addNegativeSoa(response, auth);
+      }
+      this.logVerbose(`  -> Zone apex ${auth.domain} (${dns.consts.qtypeToName(queryType)})`);
+      return true;
+    }
+
+    const testPoint = TEST_POINTS[name.slice(0, -(auth.domain.length + 1))];
+
+    if (testPoint === 'not_listed') {
+      response.header.rcode = dns.consts.NAME_TO_RCODE.NOTFOUND;
+      await this.addNegativeSoa(response, auth);
+      this.logVerbose('  -> Test point: NOT LISTED');
+      return true;
+    }
+
+    if (testPoint === 'listed' && queryType === types.A) {
+      response.answer.push(dns.A({ name: queryName, address: '127.0.0.2', ttl: SOA_REFRESH }));
+      this.logVerbose('  -> Test point: LISTED');
+      return true;
+    }
+
+    if (testPoint === 'listed' && queryType === types.TXT) {
+      response.answer.push(dns.TXT({ name: queryName, data: ['Test point (RFC 5782)'], ttl: SOA_REFRESH }));
+      this.logVerbose('  -> Test point: LISTED');
+      return true;
+    }
+
+    // Listings only have A and TXT records
+    if (queryType !== types.A && queryType !== types.TXT) {
+      await this.addNegativeSoa(response, auth);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Answer a bit map query for a bitmask zone
+   * One TXT record per RBL: "<answer address> <host>" (NODATA for other types)
+   */
+  answerZoneBitmap(response, queryName, queryType, zoneConfig) {
+    response.header.qr = 1;
+    response.header.aa = 1;
+    response.header.ra = 0;
+
+    if (queryType !== dns.consts.NAME_TO_QTYPE.TXT) {
+      return;
+    }
+
+    const bits = [...getZoneBits(zoneConfig).entries()].sort((a, b) => a[1] - b[1]);
+    for (const [host, bit] of bits) {
+      response.answer.push(dns.TXT({
+        name: queryName,
+        data: [`${maskToAddress(bit)} ${host}`],
+        ttl: 3600
+      }));
+    }
+
+    this.logVerbose(`  -> Bit map for ${zoneConfig.domain} (${bits.length} RBLs)`);
+  }
+
+  /**
+   * Split TXT record text into 255-character strings
+   * (a single TXT character-string cannot exceed 255 bytes)
+   */
+  splitTxtData(text) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += 255) {
+      chunks.push(text.substring(i, i + 255));
+    }
+    return chunks;
+  }
+
+  /**
+   * Build a transferable record from a custom RBL zone record
+   */
+  toTransferRecord(record, domain) {
+    const name = `${record.name}.${domain}`;
+    return record.type === 'A'
+      ? dns.A({ name, address: record.data, ttl: 3600 })
+      : dns.TXT({ name, data: this.splitTxtData(record.data), ttl: 3600 });
+  }
+
+  /**
+   * Answer an AXFR or IXFR query for a custom RBL zone
+   * Only clients in allowTransfer (etc/dns-zone-transfer.json) may transfer.
+   * IXFR answers with the differences since the client's serial when the
+   * journal still covers it, and with the full zone otherwise (RFC 1995).
+   */
+  async handleTransfer(request, response, protocol, clientIp) {
+    const question = request.question[0];
+    const isIxfr = question.type === dns.consts.NAME_TO_QTYPE.IXFR;
+    const auth = this.findAuthoritativeZone(question.name);
+
+    response.header.qr = 1;
+    response.header.aa = 1;
+    response.header.ra = 0;
+
+    // Multi-RBL zones are computed per query, so only custom RBL zones can be transferred
+    if (!auth || !auth.custom || question.name.toLowerCase() !== auth.domain.toLowerCase()) {
+      this.log(`Zone transfer of ${question.name} refused: not a transferable zone`);
+      response.header.rcode = dns.consts.NAME_TO_RCODE.NOTAUTH;
+      response.send();
+      return;
+    }
+
+    const { allowTransfer } = this.zoneTransfer;
+    if (allowTransfer.length === 0 || !isIpAllowed(clientIp, allowTransfer)) {
+      this.log(`Zone transfer of ${auth.domain} refused for ${clientIp}`);
+      response.header.rcode = dns.consts.NAME_TO_RCODE.REFUSED;
+      response.send();
+      return;
+    }
+
+    const clientSoa = isIxfr ? (request.authority || []).find(r => r.type === dns.consts.NAME_TO_QTYPE.SOA) : null;
+    if (isIxfr && !clientSoa) {
+      response.header.rcode = dns.consts.NAME_TO_RCODE.FORMERR;
+      response.send();
+      return;
+    }
+
+    // AXFR is TCP only; IXFR over UDP just gets the current SOA (retry over TCP)
+    if (protocol !== 'TCP') {
+      if (isIxfr) {
+        response.answer.push(await this.buildSoaRecord(auth));
+      } else {
+        response.header.rcode = dns.consts.NAME_TO_RCODE.REFUSED;
+      }
+      response.send();
+      return;
+    }
+
+    try {
+      const transfer = await getZoneTransfer(auth.domain, clientSoa ? clientSoa.serial : null);
+      if (!transfer) {
+        response.header.rcode = dns.consts.NAME_TO_RCODE.NOTAUTH;
+        response.send();
+        return;
+      }
+
+      const soa = await this.buildSoaRecord(auth, transfer.serial);
+
+      // Secondary is up to date
+      if (clientSoa && clientSoa.serial >= transfer.serial) {
+        response.answer.push(soa);
+        response.send();
+        this.log(`IXFR ${auth.domain} to ${clientIp}: up to date (serial ${transfer.serial})`);
+        return;
+      }
+
+      let records;
+
+      if (transfer.previous) {
+        const { deleted, added } = diffZoneRecords(transfer.previous, transfer.records);
+        records = [
+          soa,
+          await this.buildSoaRecord(auth, clientSoa.serial),
+          ...deleted.map(record => this.toTransferRecord(record, auth.domain)),
+          soa,
+          ...added.map(record => this.toTransferRecord(record, auth.domain)),
+          soa
+        ];
+        this.log(`IXFR ${auth.domain} to ${clientIp}: serial ${clientSoa.serial} -> ${transfer.serial} (${deleted.length} deleted, ${added.length} added)`);
+      } else {
+        const testPoints = Object.keys(TEST_POINTS)
+          .filter(point => TEST_POINTS[point] === 'listed')
+          .flatMap(point => [
+            dns.A({ name: `${point}.${auth.domain}`, address: '127.0.0.2', ttl: SOA_REFRESH }),
+            dns.TXT({ name: `${point}.${auth.domain}`, data: ['Test point (RFC 5782)'], ttl: SOA_REFRESH })
+          ]);
+
+        records = [
+          soa,
+          ...this.getZoneNameservers(auth).map(ns => dns.NS({ name: auth.domain, data: ns, ttl: SOA_REFRESH })),
+          ...testPoints,
+          ...[...transfer.records.values()].map(record => this.toTransferRecord(record, auth.domain)),
+          soa
+        ];
+        this.log(`${isIxfr ? 'IXFR (full)' : 'AXFR'} ${auth.domain} to ${clientIp}: serial ${transfer.serial} (${records.length} records)`);
+      }
+
+      this.sendTransfer(response, records);
+    } catch (error) {
+      this.logError(`Zone transfer of ${auth.domain} to ${clientIp} failed: ${error.message}`);
+      response.header.rcode = dns.consts.NAME_TO_RCODE.SERVFAIL;
+      response.send();
+    }
+  }
+
+  /**
+   * Send transfer records over a TCP connection, split into as many messages as needed
+   */
+  sendTransfer(response, records) {
+    let message = [];
+    let size = 0;
+
+    for (const record of records) {
+      const recordSize = estimateRecordSize(record);
+      if (message.length > 0 && size + recordSize > TRANSFER_MESSAGE_BYTES) {
+        response.answer = message;
+        response.send();
+        message = [];
+        size = 0;
+      }
+      message.push(record);
+      size += recordSize;
+    }
+
+    response.answer = message;
+    response.send();
+  }
+
+  /**
+   * Send NOTIFY for a custom RBL zone to every configured secondary
+   * @param {string} zone - Zone name
+   * @param {number} serial - New zone serial (for logging)
+   */
+  async notifySecondaries(zone, serial) {
+    if (!this.customRblZones.some(z => z.zone_name === zone) || this.zoneTransfer.notify.length === 0) {
+      return;
+    }
+
+    await Promise.all(this.zoneTransfer.notify.map(async (target) => {
+      const acknowledged = await this.sendNotify(zone, target);
+      if (acknowledged) {
+        this.logVerbose(`NOTIFY ${zone} (serial ${serial}) acknowledged by ${target.address}:${target.port}`);
+      } else {
+        this.logError(`NOTIFY ${zone} (serial ${serial}) to ${target.address}:${target.port} not acknowledged after ${NOTIFY_ATTEMPTS} attempts`);
+      }
+    }));
+  }
+
+  /**
+   * Send a NOTIFY to one secondary, retrying until it answers
+   * @returns {Promise<boolean>} True if the secondary answered
+   */
+  sendNotify(zone, target) {
+    return new Promise((resolve) => {
+      const socket = dgram.createSocket(net.isIPv6(target.address) ? 'udp6' : 'udp4');
+      const id = Math.floor(Math.random() * 65536);
+      const message = encodeNotify(zone, id);
+      let attempts = 0;
+      let timer = null;
+
+      const finish = (acknowledged) => {
+        clearTimeout(timer);
+        socket.close();
+        resolve(acknowledged);
+      };
+
+      const send = () => {
+        if (attempts++ >= NOTIFY_ATTEMPTS) {
+          finish(false);
+          return;
+        }
+        socket.send(message, target.port, target.address);
+        timer = setTimeout(send, NOTIFY_TIMEOUT);
+      };
+
+      socket.on('message', (reply) => {
+        if (reply.length >= 12 && reply.readUInt16BE(0) === id && (reply[2] & 0x80)) {
+          finish(true);
+        }
+      });
+      socket.on('error', (error) => {
+        this.logError(`NOTIFY to ${target.address}:${target.port} failed: ${error.message}`);
+        finish(false);
+      });
+
+      send();
+    });
   }
 
   /**
    * Handle DNS query
    */
-  async handleQuery(request, response) {
+  async handleQuery(request, response, protocol = 'UDP') {
     const question = request.question[0];
     const queryName = question.name;
     const queryType = question.type;
-    const clientIp = request.address.address;
+    const clientIp = getClientIp(request);
 
     this.logVerbose(`Query: ${queryName} (${dns.consts.qtypeToName(queryType)}) from ${clientIp}`);
 
@@ -393,19 +1319,44 @@ class RBLDnsServer {
       }
     }
 
+    if (queryType === dns.consts.NAME_TO_QTYPE.AXFR || queryType === dns.consts.NAME_TO_QTYPE.IXFR) {
+      return this.handleTransfer(request, response, protocol, clientIp);
+    }
+
+    // The custom RBL and multi-RBL zones are served authoritatively and
+    // never forwarded upstream
+    const auth = this.findAuthoritativeZone(queryName);
+    if (auth && await this.answerAuthoritative(auth, queryName, queryType, response)) {
+      response.send();
+      return;
+    }
+
     // Check if this is a multi-RBL lookup query for any configured zone
+    // (matched case-insensitively, as resolvers may randomise the qname's case)
+    const name = queryName.toLowerCase();
     let matchedZone = null;
+    let zoneDomain = null;
     for (const zone of this.multiRblZones) {
-      if (queryName.endsWith(`.${zone.domain}`)) {
+      if (name.endsWith(`.${zone.domain.toLowerCase()}`)) {
         matchedZone = zone;
+        zoneDomain = zone.domain.toLowerCase();
         break;
       }
     }
 
+    // Bitmask zones publish their bit map at _bitmask.<zone>
+    if (matchedZone && matchedZone.answer === 'bitmask' && name === `${BITMAP_LABEL}.${zoneDomain}`) {
+      this.answerZoneBitmap(response, queryName, queryType, matchedZone);
+      response.send();
+      return;
+    }
+
     if (matchedZone) {
-      const ip = this.parseMultiRblIp(queryName, matchedZone.domain);
-      if (ip) {
-        await this.performMultiRblLookup(ip, response, queryName, queryType, matchedZone);
+      // Reversed IP, or a domain checked against the zone's domain RBLs
+      const target = this.parseMultiRblIp(name, zoneDomain)
+        || this.parseDomainQuery(name, zoneDomain);
+      if (target) {
+        await this.performMultiRblLookup(target, response, queryName, queryType, matchedZone);
         this.logVerbose(`  -> Sending response...`);
         response.send();
         this.logVerbose(`  -> Response sent`);
@@ -413,34 +1364,50 @@ class RBLDnsServer {
       }
     }
 
-    // Only handle A record queries for regular RBL lookups
-    if (queryType !== dns.consts.NAME_TO_QTYPE.A) {
-      this.logVerbose(`Skipping non-A record query type: ${dns.consts.qtypeToName(queryType)}`);
+    // Names in our zones that aren't valid lookups don't exist
+    if (auth && (!auth.custom || !this.parseReverseIp(queryName, auth.domain))) {
+      this.logVerbose(`  -> NXDOMAIN: ${queryName} is not a valid lookup in ${auth.domain}`);
+      response.header.qr = 1;
+      response.header.rcode = dns.consts.NAME_TO_RCODE.NOTFOUND;
+      await this.addNegativeSoa(response, auth);
+      response.send();
+      return;
+    }
+
+    // Only handle A and TXT record queries for regular RBL lookups
+    const isTxtQuery = queryType === dns.consts.NAME_TO_QTYPE.TXT;
+    if (queryType !== dns.consts.NAME_TO_QTYPE.A && !isTxtQuery) {
+      this.logVerbose(`Skipping non-A/TXT record query type: ${dns.consts.qtypeToName(queryType)}`);
       return this.forwardQuery(request, response);
     }
 
     // Check if this is an RBL query
     let isRblQuery = false;
     let rblHost = null;
-    let ip = null;
+    let ip = null; // IP address, or domain for domain RBLs
     let isCustomRbl = false;
 
-    for (const host of Object.keys(this.rblServers)) {
-      if (queryName.endsWith(`.${host}`)) {
-        isRblQuery = true;
-        rblHost = host;
-        ip = this.parseReverseIp(queryName, host);
-
-        // Check if this is the custom RBL
-        if (this.customRblConfig && host === this.customRblConfig.zone_name) {
-          isCustomRbl = true;
+    if (auth && auth.custom) {
+      // One of the custom RBL zones
+      isRblQuery = true;
+      isCustomRbl = true;
+      rblHost = auth.domain;
+      ip = this.parseReverseIp(queryName, auth.domain);
+    } else {
+      for (const host of Object.keys(this.rblServers)) {
+        if (queryName.endsWith(`.${host}`)) {
+          isRblQuery = true;
+          rblHost = host;
+          ip = getServerType(this.rblServers[host]) === 'domain'
+            ? this.parseDomainQuery(queryName, host)
+            : this.parseReverseIp(queryName, host);
+          break;
         }
-        break;
       }
     }
 
     if (!isRblQuery || !ip) {
-      this.logVerbose(`Not an RBL query or invalid IP, forwarding: ${queryName}`);
+      this.logVerbose(`Not an RBL query or invalid IP/domain, forwarding: ${queryName}`);
       return this.forwardQuery(request, response);
     }
 
@@ -456,6 +1423,10 @@ class RBLDnsServer {
       } else {
         // Use standard RBL lookup with cache
         result = await lookupSingleRblWithCache(ip, rblServer, this.db);
+
+        if (this.recordHistory && getServerType(rblServer) === 'ip') {
+          recordHistory(ip, [result], 'dns');
+        }
       }
 
       response.header.qr = 1; // This is a response
@@ -465,24 +1436,37 @@ class RBLDnsServer {
       if (result.listed) {
         // IP is listed - respond with the RBL response IP (usually 127.0.0.x)
         const responseIp = result.response || '127.0.0.2';
-
-        response.answer.push(dns.A({
-          name: queryName,
-          address: responseIp,
-          ttl: result.ttl || 3600
-        }));
-
-        // Add TXT record with reason for custom RBL
-        if (isCustomRbl && result.reason) {
-          response.answer.push(dns.TXT({
+        // Custom RBLs answer the zone's rendered TXT template
+        const txt = result.txt || result.reason;
+
+        if (isTxtQuery) {
+          // TXT query - answer with the listing reason (NODATA if the RBL published none)
+          if (txt) {
+            response.answer.push(dns.TXT({
+              name: queryName,
+              data: this.splitTxtData(txt),
+              ttl: result.ttl || 3600
+            }));
+          }
+        } else {
+          response.answer.push(dns.A({
             name: queryName,
-            data: [result.reason],  // Must be array of strings
-            ttl: 3600
+            address: responseIp,
+            ttl: result.ttl || 3600
           }));
+
+          // Add TXT record with reason for custom RBL
+          if (isCustomRbl && txt) {
+            response.answer.push(dns.TXT({
+              name: queryName,
+              data: this.splitTxtData(txt),
+              ttl: 3600
+            }));
+          }
         }
 
         const cacheInfo = result.fromCache ? `[CACHED:${result.cacheSource || 'unknown'}]` : '[DNS]';
-        this.logVerbose(`  -> LISTED (${responseIp})${isCustomRbl ? ` [${result.reason || 'No reason'}]` : ''} ${cacheInfo}`);
+        this.logVerbose(`  -> LISTED (${responseIp}) [${result.reason || 'No reason'}] ${cacheInfo}`);
       } else if (result.error) {
         // Error occurred - respond with SERVFAIL
         const cacheInfo = result.fromCache ? `[CACHED:${result.cacheSource || 'unknown'}]` : '[DNS]';
@@ -493,6 +1477,10 @@ class RBLDnsServer {
         const cacheInfo = result.fromCache ? `[CACHED:${result.cacheSource || 'unknown'}]` : '[DNS]';
         this.logVerbose(`  -> NOT LISTED ${cacheInfo}`);
         response.header.rcode = dns.consts.NAME_TO_RCODE.NOTFOUND;
+
+        if (auth) {
+          await this.addNegativeSoa(response, auth);
+        }
       }
 
       this.logVerbose(`  -> Sending response...`);
@@ -542,7 +1530,7 @@ class RBLDnsServer {
   attachServerHandlers(server, protocol) {
     server.on('request', (request, response) => {
       this.logVerbose(`\n==> Received ${protocol} request from ${request.address.address}:${request.address.port}`);
-      this.handleQuery(request, response).catch(err => {
+      this.handleQuery(request, response, protocol).catch(err => {
         this.logError(`Error handling request: ${err.message}`);
         this.logError(err.stack);
         response.header.rcode = dns.consts.NAME_TO_RCODE.SERVFAIL;
@@ -596,8 +1584,11 @@ class RBLDnsServer {
     this.log(`  Multi-RBL Timeout: ${this.multiRblTimeout}ms`);
     this.log(`  Log Level: ${this.logLevel}`);
     this.log(`  Cache: PostgreSQL database`);
-    if (this.customRblConfig) {
-      this.log(`  Custom RBL: ${this.customRblConfig.zone_name}`);
+    for (const zone of this.customRblZones) {
+      this.log(`  Custom RBL: ${zone.zone_name}`);
+    }
+    if (this.zoneTransfer.allowTransfer.length > 0) {
+      this.log(`  Zone Transfers: ENABLED (${this.zoneTransfer.allowTransfer.length} network(s), ${this.zoneTransfer.notify.length} NOTIFY target(s))`);
     }
     if (this.accessControl.enabled) {
       this.log(`  Access Control: ENABLED (${this.accessControl.allowedNetworks.length} network(s) allowed)`);
@@ -606,10 +1597,13 @@ class RBLDnsServer {
     }
     this.log(`\nTo test single RBL:`);
     this.log(`  dig @localhost -p ${this.port} 2.0.0.127.zen.spamhaus.org`);
-    if (this.customRblConfig) {
+    this.log(`  dig @localhost -p ${this.port} 2.0.0.127.zen.spamhaus.org TXT`);
+    if (this.customRblZones.length > 0) {
       this.log(`\nTo test custom RBL:`);
-      this.log(`  dig @localhost -p ${this.port} 1.2.3.4.${this.customRblConfig.zone_name}`);
-      this.log(`  dig @localhost -p ${this.port} 1.2.3.4.${this.customRblConfig.zone_name} TXT`);
+      for (const zone of this.customRblZones) {
+        this.log(`  dig @localhost -p ${this.port} 1.2.3.4.${zone.zone_name}`);
+        this.log(`  dig @localhost -p ${this.port} 1.2.3.4.${zone.zone_name} TXT`);
+      }
     }
     this.log(`\nTo test multi-RBL lookup:`);
     for (const zone of this.multiRblZones) {
@@ -617,6 +1611,28 @@ class RBLDnsServer {
       this.log(`  dig @localhost -p ${this.port} 2.0.0.127.${zone.domain} TXT`);
     }
 
+    // Pick up RBL server changes made through the admin API
+    rblServerEvents.on('change', () => this.reload('rbl_servers'));
+
+    // Tell secondaries when a custom RBL zone changes, and pick up zones
+    // created, changed or deleted through the admin API
+    customRblEvents.on('zone_changed', ({ zone, serial }) => {
+      if (this.customRblSerials.has(zone)) {
+        this.customRblSerials.set(zone, Math.max(serial, this.customRblSerials.get(zone)));
+      }
+      this.notifySecondaries(zone, serial);
+    });
+    customRblEvents.on('config_changed', () => this.reload('custom_rbl_zones'));
+    watchCustomRblZone();
+
+    // Prune the IXFR journal every hour
+    setInterval(async () => {
+      const deleted = await pruneZoneJournal();
+      if (deleted > 0) {
+        this.log(`Pruned ${deleted} custom RBL journal entries`);
+      }
+    }, 60 * 60 * 1000);
+
     // Clean expired cache entries every 5 minutes
     setInterval(async () => {
       const deleted = await this.db.cleanExpired();
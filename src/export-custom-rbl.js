@@ -0,0 +1,111 @@
+/**
+ * Multi-RBL Lookup Tool
+ * Copyright (C) 2025 Matthew Asham & Multi-RBL Lookup Contributors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Export a custom RBL zone to a file (for cron)
+ * The file is replaced atomically and left untouched when nothing changed,
+ * so rbldnsd and BIND only reload when the list did.
+ *
+ * Usage: node src/export-custom-rbl.js --format=<format> [--zone=<zone>] [--output=<file>] [--expand]
+ */
+
+import { readFile, writeFile, rename } from 'fs/promises';
+import { exportCustomRbl, EXPORT_FORMATS } from './custom-rbl-export.js';
+import { closePool } from './db-postgres.js';
+
+function showHelp() {
+  console.log(`
+Export the custom RBL for rbldnsd, BIND or plain CIDR consumers
+
+Usage: node src/export-custom-rbl.js --format=<format> [options]
+
+Formats:
+  ip4set                     rbldnsd ip4set data file (IPv4 entries)
+  ip6trie                    rbldnsd ip6trie data file (IPv6 entries)
+  bind                       BIND zone file (wildcard records)
+  cidr                       Plain CIDR list, one network per line
+
+Options:
+  --zone=<zone>              Zone to export (default: the first enabled zone)
+  --output=<file>            Write to a file instead of stdout
+  --expand                   bind: one name per address instead of wildcards
+  --help, -h                 Show this help message
+
+Examples:
+  node src/export-custom-rbl.js --format=ip4set --output=/var/lib/rbldnsd/myrbl.ip4set
+  node src/export-custom-rbl.js --format=bind --output=/etc/bind/myrbl.example.com.zone
+  node src/export-custom-rbl.js --format=cidr --zone=policy.example.com --output=/etc/postfix/policy.cidr
+
+Cron (every 5 minutes):
+  */5 * * * * cd /opt/multirbl && node src/export-custom-rbl.js --format=ip4set --output=/var/lib/rbldnsd/myrbl.ip4set
+`);
+}
+
+async function exportToFile() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const formatArg = args.find(arg => arg.startsWith('--format='));
+  const outputArg = args.find(arg => arg.startsWith('--output='));
+  const zoneArg = args.find(arg => arg.startsWith('--zone='));
+  const format = formatArg ? formatArg.split('=')[1] : null;
+  const output = outputArg ? outputArg.slice('--output='.length) : null;
+  const zone = zoneArg ? zoneArg.split('=')[1] : null;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.error(`✗ --format is required (${EXPORT_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  try {
+    const result = await exportCustomRbl(format, { zone, expand: args.includes('--expand') });
+    await closePool();
+
+    if (!result.success) {
+      console.error('✗ Export failed:', result.error);
+      process.exit(1);
+    }
+
+    if (!output) {
+      process.stdout.write(result.content);
+      process.exit(0);
+    }
+
+    const current = await readFile(output, 'utf8').catch(() => null);
+    if (current === result.content) {
+      console.log(`✓ ${output} is up to date (serial ${result.serial})`);
+      process.exit(0);
+    }
+
+    const tempFile = `${output}.tmp-${process.pid}`;
+    await writeFile(tempFile, result.content);
+    await rename(tempFile, output);
+
+    console.log(`✓ Exported ${result.entries} entries of ${result.zone} to ${output} (${format}, serial ${result.serial})`);
+    process.exit(0);
+  } catch (error) {
+    console.error('✗ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+exportToFile();
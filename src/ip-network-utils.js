@@ -199,7 +199,79 @@ export function isValidCidr(cidr) {
   }
 }
 
+/**
+ * Convert 32-bit integer to IPv4 address
+ */
+function intToIpv4(num) {
+  return [
+    (num >>> 24) & 255,
+    (num >>> 16) & 255,
+    (num >>> 8) & 255,
+    num & 255
+  ].join('.');
+}
+
+/**
+ * Convert BigInt to IPv6 address (uncompressed groups, leading zeros stripped)
+ */
+function bigIntToIpv6(num) {
+  const hex = num.toString(16).padStart(32, '0');
+  const groups = [];
+  for (let i = 0; i < 32; i += 4) {
+    groups.push(parseInt(hex.substring(i, i + 4), 16).toString(16));
+  }
+  return groups.join(':');
+}
+
+/**
+ * Expand a CIDR network into its individual IP addresses
+ * @param {string} cidr - CIDR notation (e.g., "192.0.2.0/28")
+ * @param {number} limit - Maximum number of addresses to return
+ * @returns {string[]} - IP addresses in the network
+ * @throws {Error} If the CIDR is invalid or contains more than limit addresses
+ */
+export function expandCidr(cidr, limit = 256) {
+  if (!isValidCidr(cidr)) {
+    throw new Error(`Invalid CIDR: ${cidr}`);
+  }
+
+  const [network, prefixLen] = cidr.split('/');
+  const prefix = parseInt(prefixLen, 10);
+
+  if (isIPv6(network)) {
+    const hostBits = 128 - prefix;
+    const size = 1n << BigInt(hostBits);
+
+    if (size > BigInt(limit)) {
+      throw new Error(`CIDR ${cidr} contains more than ${limit} addresses`);
+    }
+
+    const mask = prefix === 0 ? 0n : (~0n << BigInt(hostBits)) & ((1n << 128n) - 1n);
+    const start = ipv6ToBigInt(network) & mask;
+    const addresses = [];
+    for (let i = 0n; i < size; i++) {
+      addresses.push(bigIntToIpv6(start + i));
+    }
+    return addresses;
+  }
+
+  const size = 2 ** (32 - prefix);
+
+  if (size > limit) {
+    throw new Error(`CIDR ${cidr} contains more than ${limit} addresses`);
+  }
+
+  const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+  const start = (ipv4ToInt(network) & mask) >>> 0;
+  const addresses = [];
+  for (let i = 0; i < size; i++) {
+    addresses.push(intToIpv4(start + i));
+  }
+  return addresses;
+}
+
 export default {
   isIpAllowed,
-  isValidCidr
+  isValidCidr,
+  expandCidr
 };
@@ -0,0 +1,191 @@
+/**
+ * Multi-RBL Lookup Tool
+ * Copyright (C) 2025 Matthew Asham & Multi-RBL Lookup Contributors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Lookup History
+ * Append-only record of fresh (non-cached) RBL results, kept for
+ * HISTORY_RETENTION_DAYS, and per-RBL listing timelines built from it
+ */
+
+import { query } from './db-postgres.js';
+
+const HISTORY_RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS || '90', 10);
+
+/**
+ * Append lookup results for an IP to the history
+ * Cached results are skipped - they repeat an answer that is already recorded.
+ * Never throws; history is best-effort and must not fail a lookup.
+ * @param {string} ip - IP address
+ * @param {object[]} results - RBL results (from lookupSingleRblWithCache / lookupIpCached)
+ * @param {string} source - Where the lookup came from ("lookup" or "dns")
+ * @returns {Promise<number>} Number of rows written
+ */
+export async function recordHistory(ip, results, source = 'lookup') {
+  const fresh = results.filter(result => result && !result.fromCache && result.status);
+
+  if (fresh.length === 0) {
+    return 0;
+  }
+
+  try {
+    const result = await query(
+      `INSERT INTO lookup_history (ip, rbl_host, status, response, source)
+       SELECT $1::inet, rbl_host, status, response, $5
+       FROM unnest($2::text[], $3::text[], $4::inet[]) AS t(rbl_host, status, response)`,
+      [
+        ip,
+        fresh.map(r => r.host),
+        fresh.map(r => r.status),
+        fresh.map(r => r.response || null),
+        source
+      ]
+    );
+
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error recording lookup history:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Build a timeline from one RBL's observations (oldest first)
+ * Errors and blocked answers are counted but don't start or end a period.
+ */
+function buildTimeline(rows) {
+  const timeline = {
+    checks: rows.length,
+    listedChecks: 0,
+    firstSeenListed: null,
+    lastSeenListed: null,
+    flaps: 0,
+    currentStatus: rows[rows.length - 1].status,
+    lastCheckedAt: rows[rows.length - 1].checked_at,
+    periods: []
+  };
+
+  let current = null;
+
+  for (const row of rows) {
+    if (row.status === 'listed') {
+      timeline.listedChecks++;
+      timeline.firstSeenListed = timeline.firstSeenListed || row.checked_at;
+      timeline.lastSeenListed = row.checked_at;
+    }
+
+    if (row.status !== 'listed' && row.status !== 'not_listed') {
+      continue;
+    }
+
+    if (current && current.status === row.status) {
+      current.to = row.checked_at;
+      current.checks++;
+      continue;
+    }
+
+    if (current) {
+      timeline.flaps++;
+    }
+
+    current = { status: row.status, from: row.checked_at, to: row.checked_at, checks: 1 };
+    timeline.periods.push(current);
+  }
+
+  return timeline;
+}
+
+/**
+ * Get per-RBL listing timelines for an IP
+ * @param {string} ip - IP address
+ * @param {object} options - Query options (days - how far back to look)
+ * @returns {Promise<object>} Result with timelines, listed RBLs first
+ */
+export async function getIpHistory(ip, options = {}) {
+  const days = options.days || HISTORY_RETENTION_DAYS || 90;
+
+  try {
+    const result = await query(
+      `SELECT rbl_host, status, host(response) as response, source, checked_at
+       FROM lookup_history
+       WHERE ip = $1::inet AND checked_at >= CURRENT_TIMESTAMP - make_interval(days => $2)
+       ORDER BY rbl_host, checked_at`,
+      [ip, days]
+    );
+
+    const byHost = new Map();
+    for (const row of result.rows) {
+      if (!byHost.has(row.rbl_host)) {
+        byHost.set(row.rbl_host, []);
+      }
+      byHost.get(row.rbl_host).push(row);
+    }
+
+    const timelines = [...byHost.entries()].map(([host, rows]) => ({
+      host,
+      ...buildTimeline(rows)
+    }));
+
+    // Listed RBLs first, then RBLs that have ever been listed, then the rest
+    timelines.sort((a, b) => {
+      const rank = t => (t.currentStatus === 'listed' ? 0 : t.listedChecks > 0 ? 1 : 2);
+      return rank(a) - rank(b) || a.host.localeCompare(b.host);
+    });
+
+    return {
+      success: true,
+      ip,
+      days,
+      totalChecks: result.rows.length,
+      firstCheckedAt: result.rows.length > 0
+        ? result.rows.reduce((min, row) => (row.checked_at < min ? row.checked_at : min), result.rows[0].checked_at)
+        : null,
+      timelines
+    };
+  } catch (error) {
+    console.error('Error getting lookup history:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete history older than the retention period
+ * @param {number} retentionDays - Days to keep (0 keeps history forever)
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export async function cleanHistory(retentionDays = HISTORY_RETENTION_DAYS) {
+  if (!retentionDays || retentionDays <= 0) {
+    return 0;
+  }
+
+  try {
+    const result = await query(
+      'DELETE FROM lookup_history WHERE checked_at < CURRENT_TIMESTAMP - make_interval(days => $1)',
+      [retentionDays]
+    );
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error cleaning lookup history:', error.message);
+    return 0;
+  }
+}
+
+export default {
+  recordHistory,
+  getIpHistory,
+  cleanHistory
+};
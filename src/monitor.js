@@ -0,0 +1,568 @@
+/**
+ * Multi-RBL Lookup Tool
+ * Copyright (C) 2025 Matthew Asham & Multi-RBL Lookup Contributors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Scheduled Monitoring
+ * Re-checks watched IPs and CIDR ranges on a schedule and records when each
+ * IP becomes listed or delisted on each RBL. Transitions are stored in
+ * monitor_events and published on monitorEvents.
+ */
+
+import { EventEmitter } from 'events';
+import { query } from './db-postgres.js';
+import { getDatabase } from './cache-db.js';
+import { lookupIpCached } from './rbl-lookup-cached.js';
+import { expandTargets } from './bulk-lookup.js';
+
+const MONITOR_MAX_IPS = parseInt(process.env.MONITOR_MAX_IPS || '1024', 10);
+const MONITOR_TICK_SECONDS = parseInt(process.env.MONITOR_TICK_SECONDS || '60', 10);
+const MIN_INTERVAL_MINUTES = 5;
+
+// Emits "transition" events: (event) with monitorId, monitorName, ip, rblHost, event, ...
+export const monitorEvents = new EventEmitter();
+
+// Monitors currently being checked by this process
+const runningMonitors = new Set();
+let schedulerTimer = null;
+
+/**
+ * Format a monitor row for API output
+ */
+function formatMonitor(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    targets: row.targets,
+    intervalMinutes: row.interval_minutes,
+    enabled: row.enabled,
+    lastRunAt: row.last_run_at,
+    nextRunAt: row.next_run_at,
+    lastError: row.last_error,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Validate monitor targets and schedule
+ * @returns {string|null} Error message or null if valid
+ */
+function validateMonitor(targets, intervalMinutes) {
+  if (targets !== undefined) {
+    if (!Array.isArray(targets) || targets.length === 0) {
+      return 'targets must be a non-empty array of IPs or CIDR ranges';
+    }
+
+    try {
+      const expanded = expandTargets(targets, MONITOR_MAX_IPS);
+      if (expanded.errors.length > 0) {
+        return `Invalid target: ${expanded.errors[0].target} (${expanded.errors[0].error})`;
+      }
+      if (expanded.ips.length === 0) {
+        return 'targets must include at least one IP or CIDR range';
+      }
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  if (intervalMinutes !== undefined) {
+    if (!Number.isInteger(intervalMinutes) || intervalMinutes < MIN_INTERVAL_MINUTES) {
+      return `intervalMinutes must be an integer of at least ${MIN_INTERVAL_MINUTES}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create a monitor
+ * @param {object} monitor - { name, targets, intervalMinutes, enabled }
+ * @param {string} createdBy - Identifier of who created it
+ * @returns {Promise<object>} Result with monitor or error
+ */
+export async function createMonitor(monitor, createdBy = 'api') {
+  const { name, targets, intervalMinutes = 60, enabled = true } = monitor;
+
+  if (!name) {
+    return { success: false, error: 'name is required' };
+  }
+
+  if (targets === undefined) {
+    return { success: false, error: 'targets is required' };
+  }
+
+  const validationError = validateMonitor(targets, intervalMinutes);
+  if (validationError) {
+    return { success: false, error: validationError };
+  }
+
+  try {
+    // next_run_at = now, so the scheduler picks up new monitors on its next tick
+    const result = await query(
+      `INSERT INTO monitors (name, targets, interval_minutes, enabled, created_by, next_run_at)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+       RETURNING *`,
+      [name, JSON.stringify(targets), intervalMinutes, enabled, createdBy]
+    );
+
+    return { success: true, monitor: formatMonitor(result.rows[0]) };
+  } catch (error) {
+    console.error('Error creating monitor:', error.message);
+
+    if (error.code === '23505') {
+      return { success: false, error: 'Monitor name already exists' };
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Update a monitor
+ * @param {number} monitorId - Monitor ID
+ * @param {object} updates - Fields to update (name, targets, intervalMinutes, enabled)
+ * @returns {Promise<object>} Result with updated monitor or error
+ */
+export async function updateMonitor(monitorId, updates) {
+  const validationError = validateMonitor(updates.targets, updates.intervalMinutes);
+  if (validationError) {
+    return { success: false, error: validationError };
+  }
+
+  try {
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    if (updates.name !== undefined) {
+      fields.push(`name = $${paramIndex++}`);
+      values.push(updates.name);
+    }
+
+    if (updates.targets !== undefined) {
+      fields.push(`targets = $${paramIndex++}`);
+      values.push(JSON.stringify(updates.targets));
+    }
+
+    if (updates.intervalMinutes !== undefined) {
+      fields.push(`interval_minutes = $${paramIndex++}`);
+      values.push(updates.intervalMinutes);
+    }
+
+    if (updates.enabled !== undefined) {
+      fields.push(`enabled = $${paramIndex++}`);
+      values.push(updates.enabled);
+    }
+
+    if (fields.length === 0) {
+      return { success: false, error: 'No fields to update' };
+    }
+
+    values.push(monitorId);
+
+    const result = await query(
+      `UPDATE monitors
+       SET ${fields.join(', ')}
+       WHERE id = $${paramIndex}
+       RETURNING *`,
+      values
+    );
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'Monitor not found' };
+    }
+
+    // Drop state for IPs no longer covered by the monitor's targets
+    if (updates.targets !== undefined) {
+      const { ips } = expandTargets(updates.targets, MONITOR_MAX_IPS);
+      await query(
+        `DELETE FROM monitor_state
+         WHERE monitor_id = $1
+           AND ip NOT IN (SELECT jsonb_array_elements_text($2::jsonb)::inet)`,
+        [monitorId, JSON.stringify(ips)]
+      );
+    }
+
+    return { success: true, monitor: formatMonitor(result.rows[0]) };
+  } catch (error) {
+    console.error('Error updating monitor:', error.message);
+
+    if (error.code === '23505') {
+      return { success: false, error: 'Monitor name already exists' };
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a monitor (state and events are removed with it)
+ * @param {number} monitorId - Monitor ID
+ * @returns {Promise<object>} Result indicating success or failure
+ */
+export async function deleteMonitor(monitorId) {
+  try {
+    const result = await query('DELETE FROM monitors WHERE id = $1 RETURNING id', [monitorId]);
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'Monitor not found' };
+    }
+
+    return { success: true, deletedId: monitorId };
+  } catch (error) {
+    console.error('Error deleting monitor:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get a monitor with a count of its current listings
+ * @param {number} monitorId - Monitor ID
+ * @returns {Promise<object>} Result with monitor or error
+ */
+export async function getMonitor(monitorId) {
+  try {
+    const result = await query('SELECT * FROM monitors WHERE id = $1', [monitorId]);
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'Monitor not found' };
+    }
+
+    const countResult = await query(
+      `SELECT COUNT(*) as listings, COUNT(DISTINCT ip) as listed_ips
+       FROM monitor_state WHERE monitor_id = $1 AND listed = true`,
+      [monitorId]
+    );
+
+    return {
+      success: true,
+      monitor: {
+        ...formatMonitor(result.rows[0]),
+        listings: parseInt(countResult.rows[0].listings),
+        listedIps: parseInt(countResult.rows[0].listed_ips)
+      }
+    };
+  } catch (error) {
+    console.error('Error getting monitor:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List all monitors
+ * @returns {Promise<object>} Result with monitors array
+ */
+export async function listMonitors() {
+  try {
+    const result = await query('SELECT * FROM monitors ORDER BY name');
+    return { success: true, monitors: result.rows.map(formatMonitor) };
+  } catch (error) {
+    console.error('Error listing monitors:', error.message);
+    return { success: false, error: error.message, monitors: [] };
+  }
+}
+
+/**
+ * Get the current per-IP, per-RBL state of a monitor
+ * @param {number} monitorId - Monitor ID
+ * @param {object} options - Query options (listedOnly)
+ * @returns {Promise<object>} Result with state rows
+ */
+export async function getMonitorState(monitorId, options = {}) {
+  const listedOnly = options.listedOnly !== false;
+
+  try {
+    const result = await query(
+      `SELECT host(ip) as ip, rbl_host, listed, response, changed_at, last_checked_at
+       FROM monitor_state
+       WHERE monitor_id = $1 ${listedOnly ? 'AND listed = true' : ''}
+       ORDER BY ip::inet, rbl_host`,
+      [monitorId]
+    );
+
+    return {
+      success: true,
+      state: result.rows.map(row => ({
+        ip: row.ip,
+        rblHost: row.rbl_host,
+        listed: row.listed,
+        response: row.response,
+        since: row.changed_at,
+        lastCheckedAt: row.last_checked_at
+      }))
+    };
+  } catch (error) {
+    console.error('Error getting monitor state:', error.message);
+    return { success: false, error: error.message, state: [] };
+  }
+}
+
+/**
+ * List listing/delisting transitions
+ * @param {object} options - Query options (monitorId, ip, limit, offset)
+ * @returns {Promise<object>} Result with events array
+ */
+export async function listMonitorEvents(options = {}) {
+  const limit = options.limit || 100;
+  const offset = options.offset || 0;
+  const conditions = [];
+  const values = [];
+
+  if (options.monitorId !== undefined) {
+    values.push(options.monitorId);
+    conditions.push(`e.monitor_id = $${values.length}`);
+  }
+
+  if (options.ip) {
+    values.push(options.ip);
+    conditions.push(`e.ip = $${values.length}::inet`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  try {
+    const result = await query(
+      `SELECT e.id, e.monitor_id, m.name as monitor_name, host(e.ip) as ip, e.rbl_host,
+              e.event, e.response, e.created_at
+       FROM monitor_events e
+       JOIN monitors m ON m.id = e.monitor_id
+       ${whereClause}
+       ORDER BY e.created_at DESC, e.id DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    return {
+      success: true,
+      events: result.rows.map(row => ({
+        id: row.id,
+        monitorId: row.monitor_id,
+        monitorName: row.monitor_name,
+        ip: row.ip,
+        rblHost: row.rbl_host,
+        event: row.event,
+        response: row.response,
+        createdAt: row.created_at
+      })),
+      limit,
+      offset
+    };
+  } catch (error) {
+    console.error('Error listing monitor events:', error.message);
+    return { success: false, error: error.message, events: [] };
+  }
+}
+
+/**
+ * Record the result of one RBL check and detect a transition
+ * Errors and blocked answers leave the previous state unchanged.
+ * The first check of an IP records a "listed" event if it is already listed.
+ */
+async function recordState(monitor, ip, result) {
+  if (result.status !== 'listed' && result.status !== 'not_listed') {
+    return null;
+  }
+
+  const listed = result.status === 'listed';
+
+  const previous = await query(
+    'SELECT listed FROM monitor_state WHERE monitor_id = $1 AND ip = $2::inet AND rbl_host = $3',
+    [monitor.id, ip, result.host]
+  );
+
+  const isTransition = previous.rowCount === 0 ? listed : previous.rows[0].listed !== listed;
+
+  await query(
+    `INSERT INTO monitor_state (monitor_id, ip, rbl_host, listed, response, changed_at, last_checked_at)
+     VALUES ($1, $2::inet, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+     ON CONFLICT (monitor_id, ip, rbl_host) DO UPDATE SET
+       listed = EXCLUDED.listed,
+       response = EXCLUDED.response,
+       changed_at = CASE WHEN monitor_state.listed = EXCLUDED.listed
+                         THEN monitor_state.changed_at ELSE CURRENT_TIMESTAMP END,
+       last_checked_at = CURRENT_TIMESTAMP`,
+    [monitor.id, ip, result.host, listed, result.response || null]
+  );
+
+  if (!isTransition) {
+    return null;
+  }
+
+  const event = listed ? 'listed' : 'delisted';
+  const inserted = await query(
+    `INSERT INTO monitor_events (monitor_id, ip, rbl_host, event, response)
+     VALUES ($1, $2::inet, $3, $4, $5)
+     RETURNING id, created_at`,
+    [monitor.id, ip, result.host, event, result.response || null]
+  );
+
+  return {
+    id: inserted.rows[0].id,
+    monitorId: monitor.id,
+    monitorName: monitor.name,
+    ip,
+    rblHost: result.host,
+    rblName: result.name,
+    event,
+    response: result.response || null,
+    reason: result.reason || null,
+    createdAt: inserted.rows[0].created_at
+  };
+}
+
+/**
+ * Check every IP covered by a monitor once and record transitions
+ * @param {number} monitorId - Monitor ID
+ * @returns {Promise<object>} Result with checked IP count and transitions
+ */
+export async function runMonitor(monitorId) {
+  if (runningMonitors.has(monitorId)) {
+    return { success: false, error: 'Monitor is already running' };
+  }
+  runningMonitors.add(monitorId);
+
+  const db = getDatabase();
+
+  try {
+    const result = await query('SELECT * FROM monitors WHERE id = $1', [monitorId]);
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'Monitor not found' };
+    }
+
+    const monitor = result.rows[0];
+    const { ips } = expandTargets(monitor.targets, MONITOR_MAX_IPS);
+    const transitions = [];
+    let lastError = null;
+
+    for (const ip of ips) {
+      try {
+        const lookup = await lookupIpCached(ip, db);
+
+        for (const rblResult of lookup.results) {
+          const transition = await recordState(monitor, ip, rblResult);
+          if (transition) {
+            transitions.push(transition);
+            monitorEvents.emit('transition', transition);
+          }
+        }
+      } catch (error) {
+        console.error(`Error checking ${ip} for monitor ${monitor.name}:`, error.message);
+        lastError = error.message;
+      }
+    }
+
+    await query(
+      `UPDATE monitors
+       SET last_run_at = CURRENT_TIMESTAMP,
+           next_run_at = CURRENT_TIMESTAMP + make_interval(mins => interval_minutes),
+           last_error = $2
+       WHERE id = $1`,
+      [monitorId, lastError]
+    );
+
+    return { success: true, checked: ips.length, transitions };
+  } catch (error) {
+    console.error(`Error running monitor ${monitorId}:`, error.message);
+    await query(
+      `UPDATE monitors
+       SET last_error = $2,
+           next_run_at = CURRENT_TIMESTAMP + make_interval(mins => interval_minutes)
+       WHERE id = $1`,
+      [monitorId, error.message]
+    ).catch(() => {});
+    return { success: false, error: error.message };
+  } finally {
+    runningMonitors.delete(monitorId);
+  }
+}
+
+/**
+ * Run every enabled monitor that is due, one at a time
+ */
+async function runDueMonitors() {
+  try {
+    const result = await query(
+      `SELECT id FROM monitors
+       WHERE enabled = true AND (next_run_at IS NULL OR next_run_at <= CURRENT_TIMESTAMP)
+       ORDER BY next_run_at NULLS FIRST`
+    );
+
+    for (const row of result.rows) {
+      const outcome = await runMonitor(row.id);
+      if (outcome.success && outcome.transitions.length > 0) {
+        console.log(`Monitor ${row.id}: ${outcome.transitions.length} listing change(s)`);
+      }
+    }
+  } catch (error) {
+    console.error('Error running scheduled monitors:', error.message);
+  }
+}
+
+/**
+ * Start the background monitor scheduler
+ * Due monitors are checked every MONITOR_TICK_SECONDS; a tick is skipped
+ * while the previous one is still running.
+ */
+export function startMonitorScheduler() {
+  if (schedulerTimer) {
+    return;
+  }
+
+  let ticking = false;
+  const tick = async () => {
+    if (ticking) {
+      return;
+    }
+    ticking = true;
+    try {
+      await runDueMonitors();
+    } finally {
+      ticking = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, MONITOR_TICK_SECONDS * 1000);
+  tick();
+}
+
+/**
+ * Stop the background monitor scheduler
+ */
+export function stopMonitorScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+export default {
+  monitorEvents,
+  createMonitor,
+  updateMonitor,
+  deleteMonitor,
+  getMonitor,
+  listMonitors,
+  getMonitorState,
+  listMonitorEvents,
+  runMonitor,
+  startMonitorScheduler,
+  stopMonitorScheduler
+};
@@ -0,0 +1,356 @@
+/**
+ * Multi-RBL Lookup Tool
+ * Copyright (C) 2025 Matthew Asham & Multi-RBL Lookup Contributors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * RBL Health Scoring
+ * Tracks per-RBL success rate and latency from live lookups, probes every
+ * server with the RFC 5782 test points, and quarantines servers that list
+ * the negative test point, don't list the positive one, fail too often or
+ * are too slow. Quarantined servers are released after
+ * RBL_HEALTH_RECOVERY_PROBES clean probe rounds.
+ *
+ * Samples are stored in PostgreSQL, so lookups made by the DNS server count
+ * as much as those made by the web server and survive restarts.
+ */
+
+import { query } from './db-postgres.js';
+import { getRblServers, setRblServerQuarantine } from './rbl-servers.js';
+
+const PROBE_MINUTES = parseInt(process.env.RBL_HEALTH_PROBE_MINUTES || '10', 10);
+const PROBE_TIMEOUT = parseInt(process.env.RBL_HEALTH_PROBE_TIMEOUT || '5000', 10);
+const WINDOW_SIZE = parseInt(process.env.RBL_HEALTH_WINDOW || '200', 10);
+const MIN_SAMPLES = parseInt(process.env.RBL_HEALTH_MIN_SAMPLES || '20', 10);
+const MIN_SUCCESS_RATE = parseFloat(process.env.RBL_HEALTH_MIN_SUCCESS_RATE || '0.8');
+const MAX_P95_MS = parseInt(process.env.RBL_HEALTH_MAX_P95_MS || '3000', 10);
+const RECOVERY_PROBES = parseInt(process.env.RBL_HEALTH_RECOVERY_PROBES || '3', 10);
+
+// RFC 5782 test points: the negative one must never be listed
+const TEST_POINTS = {
+  ip: { negative: '127.0.0.1', positive: '127.0.0.2' },
+  domain: { negative: 'invalid', positive: 'test' }
+};
+
+let proberTimer = null;
+let probing = false;
+
+/**
+ * Record the outcome of a fresh (non-cached) RBL query
+ * Errors, timeouts and refused (sentinel) answers count as failures.
+ * Never throws; a lost sample must not fail a lookup.
+ * @param {object} result - Result from a single RBL lookup
+ * @returns {Promise<void>}
+ */
+export async function recordSample(result) {
+  if (!result || !result.host || result.fromCache) {
+    return;
+  }
+
+  try {
+    await query(
+      'INSERT INTO rbl_health_samples (rbl_host, ok, response_time) VALUES ($1, $2, $3)',
+      [
+        result.host,
+        result.status === 'listed' || result.status === 'not_listed',
+        Math.round(result.responseTime || 0)
+      ]
+    );
+  } catch (error) {
+    console.error('Error recording RBL health sample:', error.message);
+  }
+}
+
+/**
+ * Summarize the last WINDOW_SIZE samples of every host
+ * @returns {Promise<Map>} Map of host to { samples, successRate, latency }
+ */
+async function summarizeSamples() {
+  const result = await query(
+    `SELECT rbl_host,
+            COUNT(*)::int AS samples,
+            AVG(ok::int)::real AS success_rate,
+            PERCENTILE_DISC(0.5) WITHIN GROUP (ORDER BY response_time) AS p50,
+            PERCENTILE_DISC(0.95) WITHIN GROUP (ORDER BY response_time) AS p95,
+            PERCENTILE_DISC(0.99) WITHIN GROUP (ORDER BY response_time) AS p99
+     FROM (
+       SELECT rbl_host, ok, response_time,
+              ROW_NUMBER() OVER (PARTITION BY rbl_host ORDER BY id DESC) AS position
+       FROM rbl_health_samples
+     ) recent
+     WHERE position <= $1
+     GROUP BY rbl_host`,
+    [WINDOW_SIZE]
+  );
+
+  return new Map(result.rows.map(row => [row.rbl_host, {
+    samples: row.samples,
+    successRate: row.success_rate,
+    latency: { p50: row.p50, p95: row.p95, p99: row.p99 }
+  }]));
+}
+
+/**
+ * Delete samples that have dropped out of every host's window
+ */
+async function pruneSamples() {
+  await query(
+    `DELETE FROM rbl_health_samples
+     WHERE id IN (
+       SELECT id FROM (
+         SELECT id, ROW_NUMBER() OVER (PARTITION BY rbl_host ORDER BY id DESC) AS position
+         FROM rbl_health_samples
+       ) ranked
+       WHERE position > $1
+     )`,
+    [WINDOW_SIZE]
+  );
+}
+
+/**
+ * Probe one server with its negative and positive test points
+ */
+async function probeServer(server) {
+  // Imported lazily - rbl-lookup-cached.js records samples through this module
+  const { lookupSingleRbl, getServerType } = await import('./rbl-lookup-cached.js');
+  const points = TEST_POINTS[getServerType(server)];
+  const timeout = Math.min(server.timeout || PROBE_TIMEOUT, PROBE_TIMEOUT);
+
+  const [negative, positive] = await Promise.all([
+    lookupSingleRbl(points.negative, server, timeout),
+    lookupSingleRbl(points.positive, server, timeout)
+  ]);
+
+  await Promise.all([recordSample(negative), recordSample(positive)]);
+
+  return { points, negative, positive };
+}
+
+/**
+ * Evaluate a server after probing it
+ * Returns the failed checks (quarantine) and warnings (degraded).
+ */
+function evaluate(server, probe, stats) {
+  const failures = [];
+  const warnings = [];
+
+  if (probe.negative.status === 'listed') {
+    failures.push(`Lists test point ${probe.points.negative} (${probe.negative.response}) - defunct or wildcard-listing`);
+  }
+
+  if (probe.positive.status === 'not_listed') {
+    failures.push(`Does not list test point ${probe.points.positive} - defunct or not answering listings`);
+  }
+
+  if (stats.samples >= MIN_SAMPLES) {
+    if (stats.successRate < MIN_SUCCESS_RATE) {
+      failures.push(`Success rate ${Math.round(stats.successRate * 100)}% over the last ${stats.samples} queries`);
+    }
+    if (stats.latency.p95 > MAX_P95_MS) {
+      failures.push(`p95 latency ${stats.latency.p95}ms exceeds ${MAX_P95_MS}ms`);
+    }
+  }
+
+  if (probe.negative.status !== 'listed' && probe.negative.status !== 'not_listed') {
+    warnings.push(`Negative probe failed: ${probe.negative.error}`);
+  }
+
+  if (probe.positive.status !== 'listed' && probe.positive.status !== 'not_listed') {
+    warnings.push(`Positive probe failed: ${probe.positive.error}`);
+  }
+
+  return { stats, failures, warnings };
+}
+
+/**
+ * Save a server's health row and return the API representation
+ */
+async function saveHealth(server, probe, evaluation, status, consecutivePasses) {
+  const { stats, failures, warnings } = evaluation;
+
+  await query(
+    `INSERT INTO rbl_server_health
+       (server_id, status, reasons, samples, success_rate, latency_p50, latency_p95, latency_p99,
+        negative_probe, positive_probe, consecutive_passes, last_probe_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+     ON CONFLICT (server_id) DO UPDATE SET
+       status = EXCLUDED.status,
+       reasons = EXCLUDED.reasons,
+       samples = EXCLUDED.samples,
+       success_rate = EXCLUDED.success_rate,
+       latency_p50 = EXCLUDED.latency_p50,
+       latency_p95 = EXCLUDED.latency_p95,
+       latency_p99 = EXCLUDED.latency_p99,
+       negative_probe = EXCLUDED.negative_probe,
+       positive_probe = EXCLUDED.positive_probe,
+       consecutive_passes = EXCLUDED.consecutive_passes,
+       last_probe_at = EXCLUDED.last_probe_at,
+       updated_at = EXCLUDED.updated_at`,
+    [
+      server.id,
+      status,
+      JSON.stringify([...failures, ...warnings]),
+      stats.samples,
+      stats.successRate,
+      stats.latency.p50,
+      stats.latency.p95,
+      stats.latency.p99,
+      probe.negative.status,
+      probe.positive.status,
+      consecutivePasses
+    ]
+  );
+
+  return {
+    host: server.host,
+    status,
+    reasons: [...failures, ...warnings],
+    ...stats,
+    negativeProbe: probe.negative.status,
+    positiveProbe: probe.positive.status
+  };
+}
+
+/**
+ * Probe and evaluate every enabled RBL server, updating quarantine state
+ * Quarantined servers keep being probed so they can recover.
+ * @returns {Promise<object>} Result with per-server health
+ */
+export async function runHealthProbes() {
+  if (probing) {
+    return { success: false, error: 'A probe round is already running' };
+  }
+  probing = true;
+
+  try {
+    const servers = await getRblServers();
+    const previousResult = await query('SELECT server_id, consecutive_passes FROM rbl_server_health');
+    const previousPasses = new Map(previousResult.rows.map(row => [row.server_id, row.consecutive_passes]));
+
+    const probes = await Promise.all(servers.map(probeServer));
+    await pruneSamples();
+    const stats = await summarizeSamples();
+    const health = [];
+
+    for (const [index, server] of servers.entries()) {
+      const probe = probes[index];
+      const evaluation = evaluate(server, probe, stats.get(server.host) || {
+        samples: 0,
+        successRate: null,
+        latency: { p50: null, p95: null, p99: null }
+      });
+      const passed = evaluation.failures.length === 0;
+      let consecutivePasses = passed ? (previousPasses.get(server.id) || 0) + 1 : 0;
+      let quarantined = server.quarantined;
+
+      if (!quarantined && !passed) {
+        const reason = evaluation.failures.join('; ');
+        await setRblServerQuarantine(server.id, reason);
+        console.log(`RBL ${server.host} quarantined: ${reason}`);
+
+        // Judge recovery on fresh queries only
+        await query('DELETE FROM rbl_health_samples WHERE rbl_host = $1', [server.host]);
+        quarantined = true;
+      } else if (quarantined && consecutivePasses >= RECOVERY_PROBES) {
+        await setRblServerQuarantine(server.id, null);
+        console.log(`RBL ${server.host} released from quarantine after ${consecutivePasses} clean probes`);
+        quarantined = false;
+      }
+
+      const status = quarantined ? 'quarantined' : (evaluation.warnings.length > 0 ? 'degraded' : 'healthy');
+      health.push(await saveHealth(server, probe, evaluation, status, consecutivePasses));
+    }
+
+    return {
+      success: true,
+      probed: health.length,
+      quarantined: health.filter(entry => entry.status === 'quarantined').length,
+      health
+    };
+  } catch (error) {
+    console.error('Error running RBL health probes:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    probing = false;
+  }
+}
+
+/**
+ * Get the latest health of every RBL server, keyed by host
+ * @returns {Promise<object>} Map of host to health summary
+ */
+export async function getRblHealth() {
+  try {
+    const result = await query(
+      `SELECT s.host, h.*
+       FROM rbl_server_health h
+       JOIN rbl_servers s ON s.id = h.server_id`
+    );
+
+    const health = {};
+    for (const row of result.rows) {
+      health[row.host] = {
+        status: row.status,
+        reasons: row.reasons,
+        samples: row.samples,
+        successRate: row.success_rate,
+        latency: {
+          p50: row.latency_p50,
+          p95: row.latency_p95,
+          p99: row.latency_p99
+        },
+        negativeProbe: row.negative_probe,
+        positiveProbe: row.positive_probe,
+        lastProbeAt: row.last_probe_at
+      };
+    }
+
+    return health;
+  } catch (error) {
+    console.error('Error getting RBL health:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Start the background health prober (every RBL_HEALTH_PROBE_MINUTES, 0 disables it)
+ */
+export function startHealthProber() {
+  if (proberTimer || PROBE_MINUTES <= 0) {
+    return;
+  }
+
+  proberTimer = setInterval(runHealthProbes, PROBE_MINUTES * 60 * 1000);
+  runHealthProbes();
+}
+
+/**
+ * Stop the background health prober
+ */
+export function stopHealthProber() {
+  if (proberTimer) {
+    clearInterval(proberTimer);
+    proberTimer = null;
+  }
+}
+
+export default {
+  recordSample,
+  runHealthProbes,
+  getRblHealth,
+  startHealthProber,
+  stopHealthProber
+};
@@ -16,7 +16,13 @@
  * along with this program. If not, see <https://www.gnu.org/licenses/>.
  */
 
-import dns from 'dns/promises';
+import { decodeRblResponse, getSentinelMessage } from './rbl-return-codes.js';
+import { getResolverPool } from './resolver-pool.js';
+import { applyQueryTemplate, redactSecrets } from './rbl-query-template.js';
+import { recordHistory } from './lookup-history.js';
+import { getRblServers } from './rbl-servers.js';
+import { recordSample } from './rbl-health.js';
+import { scoreResults } from './rbl-score.js';
 
 /**
  * Reverse an IP address for RBL lookup
@@ -82,10 +88,55 @@ function isValidIpv6(ip) {
 /**
  * Validate IP address (IPv4 or IPv6)
  */
-function isValidIp(ip) {
+export function isValidIp(ip) {
   return isValidIpv4(ip) || isValidIpv6(ip);
 }
 
+/**
+ * Validate domain name (for RHSBL/URIBL lookups)
+ */
+export function isValidDomain(domain) {
+  if (!domain || domain.length > 253 || isValidIp(domain)) {
+    return false;
+  }
+
+  const domainRegex = /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9-]{2,63}$/i;
+  return domainRegex.test(domain);
+}
+
+/**
+ * Normalize a domain or URL to a bare lowercase hostname
+ * e.g. "https://WWW.Example.com/path" -> "www.example.com"
+ */
+export function normalizeDomain(input) {
+  let domain = String(input).trim().toLowerCase();
+
+  // Strip scheme, credentials, path, and port from URLs
+  domain = domain.replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+  domain = domain.split(/[/?#]/)[0];
+  domain = domain.replace(/^.*@/, '').replace(/:\d+$/, '');
+
+  // Strip trailing dot (fully-qualified form)
+  return domain.replace(/\.$/, '');
+}
+
+/**
+ * Get the lookup type of an RBL server ("ip" or "domain")
+ */
+export function getServerType(rblServer) {
+  return rblServer.type === 'domain' ? 'domain' : 'ip';
+}
+
+/**
+ * Build the DNS query name for a lookup target
+ * IP lists are queried with the reversed IP, domain lists with the domain as-is,
+ * honoring the server's queryTemplate (e.g. Spamhaus DQS keys)
+ */
+function buildQueryName(target, rblServer) {
+  const prefix = getServerType(rblServer) === 'domain' ? target : reverseIp(target);
+  return applyQueryTemplate(rblServer, prefix);
+}
+
 /**
  * Extract TTL from DNS lookup (with fallback)
  */
@@ -96,24 +147,54 @@ function extractTtl(addresses, defaultTtl = 3600) {
 }
 
 /**
- * Perform a single RBL lookup with TTL extraction
+ * Fetch the TXT record an RBL publishes for a listing (reason / delisting link)
+ * Multiple TXT records are joined with "; ". Failures return null.
  */
-async function lookupSingleRbl(ip, rblServer, timeout = 5000) {
-  const reversedIp = reverseIp(ip);
-  const query = `${reversedIp}.${rblServer.host}`;
+async function fetchTxtReason(query, pool, timeout = 5000) {
+  let timer;
+
+  try {
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Timeout')), timeout);
+    });
 
+    const { result: records } = await Promise.race([
+      pool.resolve('resolveTxt', query),
+      timeoutPromise
+    ]);
+
+    // Each TXT record is an array of <=255 byte chunks
+    const reason = records.map(chunks => chunks.join('')).join('; ');
+    return reason || null;
+  } catch (error) {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Perform a single RBL lookup with TTL extraction (uncached)
+ * The target is an IP address, or a domain for domain-type servers
+ */
+export async function lookupSingleRbl(target, rblServer, timeout = 5000) {
   const startTime = Date.now();
 
   try {
+    // Inside the try: a bad per-server resolver override fails this RBL only
+    const pool = await getResolverPool(rblServer);
+    // May contain a secret key - never log or return the query name
+    const query = buildQueryName(target, rblServer);
+
     // Create a timeout promise
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => reject(new Error('Timeout')), timeout);
     });
 
-    // Race between DNS lookup and timeout
+    // Race between DNS lookup (through the resolver pool) and timeout
     // Use resolve4 with ttl option to get TTL values
-    const result = await Promise.race([
-      dns.resolve4(query, { ttl: true }),
+    const { result, resolver } = await Promise.race([
+      pool.resolve('resolve4', query, { ttl: true }),
       timeoutPromise
     ]);
 
@@ -121,25 +202,54 @@ async function lookupSingleRbl(ip, rblServer, timeout = 5000) {
 
     // Extract TTL from first record
     let ttl = 3600; // default 1 hour
-    let address = null;
+    let addresses = [];
 
     if (Array.isArray(result) && result.length > 0) {
       if (typeof result[0] === 'object' && result[0].address) {
         // TTL-enabled response
-        address = result[0].address;
+        addresses = result.map(record => record.address);
         ttl = result[0].ttl || 3600;
       } else {
         // Regular response
-        address = result[0];
+        addresses = result;
       }
     }
 
+    // Sentinel answers mean the RBL refused the query, not that the IP is listed;
+    // every other address of a multi-record answer is a listing
+    const responses = addresses.filter(answer => !getSentinelMessage(answer, rblServer));
+    const address = responses[0] || addresses[0] || null;
+    const sentinel = responses.length === 0 ? getSentinelMessage(address, rblServer) : null;
+    if (sentinel) {
+      return {
+        name: rblServer.name,
+        host: rblServer.host,
+        description: rblServer.description,
+        listed: null,
+        status: 'blocked',
+        response: address,
+        responses: [address],
+        reason: null,
+        resolver,
+        responseTime,
+        error: `Query blocked by RBL: ${sentinel}`,
+        ttl: 300 // Cache like errors for 5 minutes
+      };
+    }
+
+    // Listed - fetch the TXT record with the listing reason
+    const reason = await fetchTxtReason(query, pool, timeout);
+
     return {
       name: rblServer.name,
       host: rblServer.host,
       description: rblServer.description,
       listed: true,
+      status: 'listed',
       response: address,
+      responses,
+      reason,
+      resolver,
       responseTime,
       error: null,
       ttl
@@ -154,7 +264,11 @@ async function lookupSingleRbl(ip, rblServer, timeout = 5000) {
         host: rblServer.host,
         description: rblServer.description,
         listed: false,
+        status: 'not_listed',
         response: null,
+        responses: [],
+        reason: null,
+        resolver: error.resolver || null,
         responseTime,
         error: null,
         ttl: 3600 // Cache negative responses for 1 hour
@@ -167,20 +281,51 @@ async function lookupSingleRbl(ip, rblServer, timeout = 5000) {
       host: rblServer.host,
       description: rblServer.description,
       listed: null,
+      status: 'error',
       response: null,
+      responses: [],
+      reason: null,
+      resolver: error.resolver || null,
       responseTime,
-      error: error.message,
+      error: redactSecrets(error.message, rblServer),
       ttl: 300 // Cache errors for 5 minutes
     };
   }
 }
 
+/**
+ * Derive the status of a cached result
+ * Sentinel (blocked) results are the only errors cached with a response address
+ */
+function getCachedStatus(cached) {
+  if (cached.error) {
+    return cached.response ? 'blocked' : 'error';
+  }
+
+  return cached.listed ? 'listed' : 'not_listed';
+}
+
+/**
+ * Decode a listing's return codes into categories, severity and removal URL
+ * @param {boolean|null} listed - Whether the target is listed
+ * @param {string[]} responses - Every address the RBL answered
+ * @param {object} rblServer - RBL server configuration
+ */
+function decodeListing(listed, responses, rblServer) {
+  if (listed !== true) {
+    return { categories: [], severity: null, removalUrl: null };
+  }
+
+  return decodeRblResponse(responses, rblServer);
+}
+
 /**
  * Perform RBL lookup with caching
+ * The target is an IP address, or a domain for domain-type servers
  */
-export async function lookupSingleRblWithCache(ip, rblServer, db, timeout = 5000) {
+export async function lookupSingleRblWithCache(target, rblServer, db, timeout = 5000) {
   // Check cache first
-  const cached = await db.getCached(ip, rblServer.host);
+  const cached = await db.getCached(target, rblServer.host);
 
   if (cached) {
     // Return cached result with additional metadata
@@ -188,8 +333,14 @@ export async function lookupSingleRblWithCache(ip, rblServer, db, timeout = 5000
       name: rblServer.name,
       host: rblServer.host,
       description: rblServer.description,
-      listed: cached.listed,
+      weight: rblServer.weight ?? 1,
+      listed: cached.error ? null : cached.listed,
+      status: getCachedStatus(cached),
       response: cached.response,
+      responses: cached.responses || (cached.response ? [cached.response] : []),
+      reason: cached.reason || null,
+      resolver: null, // Answered from cache
+      ...decodeListing(cached.listed, cached.responses || [cached.response], rblServer),
       responseTime: 0, // Cached, no DNS lookup time
       error: cached.error,
       ttl: cached.ttl,
@@ -200,20 +351,28 @@ export async function lookupSingleRblWithCache(ip, rblServer, db, timeout = 5000
   }
 
   // Not in cache or expired - do fresh lookup
-  const result = await lookupSingleRbl(ip, rblServer, timeout);
+  const result = await lookupSingleRbl(target, rblServer, rblServer.timeout || timeout);
+  recordSample(result); // Fire-and-forget, like the cache write below
 
   // Cache the result (fire-and-forget, don't wait for it)
   db.cache(
-    ip,
+    target,
     rblServer.host,
     result.listed === true,
     result.response,
     result.error,
-    result.ttl
+    result.ttl,
+    result.reason,
+    result.responses
   ).catch(err => {
     console.error('Error caching result:', err.message);
   });
 
+  // Decode return code into listing categories (not cached, so config changes apply immediately)
+  Object.assign(result, decodeListing(result.listed, result.responses, rblServer));
+
+  result.weight = rblServer.weight ?? 1;
+
   // Add fromCache flag
   result.fromCache = false;
 
@@ -221,16 +380,16 @@ export async function lookupSingleRblWithCache(ip, rblServer, db, timeout = 5000
 }
 
 /**
- * Load RBL servers from configuration file
+ * Load enabled RBL servers from the database, skipping quarantined ones
  */
 export async function loadRblServers() {
-  // Import from original module
-  const { getRblServers } = await import('./rbl-lookup.js');
-  return await getRblServers();
+  return (await getRblServers()).filter(server => !server.quarantined);
 }
 
 /**
  * Lookup IP against multiple RBL servers with caching
+ * The custom allowlist zones are consulted first: an allowlisted IP is still
+ * looked up, but its verdict is "allowlisted" whatever the score.
  */
 export async function lookupIpCached(ip, db, onProgress = null) {
   // Validate IP address first
@@ -238,43 +397,56 @@ export async function lookupIpCached(ip, db, onProgress = null) {
     throw new Error('Invalid IP address (must be valid IPv4 or IPv6)');
   }
 
-  const rblServers = await loadRblServers();
+  // Domain-type servers (RHSBL/URIBL) are only used for domain lookups
+  const rblServers = (await loadRblServers()).filter(server => getServerType(server) === 'ip');
   const results = [];
 
   // Import custom RBL lookup
-  const { getCustomRblConfig, checkCustomRbl } = await import('./custom-rbl-lookup.js');
+  const { getCustomRblZones, checkCustomRbl, checkAllowlist } = await import('./custom-rbl-lookup.js');
 
-  // Check custom RBL first (if configured)
-  try {
-    const customRblConfig = await getCustomRblConfig();
-    if (customRblConfig && customRblConfig.enabled) {
+  const allowlisted = await checkAllowlist(ip);
+
+  // Check the custom RBL zones first (if configured)
+  const customRblZones = (await getCustomRblZones()).filter(zone => zone.type !== 'allow');
+  const totalCount = rblServers.length + customRblZones.length;
+
+  for (const zone of customRblZones) {
+    try {
       const startTime = Date.now();
-      const customResult = await checkCustomRbl(ip);
+      const customResult = await checkCustomRbl(ip, zone.zone_name);
       const responseTime = Date.now() - startTime;
 
       // Add custom RBL result to results array
-      results.push({
-        name: 'Custom RBL',
-        host: customRblConfig.zone_name,
-        description: customRblConfig.description || 'Custom blocklist',
+      const result = {
+        name: customRblZones.length > 1 ? `Custom RBL (${zone.zone_name})` : 'Custom RBL',
+        host: zone.zone_name,
+        description: zone.description || 'Custom blocklist',
         listed: customResult.listed,
+        status: customResult.error ? 'error' : (customResult.listed ? 'listed' : 'not_listed'),
         response: customResult.response,
         responseTime: responseTime,
         error: customResult.error,
         ttl: 0, // Custom RBL results not cached
         fromCache: false,
         customRbl: true, // Flag to identify custom RBL
-        reason: customResult.reason || null
-      });
+        reason: customResult.reason || null,
+        // Entry category and the zone's removal URL, shaped like decoded upstream listings
+        categories: customResult.listed && customResult.category
+          ? [{ code: customResult.response, category: customResult.category, description: null, severity: null }]
+          : [],
+        severity: null,
+        removalUrl: customResult.listed ? zone.removal_url || null : null
+      };
+      results.push(result);
 
       // Call progress callback if provided
       if (onProgress) {
-        onProgress(results[0], results.length, rblServers.length + 1);
+        onProgress(result, results.length, totalCount);
       }
+    } catch (error) {
+      console.error(`Error checking custom RBL ${zone.zone_name}:`, error.message);
+      // Continue with regular RBL lookups even if custom RBL fails
     }
-  } catch (error) {
-    console.error('Error checking custom RBL:', error.message);
-    // Continue with regular RBL lookups even if custom RBL fails
   }
 
   // Create promises for all lookups
@@ -284,7 +456,7 @@ export async function lookupIpCached(ip, db, onProgress = null) {
 
     // Call progress callback if provided
     if (onProgress) {
-      onProgress(result, results.length, rblServers.length + 1);
+      onProgress(result, results.length, totalCount);
     }
 
     return result;
@@ -293,6 +465,62 @@ export async function lookupIpCached(ip, db, onProgress = null) {
   // Wait for all lookups to complete
   await Promise.all(lookupPromises);
 
+  const totalChecked = rblServers.length + results.filter(r => r.customRbl).length;
+
+  // Append fresh results to the lookup history (best-effort, not awaited)
+  recordHistory(ip, results);
+
+  const summary = summarizeResults(results, totalChecked);
+
+  return allowlisted
+    ? { ip, ...summary, verdict: 'allowlisted', allowlisted }
+    : { ip, ...summary };
+}
+
+/**
+ * Lookup a domain (or URL host) against domain-type RBL servers with caching
+ */
+export async function lookupDomainCached(domain, db, onProgress = null) {
+  const normalized = normalizeDomain(domain);
+
+  if (!isValidDomain(normalized)) {
+    throw new Error('Invalid domain name');
+  }
+
+  const rblServers = (await loadRblServers()).filter(server => getServerType(server) === 'domain');
+
+  if (rblServers.length === 0) {
+    throw new Error('No domain RBL servers configured (set "type": "domain" via /api/admin/rbl-servers)');
+  }
+
+  const results = [];
+
+  // Create promises for all lookups
+  const lookupPromises = rblServers.map(async (server) => {
+    const result = await lookupSingleRblWithCache(normalized, server, db);
+    results.push(result);
+
+    // Call progress callback if provided
+    if (onProgress) {
+      onProgress(result, results.length, rblServers.length);
+    }
+
+    return result;
+  });
+
+  // Wait for all lookups to complete
+  await Promise.all(lookupPromises);
+
+  return {
+    domain: normalized,
+    ...summarizeResults(results, rblServers.length)
+  };
+}
+
+/**
+ * Sort results and build the lookup summary (counts and cache statistics)
+ */
+function summarizeResults(results, totalChecked) {
   // Sort results: listed first, then errors, then not listed
   results.sort((a, b) => {
     if (a.listed === b.listed) {
@@ -308,15 +536,15 @@ export async function lookupIpCached(ip, db, onProgress = null) {
   // Calculate cache statistics for this lookup
   const cacheHits = results.filter(r => r.fromCache).length;
   const cacheMisses = results.filter(r => !r.fromCache).length;
-  const totalChecked = rblServers.length + (results.some(r => r.customRbl) ? 1 : 0);
 
   return {
-    ip,
     timestamp: new Date().toISOString(),
     totalChecked: totalChecked,
+    ...scoreResults(results),
     listedCount: results.filter(r => r.listed === true).length,
     notListedCount: results.filter(r => r.listed === false).length,
-    errorCount: results.filter(r => r.error !== null).length,
+    errorCount: results.filter(r => r.error !== null && r.status !== 'blocked').length,
+    blockedCount: results.filter(r => r.status === 'blocked').length,
     cacheHits,
     cacheMisses,
     cacheHitRate: ((cacheHits / totalChecked) * 100).toFixed(1) + '%',
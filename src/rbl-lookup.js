@@ -16,13 +16,11 @@
  * along with this program. If not, see <https://www.gnu.org/licenses/>.
  */
 
-import dns from 'dns/promises';
-import { readFile } from 'fs/promises';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { getResolverPool } from './resolver-pool.js';
+import { applyQueryTemplate, redactSecrets } from './rbl-query-template.js';
+import { getRblServers as loadRblServers } from './rbl-servers.js';
+import { getServerType } from './rbl-lookup-cached.js';
+import { getSentinelMessage } from './rbl-return-codes.js';
 
 /**
  * Reverse an IP address for RBL lookup
@@ -97,30 +95,52 @@ function isValidIp(ip) {
  */
 async function lookupSingleRbl(ip, rblServer, timeout = 5000) {
   const reversedIp = reverseIp(ip);
-  const query = `${reversedIp}.${rblServer.host}`;
-
   const startTime = Date.now();
 
   try {
+    // Inside the try: a bad per-server resolver override fails this RBL only
+    const pool = await getResolverPool(rblServer);
+    // May contain a secret key - never log or return the query name
+    const query = applyQueryTemplate(rblServer, reversedIp);
+
     // Create a timeout promise
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => reject(new Error('Timeout')), timeout);
     });
 
-    // Race between DNS lookup and timeout
-    const addresses = await Promise.race([
-      dns.resolve4(query),
+    // Race between DNS lookup (through the resolver pool) and timeout
+    const { result: addresses, resolver } = await Promise.race([
+      pool.resolve('resolve4', query),
       timeoutPromise
     ]);
 
     const responseTime = Date.now() - startTime;
+    const address = addresses[0] || null;
+
+    // Sentinel answers mean the RBL refused the query, not that the IP is listed
+    const sentinel = getSentinelMessage(address, rblServer);
+    if (sentinel) {
+      return {
+        name: rblServer.name,
+        host: rblServer.host,
+        description: rblServer.description,
+        listed: null,
+        status: 'blocked',
+        response: address,
+        resolver,
+        responseTime,
+        error: `Query blocked by RBL: ${sentinel}`
+      };
+    }
 
     return {
       name: rblServer.name,
       host: rblServer.host,
       description: rblServer.description,
       listed: true,
-      response: addresses[0] || null,
+      status: 'listed',
+      response: address,
+      resolver,
       responseTime,
       error: null
     };
@@ -134,7 +154,9 @@ async function lookupSingleRbl(ip, rblServer, timeout = 5000) {
         host: rblServer.host,
         description: rblServer.description,
         listed: false,
+        status: 'not_listed',
         response: null,
+        resolver: error.resolver || null,
         responseTime,
         error: null
       };
@@ -146,22 +168,15 @@ async function lookupSingleRbl(ip, rblServer, timeout = 5000) {
       host: rblServer.host,
       description: rblServer.description,
       listed: null,
+      status: 'error',
       response: null,
+      resolver: error.resolver || null,
       responseTime,
-      error: error.message
+      error: redactSecrets(error.message, rblServer)
     };
   }
 }
 
-/**
- * Load RBL servers from configuration file
- */
-async function loadRblServers() {
-  const configPath = join(__dirname, '..', 'etc', 'rbl-servers.json');
-  const data = await readFile(configPath, 'utf8');
-  return JSON.parse(data);
-}
-
 /**
  * Lookup an IP address against multiple RBL servers concurrently
  */
@@ -170,12 +185,13 @@ export async function lookupIp(ip, onProgress = null) {
     throw new Error('Invalid IP address (must be valid IPv4 or IPv6)');
   }
 
-  const rblServers = await loadRblServers();
+  // Domain-type servers (RHSBL/URIBL) are only used for domain lookups
+  const rblServers = (await loadRblServers()).filter(server => !server.quarantined && getServerType(server) === 'ip');
   const results = [];
 
   // Create promises for all lookups
   const lookupPromises = rblServers.map(async (server) => {
-    const result = await lookupSingleRbl(ip, server);
+    const result = await lookupSingleRbl(ip, server, server.timeout || undefined);
     results.push(result);
 
     // Call progress callback if provided
@@ -207,13 +223,14 @@ export async function lookupIp(ip, onProgress = null) {
     totalChecked: rblServers.length,
     listedCount: results.filter(r => r.listed === true).length,
     notListedCount: results.filter(r => r.listed === false).length,
-    errorCount: results.filter(r => r.error !== null).length,
+    errorCount: results.filter(r => r.error !== null && r.status !== 'blocked').length,
+    blockedCount: results.filter(r => r.status === 'blocked').length,
     results
   };
 }
 
 /**
- * Get list of available RBL servers
+ * Get list of enabled RBL servers
  */
 export async function getRblServers() {
   return await loadRblServers();
@@ -0,0 +1,116 @@
+/**
+ * Multi-RBL Lookup Tool
+ * Copyright (C) 2025 Matthew Asham & Multi-RBL Lookup Contributors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * RBL Query Templates
+ * Builds query names for key-authenticated zones (e.g. Spamhaus DQS:
+ * <reversed-ip>.<key>.zen.dq.spamhaus.net) from a "queryTemplate" in
+ * RBL server definitions, resolving {env:NAME} secrets from the environment.
+ * Resolved secrets are never stored in the server config; use redactSecrets()
+ * on anything derived from a query name before it is logged or returned.
+ */
+
+const ENV_PLACEHOLDER = /\{env:([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Get the environment variable names referenced by a server's query template
+ * @param {object} rblServer - RBL server configuration
+ * @returns {string[]} Environment variable names
+ */
+function getSecretNames(rblServer) {
+  if (!rblServer || !rblServer.queryTemplate) {
+    return [];
+  }
+
+  return [...rblServer.queryTemplate.matchAll(ENV_PLACEHOLDER)].map(match => match[1]);
+}
+
+/**
+ * Build the DNS query name for an RBL server
+ *
+ * Template placeholders:
+ *   {query}    - reversed IP (or domain for domain RBLs)
+ *   {host}     - the server's host
+ *   {env:NAME} - secret read from environment variable NAME
+ *
+ * Without a queryTemplate the query is "{query}.{host}".
+ *
+ * @param {object} rblServer - RBL server configuration
+ * @param {string} queryPrefix - Reversed IP or domain
+ * @returns {string} DNS query name
+ * @throws {Error} If a referenced environment variable is not set
+ */
+export function applyQueryTemplate(rblServer, queryPrefix) {
+  if (!rblServer.queryTemplate) {
+    return `${queryPrefix}.${rblServer.host}`;
+  }
+
+  return rblServer.queryTemplate
+    .replace(ENV_PLACEHOLDER, (match, name) => {
+      const value = process.env[name];
+      if (!value) {
+        throw new Error(`Query secret ${name} is not set for ${rblServer.name}`);
+      }
+      return value;
+    })
+    .replace(/\{query\}/g, queryPrefix)
+    .replace(/\{host\}/g, rblServer.host);
+}
+
+/**
+ * Replace any resolved query secrets in a string with "[REDACTED]"
+ * @param {string} text - Text that may contain a query name (e.g. a DNS error message)
+ * @param {object|object[]} rblServers - Server(s) whose secrets should be redacted
+ * @returns {string} Redacted text
+ */
+export function redactSecrets(text, rblServers) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  const servers = Array.isArray(rblServers) ? rblServers : [rblServers];
+  let redacted = text;
+
+  for (const server of servers) {
+    for (const name of getSecretNames(server)) {
+      const value = process.env[name];
+      if (value) {
+        redacted = redacted.split(value).join('[REDACTED]');
+      }
+    }
+  }
+
+  return redacted;
+}
+
+/**
+ * Get a copy of the server list that is safe to expose through the API
+ * Templates only carry {env:NAME} placeholders, but any literal secret
+ * value that ended up in the config is redacted as well.
+ * @param {object[]} rblServers - RBL server configurations
+ * @returns {object[]} Redacted copies
+ */
+export function sanitizeRblServers(rblServers) {
+  return JSON.parse(redactSecrets(JSON.stringify(rblServers), rblServers));
+}
+
+export default {
+  applyQueryTemplate,
+  redactSecrets,
+  sanitizeRblServers
+};
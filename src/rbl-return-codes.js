@@ -0,0 +1,171 @@
+/**
+ * Multi-RBL Lookup Tool
+ * Copyright (C) 2025 Matthew Asham & Multi-RBL Lookup Contributors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * RBL Return Code Decoding
+ * Maps raw 127.0.0.x responses to named listing categories using the
+ * returnCodes / returnCodeBits maps declared on each RBL server, and
+ * detects sentinel answers that mean the query was refused
+ */
+
+// Severity levels in ascending order
+const SEVERITY_LEVELS = ['info', 'low', 'medium', 'high'];
+
+/**
+ * Global sentinel responses - answers that signal the query itself was
+ * refused or rate-limited rather than the IP being listed.
+ * Per-server "sentinels" maps extend this table.
+ */
+export const GLOBAL_SENTINELS = {
+  '127.255.255.252': 'Typing error in DNSBL name',
+  '127.255.255.254': 'Query via public/open resolver refused',
+  '127.255.255.255': 'Excessive number of queries'
+};
+
+/**
+ * Pick the most severe of two severity levels
+ */
+function maxSeverity(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return SEVERITY_LEVELS.indexOf(b) > SEVERITY_LEVELS.indexOf(a) ? b : a;
+}
+
+/**
+ * Build a category object from a return code map entry
+ * Entries may be a bare category name or an object
+ */
+function toCategory(code, entry) {
+  if (typeof entry === 'string') {
+    return { code, category: entry, description: null, severity: null };
+  }
+
+  return {
+    code,
+    category: entry.category || code,
+    description: entry.description || null,
+    severity: entry.severity || null
+  };
+}
+
+/**
+ * Decode an RBL response into listing categories
+ *
+ * Exact codes (returnCodes) are matched against the full response address.
+ * Bitmask codes (returnCodeBits) are matched against the last octet, as used
+ * by multi.surbl.org and multi.uribl.com.
+ *
+ * Lists may answer several A records (zen.spamhaus.org answers 127.0.0.2 and
+ * 127.0.0.10 for an IP on both SBL and PBL); the categories of all of them
+ * are merged, each category once.
+ *
+ * @param {string|string[]|null} response - Raw DNS response(s) (e.g. 127.0.0.2)
+ * @param {object} rblServer - RBL server configuration
+ * @returns {object} Decoded categories, highest severity and removal URL
+ */
+export function decodeRblResponse(response, rblServer) {
+  const decoded = {
+    categories: [],
+    severity: null,
+    removalUrl: rblServer.removalUrl || null
+  };
+
+  const responses = (Array.isArray(response) ? response : [response]).filter(Boolean);
+  const seen = new Set();
+  const addCategory = (category) => {
+    const key = `${category.code}\t${category.category}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      decoded.categories.push(category);
+    }
+  };
+
+  for (const address of responses) {
+    // Exact return codes
+    if (rblServer.returnCodes && rblServer.returnCodes[address]) {
+      addCategory(toCategory(address, rblServer.returnCodes[address]));
+    }
+
+    // Bitmask return codes (last octet)
+    if (rblServer.returnCodeBits) {
+      const lastOctet = parseInt(address.split('.').pop(), 10);
+
+      if (!isNaN(lastOctet)) {
+        for (const [bit, entry] of Object.entries(rblServer.returnCodeBits)) {
+          const mask = parseInt(bit, 10);
+          if (mask > 0 && (lastOctet & mask) === mask) {
+            addCategory(toCategory(bit, entry));
+          }
+        }
+      }
+    }
+  }
+
+  if (responses.length === 0) {
+    return decoded;
+  }
+
+  for (const category of decoded.categories) {
+    decoded.severity = maxSeverity(decoded.severity, category.severity);
+  }
+
+  // Fall back to the server's default severity when listed but undecoded
+  if (!decoded.severity && rblServer.severity) {
+    decoded.severity = rblServer.severity;
+  }
+
+  return decoded;
+}
+
+/**
+ * Check whether an RBL response is a "query refused" / rate-limit sentinel
+ * @param {string|null} response - Raw DNS response
+ * @param {object} rblServer - RBL server configuration
+ * @returns {string|null} Sentinel message, or null if the response is a real listing
+ */
+export function getSentinelMessage(response, rblServer) {
+  if (!response) {
+    return null;
+  }
+
+  if (rblServer.sentinels && rblServer.sentinels[response]) {
+    return rblServer.sentinels[response];
+  }
+
+  return GLOBAL_SENTINELS[response] || null;
+}
+
+/**
+ * Format decoded categories as a short label (e.g. "SBL, PBL")
+ * @param {object[]} categories - Decoded categories
+ * @returns {string} Comma-separated category names
+ */
+export function formatCategories(categories) {
+  if (!categories || categories.length === 0) {
+    return '';
+  }
+
+  return categories.map(c => c.category).join(', ');
+}
+
+export default {
+  GLOBAL_SENTINELS,
+  getSentinelMessage,
+  decodeRblResponse,
+  formatCategories
+};
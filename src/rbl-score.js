@@ -0,0 +1,100 @@
+/**
+ * Multi-RBL Lookup Tool
+ * Copyright (C) 2025 Matthew Asham & Multi-RBL Lookup Contributors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * RBL Reputation Score
+ * The score of a lookup is the sum of the weights of the RBLs that list the
+ * target, so a listing on a major list counts for more than one on a small
+ * personal list. The verdict compares the score against configurable thresholds.
+ */
+
+export const SCORE_THRESHOLDS = {
+  suspicious: parseFloat(process.env.SCORE_SUSPICIOUS_THRESHOLD || '1'),
+  block: parseFloat(process.env.SCORE_BLOCK_THRESHOLD || '5')
+};
+
+// Weight of the custom RBL (results from our own list carry no server weight)
+const CUSTOM_RBL_WEIGHT = parseFloat(process.env.CUSTOM_RBL_WEIGHT || '5');
+
+/**
+ * Get the weight of a lookup result
+ * @param {object} result - RBL lookup result
+ * @returns {number} Weight (1 if the server has none)
+ */
+export function getResultWeight(result) {
+  if (result.customRbl) {
+    return CUSTOM_RBL_WEIGHT;
+  }
+  return typeof result.weight === 'number' ? result.weight : 1;
+}
+
+/**
+ * Get the verdict for a score
+ * @param {number} score - Aggregate score
+ * @param {object} thresholds - { suspicious, block } (defaults to SCORE_THRESHOLDS)
+ * @returns {string} "clean", "suspicious" or "block"
+ */
+export function getVerdict(score, thresholds = SCORE_THRESHOLDS) {
+  if (score >= thresholds.block) {
+    return 'block';
+  }
+  if (score >= thresholds.suspicious) {
+    return 'suspicious';
+  }
+  return 'clean';
+}
+
+/**
+ * Score a set of lookup results
+ * @param {object[]} results - RBL lookup results
+ * @param {object} thresholds - { suspicious, block } (defaults to SCORE_THRESHOLDS)
+ * @returns {object} { score, verdict }
+ */
+export function scoreResults(results, thresholds = SCORE_THRESHOLDS) {
+  const total = results
+    .filter(result => result && result.listed === true)
+    .reduce((sum, result) => sum + getResultWeight(result), 0);
+
+  // Avoid floating point noise from fractional weights
+  const score = Math.round(total * 100) / 100;
+
+  return { score, verdict: getVerdict(score, thresholds) };
+}
+
+/**
+ * Encode a score as the last octet of a 127.0.0.x answer
+ * The octet is the rounded score plus one, kept within 2-255, so the lowest
+ * answer is 127.0.0.2 even for fractional scores below 0.5: 127.0.0.1 means
+ * "not listed" (RFC 5782).
+ * @param {number} score - Aggregate score
+ * @returns {string|null} Answer address, or null for a zero score
+ */
+export function scoreToAddress(score) {
+  if (score <= 0) {
+    return null;
+  }
+  return `127.0.0.${Math.min(255, Math.max(2, Math.round(score) + 1))}`;
+}
+
+export default {
+  SCORE_THRESHOLDS,
+  getResultWeight,
+  getVerdict,
+  scoreResults,
+  scoreToAddress
+};
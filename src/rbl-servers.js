@@ -0,0 +1,515 @@
+/**
+ * Multi-RBL Lookup Tool
+ * Copyright (C) 2025 Matthew Asham & Multi-RBL Lookup Contributors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * RBL Server Definitions
+ * RBL servers are stored in the rbl_servers table and served from an
+ * in-memory copy. Every change made through this module sends a PostgreSQL
+ * NOTIFY, so the web server and DNS server processes both drop their copy
+ * and publish a "change" event on rblServerEvents.
+ */
+
+import { EventEmitter } from 'events';
+import { readFile } from 'fs/promises';
+import { query, getClient } from './db-postgres.js';
+import { validateResolverConfig } from './resolver-pool.js';
+
+const CHANGE_CHANNEL = 'rbl_servers_changed';
+const RBL_SERVER_CACHE_TTL = parseInt(process.env.RBL_SERVER_CACHE_TTL || '300', 10);
+const SEVERITY_LEVELS = ['info', 'low', 'medium', 'high'];
+
+// Emits "change" after the server list was modified (by this or another process)
+export const rblServerEvents = new EventEmitter();
+
+// In-memory copy of all servers (enabled and disabled)
+let cache = null;
+let cacheLoadedAt = 0;
+let listening = false;
+
+/**
+ * Convert a database row to the server configuration format used by lookups
+ * Optional fields are omitted when not set, matching the old JSON entries.
+ */
+function fromRow(row) {
+  const server = {
+    id: row.id,
+    name: row.name,
+    host: row.host,
+    description: row.description || '',
+    type: row.type,
+    weight: row.weight,
+    enabled: row.enabled,
+    quarantined: row.quarantined
+  };
+
+  const optional = {
+    timeout: row.timeout,
+    severity: row.severity,
+    removalUrl: row.removal_url,
+    returnCodes: row.return_codes,
+    returnCodeBits: row.return_code_bits,
+    sentinels: row.sentinels,
+    queryTemplate: row.query_template,
+    resolver: row.resolver,
+    quarantineReason: row.quarantine_reason,
+    quarantinedAt: row.quarantined_at
+  };
+
+  for (const [key, value] of Object.entries(optional)) {
+    if (value !== null && value !== undefined) {
+      server[key] = value;
+    }
+  }
+
+  return server;
+}
+
+// Server config keys mapped to rbl_servers columns ("json" columns are JSONB)
+const COLUMNS = [
+  ['name', 'name'],
+  ['host', 'host'],
+  ['description', 'description'],
+  ['type', 'type'],
+  ['weight', 'weight'],
+  ['enabled', 'enabled'],
+  ['timeout', 'timeout'],
+  ['severity', 'severity'],
+  ['removalUrl', 'removal_url'],
+  ['returnCodes', 'return_codes', 'json'],
+  ['returnCodeBits', 'return_code_bits', 'json'],
+  ['sentinels', 'sentinels', 'json'],
+  ['queryTemplate', 'query_template'],
+  ['resolver', 'resolver', 'json']
+];
+
+function toColumnValue(value, kind) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return kind === 'json' ? JSON.stringify(value) : value;
+}
+
+/**
+ * Build insert values (in COLUMNS order) for a new server, applying defaults
+ */
+function toInsertValues(server) {
+  const defaults = { description: '', type: 'ip', weight: 1, enabled: true };
+  return COLUMNS.map(([key, , kind]) => toColumnValue(server[key] ?? defaults[key], kind));
+}
+
+/**
+ * Validate one RBL server definition
+ * @param {object} server - Server definition (full, or partial when updating)
+ * @param {boolean} partial - Only validate fields that are present
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateRblServer(server, partial = false) {
+  const errors = [];
+
+  if (!server || typeof server !== 'object') {
+    return ['must be an object'];
+  }
+
+  for (const field of ['name', 'host']) {
+    if ((!partial || server[field] !== undefined) && (typeof server[field] !== 'string' || !server[field])) {
+      errors.push(`"${field}" is required`);
+    }
+  }
+
+  if (server.type !== undefined && server.type !== 'ip' && server.type !== 'domain') {
+    errors.push('"type" must be "ip" or "domain"');
+  }
+
+  if (server.description !== undefined && typeof server.description !== 'string') {
+    errors.push('"description" must be a string');
+  }
+
+  if (server.enabled !== undefined && typeof server.enabled !== 'boolean') {
+    errors.push('"enabled" must be a boolean');
+  }
+
+  if (server.weight !== undefined && (typeof server.weight !== 'number' || server.weight < 0)) {
+    errors.push('"weight" must be a non-negative number');
+  }
+
+  if (server.timeout !== undefined && server.timeout !== null &&
+      (!Number.isInteger(server.timeout) || server.timeout <= 0)) {
+    errors.push('"timeout" must be a positive integer (milliseconds)');
+  }
+
+  if (server.severity !== undefined && server.severity !== null && !SEVERITY_LEVELS.includes(server.severity)) {
+    errors.push(`"severity" must be one of ${SEVERITY_LEVELS.join(', ')}`);
+  }
+
+  for (const field of ['returnCodes', 'returnCodeBits', 'sentinels', 'resolver']) {
+    const value = server[field];
+    if (value !== undefined && value !== null && (typeof value !== 'object' || Array.isArray(value))) {
+      errors.push(`"${field}" must be an object`);
+    }
+  }
+
+  if (server.resolver && typeof server.resolver === 'object' && !Array.isArray(server.resolver)) {
+    for (const error of validateResolverConfig(server.resolver)) {
+      errors.push(`resolver ${error}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a list of RBL server definitions
+ * @param {object[]} servers - Server definitions
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateRblServers(servers) {
+  if (!Array.isArray(servers)) {
+    return ['must be an array of RBL servers'];
+  }
+
+  const errors = [];
+  const hosts = new Set();
+
+  servers.forEach((server, index) => {
+    const label = server && server.host ? server.host : `entry ${index}`;
+    for (const error of validateRblServer(server)) {
+      errors.push(`${label}: ${error}`);
+    }
+    if (server && server.host) {
+      if (hosts.has(server.host)) {
+        errors.push(`${server.host}: duplicate host`);
+      }
+      hosts.add(server.host);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Listen for change notifications from other processes
+ * Uses a dedicated connection; reconnects if it is lost.
+ */
+async function listenForChanges() {
+  if (listening) {
+    return;
+  }
+  listening = true;
+
+  let client;
+  try {
+    client = await getClient();
+  } catch (error) {
+    console.error('Error listening for RBL server changes:', error.message);
+    listening = false;
+    return;
+  }
+
+  let lost = false;
+  const reconnect = (error) => {
+    if (lost) {
+      return;
+    }
+    lost = true;
+    console.error('RBL server change listener lost:', error ? error.message : 'connection ended');
+    client.removeAllListeners();
+    client.release(true);
+    listening = false;
+    cache = null;
+    setTimeout(() => listenForChanges(), 5000);
+  };
+
+  client.on('notification', (msg) => {
+    if (msg.channel === CHANGE_CHANNEL) {
+      cache = null;
+      rblServerEvents.emit('change');
+    }
+  });
+  client.on('error', reconnect);
+  client.on('end', reconnect);
+
+  try {
+    await client.query(`LISTEN ${CHANGE_CHANNEL}`);
+  } catch (error) {
+    reconnect(error);
+  }
+}
+
+/**
+ * Drop the in-memory copy and tell every process (including this one) to reload
+ */
+async function notifyChange() {
+  cache = null;
+  try {
+    await query(`NOTIFY ${CHANGE_CHANNEL}`);
+  } catch (error) {
+    // Other processes will pick the change up when their cache TTL expires
+    console.error('Error sending RBL server change notification:', error.message);
+    rblServerEvents.emit('change');
+  }
+}
+
+/**
+ * Load all servers into the in-memory copy
+ * If the database can't be reached, the previous copy is kept.
+ */
+async function loadAll() {
+  const expired = Date.now() - cacheLoadedAt > RBL_SERVER_CACHE_TTL * 1000;
+
+  if (cache && !expired) {
+    return cache;
+  }
+
+  listenForChanges();
+
+  try {
+    const result = await query('SELECT * FROM rbl_servers ORDER BY id');
+    cache = result.rows.map(fromRow);
+    cacheLoadedAt = Date.now();
+  } catch (error) {
+    if (!cache) {
+      throw error;
+    }
+    console.error('Error refreshing RBL servers, using previous list:', error.message);
+  }
+
+  return cache;
+}
+
+/**
+ * Get RBL servers
+ * @param {object} options - { includeDisabled }
+ * @returns {Promise<object[]>} Server definitions (enabled only by default)
+ */
+export async function getRblServers(options = {}) {
+  const servers = await loadAll();
+  return options.includeDisabled ? servers : servers.filter(server => server.enabled);
+}
+
+/**
+ * Get one RBL server by ID
+ * @param {number} serverId - Server ID
+ * @returns {Promise<object>} Result with server or error
+ */
+export async function getRblServer(serverId) {
+  try {
+    const result = await query('SELECT * FROM rbl_servers WHERE id = $1', [serverId]);
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'RBL server not found' };
+    }
+
+    return { success: true, server: fromRow(result.rows[0]) };
+  } catch (error) {
+    console.error('Error getting RBL server:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Add an RBL server
+ * @param {object} server - Server definition
+ * @returns {Promise<object>} Result with server or error
+ */
+export async function createRblServer(server) {
+  const errors = validateRblServer(server);
+  if (errors.length > 0) {
+    return { success: false, error: errors.join('; ') };
+  }
+
+  try {
+    const result = await query(
+      `INSERT INTO rbl_servers (${COLUMNS.map(([, column]) => column).join(', ')})
+       VALUES (${COLUMNS.map((_, i) => `$${i + 1}`).join(', ')})
+       RETURNING *`,
+      toInsertValues(server)
+    );
+
+    await notifyChange();
+    return { success: true, server: fromRow(result.rows[0]) };
+  } catch (error) {
+    console.error('Error creating RBL server:', error.message);
+
+    if (error.code === '23505') {
+      return { success: false, error: 'An RBL server with this host already exists' };
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Update an RBL server
+ * Set an optional field to null to clear it.
+ * @param {number} serverId - Server ID
+ * @param {object} updates - Fields to update
+ * @returns {Promise<object>} Result with updated server or error
+ */
+export async function updateRblServer(serverId, updates) {
+  const errors = validateRblServer(updates, true);
+  if (errors.length > 0) {
+    return { success: false, error: errors.join('; ') };
+  }
+
+  const fields = [];
+  const values = [];
+  let paramIndex = 1;
+
+  for (const [key, column, kind] of COLUMNS) {
+    if (updates[key] !== undefined) {
+      fields.push(`${column} = $${paramIndex++}`);
+      values.push(toColumnValue(updates[key], kind));
+    }
+  }
+
+  if (fields.length === 0) {
+    return { success: false, error: 'No fields to update' };
+  }
+
+  values.push(serverId);
+
+  try {
+    const result = await query(
+      `UPDATE rbl_servers
+       SET ${fields.join(', ')}
+       WHERE id = $${paramIndex}
+       RETURNING *`,
+      values
+    );
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'RBL server not found' };
+    }
+
+    await notifyChange();
+    return { success: true, server: fromRow(result.rows[0]) };
+  } catch (error) {
+    console.error('Error updating RBL server:', error.message);
+
+    if (error.code === '23505') {
+      return { success: false, error: 'An RBL server with this host already exists' };
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete an RBL server
+ * @param {number} serverId - Server ID
+ * @returns {Promise<object>} Result indicating success or failure
+ */
+export async function deleteRblServer(serverId) {
+  try {
+    const result = await query('DELETE FROM rbl_servers WHERE id = $1 RETURNING id', [serverId]);
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'RBL server not found' };
+    }
+
+    await notifyChange();
+    return { success: true, deletedId: serverId };
+  } catch (error) {
+    console.error('Error deleting RBL server:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Quarantine an RBL server, or release it from quarantine
+ * Quarantined servers stay enabled but are skipped by lookups and
+ * multi-RBL zones. Managed by the health prober (see rbl-health.js).
+ * @param {number} serverId - Server ID
+ * @param {string|null} reason - Why the server is quarantined (null releases it)
+ * @returns {Promise<object>} Result with updated server or error
+ */
+export async function setRblServerQuarantine(serverId, reason) {
+  try {
+    const result = await query(
+      `UPDATE rbl_servers
+       SET quarantined = $2,
+           quarantine_reason = $3,
+           quarantined_at = CASE WHEN $2 THEN CURRENT_TIMESTAMP ELSE NULL END
+       WHERE id = $1
+       RETURNING *`,
+      [serverId, reason !== null, reason]
+    );
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'RBL server not found' };
+    }
+
+    await notifyChange();
+    return { success: true, server: fromRow(result.rows[0]) };
+  } catch (error) {
+    console.error('Error updating RBL server quarantine:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Import server definitions from an rbl-servers.json file
+ * Existing hosts are updated unless skipExisting is set; hosts missing
+ * from the file are left alone.
+ * @param {string} filePath - Path to the JSON file
+ * @param {object} options - { skipExisting }
+ * @returns {Promise<object>} Result with imported/skipped counts
+ */
+export async function importRblServersFromFile(filePath, options = {}) {
+  const servers = JSON.parse(await readFile(filePath, 'utf8'));
+
+  const errors = validateRblServers(servers);
+  if (errors.length > 0) {
+    return { success: false, error: errors.join('; ') };
+  }
+
+  // Re-importing refreshes definitions but keeps enabled/weight set through the admin API
+  const columns = COLUMNS.map(([, column]) => column);
+  const updated = columns.filter(column => !['host', 'enabled', 'weight'].includes(column));
+  const conflict = options.skipExisting
+    ? 'DO NOTHING'
+    : `DO UPDATE SET ${updated.map(column => `${column} = EXCLUDED.${column}`).join(', ')}`;
+
+  let imported = 0;
+
+  for (const server of servers) {
+    const result = await query(
+      `INSERT INTO rbl_servers (${columns.join(', ')})
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+       ON CONFLICT (host) ${conflict}`,
+      toInsertValues(server)
+    );
+    imported += result.rowCount;
+  }
+
+  await notifyChange();
+  return { success: true, imported, skipped: servers.length - imported };
+}
+
+export default {
+  rblServerEvents,
+  validateRblServer,
+  validateRblServers,
+  getRblServers,
+  getRblServer,
+  createRblServer,
+  updateRblServer,
+  deleteRblServer,
+  setRblServerQuarantine,
+  importRblServersFromFile
+};
@@ -0,0 +1,233 @@
+/**
+ * Multi-RBL Lookup Tool
+ * Copyright (C) 2025 Matthew Asham & Multi-RBL Lookup Contributors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Resolver Pool for RBL queries
+ * Sends RBL queries through dedicated dns.Resolver instances configured in
+ * etc/resolvers.json instead of the system resolver (/etc/resolv.conf)
+ */
+
+import dns from 'dns/promises';
+import { isIP, isIPv4 } from 'net';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_CONFIG = {
+  nameservers: [],      // Empty = system resolver
+  timeout: 2000,        // Per-resolver timeout in milliseconds
+  retries: 1,           // Extra attempts per resolver before failing over
+  policy: 'failover'    // "failover" or "round-robin"
+};
+
+const POLICIES = ['failover', 'round-robin'];
+
+// DNS error codes that are definitive answers (not listed), not resolver failures
+const DEFINITIVE_CODES = ['ENOTFOUND', 'ENODATA'];
+
+/**
+ * Check a nameserver address as accepted by dns.Resolver#setServers():
+ * an IP, "IPv4:port" or "[IPv6]:port"
+ */
+function isValidNameserver(address) {
+  if (typeof address !== 'string') {
+    return false;
+  }
+  if (isIP(address)) {
+    return true;
+  }
+
+  const match = address.match(/^\[([^\]]+)\]:(\d+)$/) || address.match(/^([^:]+):(\d+)$/);
+  if (!match) {
+    return false;
+  }
+
+  const port = parseInt(match[2], 10);
+  return (address.startsWith('[') ? isIP(match[1]) === 6 : isIPv4(match[1])) && port > 0 && port <= 65535;
+}
+
+/**
+ * Validate resolver settings (etc/resolvers.json or an RBL server's "resolver")
+ * @param {object} config - { nameservers, timeout, retries, policy } (all optional)
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateResolverConfig(config) {
+  const errors = [];
+
+  if (config.nameservers !== undefined) {
+    if (!Array.isArray(config.nameservers)) {
+      errors.push('"nameservers" must be an array');
+    } else {
+      const invalid = config.nameservers.filter(address => !isValidNameserver(address));
+      if (invalid.length > 0) {
+        errors.push(`"nameservers" must be IP or IP:port entries (invalid: ${invalid.join(', ')})`);
+      }
+    }
+  }
+
+  if (config.timeout !== undefined && (!Number.isInteger(config.timeout) || config.timeout <= 0)) {
+    errors.push('"timeout" must be a positive integer (milliseconds)');
+  }
+
+  if (config.retries !== undefined && (!Number.isInteger(config.retries) || config.retries < 0)) {
+    errors.push('"retries" must be a non-negative integer');
+  }
+
+  if (config.policy !== undefined && !POLICIES.includes(config.policy)) {
+    errors.push(`"policy" must be one of ${POLICIES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Pool of dns.Resolver instances with retry and failover/round-robin policy
+ */
+class ResolverPool {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.nextIndex = 0;
+
+    const nameservers = this.config.nameservers || [];
+
+    if (nameservers.length === 0) {
+      // No dedicated nameservers - fall back to the system resolver
+      this.resolvers = [{
+        address: 'system',
+        resolver: new dns.Resolver({ timeout: this.config.timeout, tries: 1 })
+      }];
+    } else {
+      this.resolvers = nameservers.map(address => {
+        const resolver = new dns.Resolver({ timeout: this.config.timeout, tries: 1 });
+        resolver.setServers([address]);
+        return { address, resolver };
+      });
+    }
+  }
+
+  /**
+   * Get resolvers in the order they should be tried for the next query
+   */
+  getOrder() {
+    if (this.config.policy !== 'round-robin' || this.resolvers.length === 1) {
+      return this.resolvers;
+    }
+
+    const start = this.nextIndex;
+    this.nextIndex = (this.nextIndex + 1) % this.resolvers.length;
+    return [...this.resolvers.slice(start), ...this.resolvers.slice(0, start)];
+  }
+
+  /**
+   * Resolve a DNS name through the pool
+   * @param {string} method - dns.Resolver method (e.g. "resolve4", "resolveTxt")
+   * @param {string} name - DNS name to resolve
+   * @param {object} options - Options passed to the resolver method
+   * @returns {Promise<object>} { result, resolver } where resolver is the answering nameserver
+   * @throws {Error} Last error, with error.resolver set to the nameserver that produced it
+   */
+  async resolve(method, name, options = undefined) {
+    const attempts = Math.max(0, parseInt(this.config.retries, 10) || 0) + 1;
+    let lastError = null;
+
+    for (const { address, resolver } of this.getOrder()) {
+      for (let attempt = 0; attempt < attempts; attempt++) {
+        try {
+          const result = options === undefined
+            ? await resolver[method](name)
+            : await resolver[method](name, options);
+          return { result, resolver: address };
+        } catch (error) {
+          error.resolver = address;
+
+          // NXDOMAIN / NODATA is an answer - don't retry or fail over
+          if (DEFINITIVE_CODES.includes(error.code)) {
+            throw error;
+          }
+
+          lastError = error;
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Cancel outstanding queries on all resolvers
+   */
+  cancel() {
+    for (const { resolver } of this.resolvers) {
+      resolver.cancel();
+    }
+  }
+}
+
+// Global resolver configuration (loaded once) and pools keyed by effective config
+let globalConfigPromise = null;
+const pools = new Map();
+
+/**
+ * Load global resolver configuration from etc/resolvers.json
+ * Falls back to the system resolver if the file doesn't exist
+ */
+async function loadResolverConfig() {
+  const configPath = join(__dirname, '..', 'etc', 'resolvers.json');
+
+  try {
+    const data = await readFile(configPath, 'utf8');
+    return { ...DEFAULT_CONFIG, ...JSON.parse(data) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading resolver config:', error.message);
+    }
+    return { ...DEFAULT_CONFIG };
+  }
+}
+
+/**
+ * Get the resolver pool for an RBL server
+ * A "resolver" object on the server entry overrides the global configuration
+ * @param {object} rblServer - RBL server configuration
+ * @returns {Promise<ResolverPool>} Resolver pool
+ */
+export async function getResolverPool(rblServer = {}) {
+  if (!globalConfigPromise) {
+    globalConfigPromise = loadResolverConfig();
+  }
+
+  const config = { ...(await globalConfigPromise), ...(rblServer.resolver || {}) };
+  const key = JSON.stringify(config);
+
+  if (!pools.has(key)) {
+    pools.set(key, new ResolverPool(config));
+  }
+
+  return pools.get(key);
+}
+
+export { ResolverPool };
+
+export default {
+  getResolverPool,
+  validateResolverConfig,
+  ResolverPool
+};
@@ -21,20 +21,78 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import rateLimit from 'express-rate-limit';
 import { getRblServers } from './rbl-lookup.js';
-import { lookupIpCached } from './rbl-lookup-cached.js';
+import { sanitizeRblServers } from './rbl-query-template.js';
+import { lookupIpCached, lookupDomainCached, isValidIp } from './rbl-lookup-cached.js';
 import { getDatabase } from './cache-db.js';
 import { logRblRequest, getClientIp, logInfo, logWarning } from './logger.js';
 import { createHtmlInjectorMiddleware } from './html-injector.js';
 import { requireApiKey, generateApiKey, listApiKeys, revokeApiKey, deleteApiKey } from './auth-middleware.js';
 import {
   getCustomRblConfig,
+  getCustomRblZones,
+  listCustomRblZones,
+  getCustomRblZone,
+  createCustomRblZone,
+  updateCustomRblZone,
+  deleteCustomRblZone,
   checkCustomRbl,
   addCustomRblEntry,
   removeCustomRblEntry,
   updateCustomRblEntry,
   listCustomRblEntries,
-  updateCustomRblConfig
+  startExpirySweeper
 } from './custom-rbl-lookup.js';
+import { exportCustomRbl } from './custom-rbl-export.js';
+import { importCustomRbl } from './custom-rbl-import.js';
+import {
+  recordEvidence,
+  listEvidence,
+  pruneEvidence,
+  createEscalationRule,
+  updateEscalationRule,
+  deleteEscalationRule,
+  getEscalationRule,
+  listEscalationRules
+} from './custom-rbl-evidence.js';
+import {
+  bulkJobEvents,
+  createBulkJob,
+  resumeBulkJobs,
+  getBulkJob,
+  listBulkJobs,
+  getBulkJobMatrix,
+  matrixToCsv
+} from './bulk-lookup.js';
+import {
+  createMonitor,
+  updateMonitor,
+  deleteMonitor,
+  getMonitor,
+  listMonitors,
+  getMonitorState,
+  listMonitorEvents,
+  runMonitor,
+  startMonitorScheduler
+} from './monitor.js';
+import {
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhook,
+  listWebhooks,
+  listDeliveries,
+  testWebhook,
+  startWebhookDispatcher
+} from './webhooks.js';
+import { getIpHistory, cleanHistory } from './lookup-history.js';
+import {
+  getRblServers as listRblServers,
+  getRblServer,
+  createRblServer,
+  updateRblServer,
+  deleteRblServer
+} from './rbl-servers.js';
+import { getRblHealth, runHealthProbes, startHealthProber } from './rbl-health.js';
 import { testConnection } from './db-postgres.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -52,6 +110,9 @@ const RATE_LIMIT_WINDOW_MS = RATE_LIMIT_WINDOW_HOURS * 60 * 60 * 1000;
 const HEADER_HTML_FILE = process.env.HEADER_HTML_FILE || join(__dirname, '..', 'public_html', 'header.html');
 const FOOTER_HTML_FILE = process.env.FOOTER_HTML_FILE || join(__dirname, '..', 'public_html', 'footer.html');
 
+// Largest custom RBL import (request body or remote feed)
+const CUSTOM_RBL_IMPORT_MAX_BYTES = parseInt(process.env.CUSTOM_RBL_IMPORT_MAX_BYTES || '10485760', 10);
+
 // Initialize database
 const db = getDatabase();
 
@@ -84,7 +145,11 @@ const lookupLimiter = rateLimit({
 });
 
 // Middleware
-app.use(express.json());
+// Bulk imports parse their own (larger) JSON bodies, after authentication
+const CUSTOM_RBL_IMPORT_PATHS = ['/api/admin/custom-rbl/import', '/api/admin/custom-rbl/zones/:zone/import'];
+const CUSTOM_RBL_IMPORT_PATTERN = /^\/api\/admin\/custom-rbl\/(zones\/[^/]+\/)?import\/?$/i;
+const parseJson = express.json();
+app.use((req, res, next) => (CUSTOM_RBL_IMPORT_PATTERN.test(req.path) ? next() : parseJson(req, res, next)));
 
 // Create HTML injector
 const htmlInjector = createHtmlInjectorMiddleware({
@@ -105,10 +170,56 @@ app.get('/index.html', htmlInjector, (req, res) => {
 // Serve other static files normally
 app.use(express.static(join(__dirname, '..', 'public_html')));
 
-// API endpoint to get list of RBL servers
+/**
+ * Run a lookup and stream each result to the client as Server-Sent Events
+ * @param {object} res - Express response
+ * @param {Function} runLookup - Called with the progress callback, returns the lookup promise
+ */
+async function streamLookup(res, runLookup) {
+  // Set headers for SSE
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  try {
+    const lookup = await runLookup((result, current, total) => {
+      // Send each result as it comes in
+      res.write(`data: ${JSON.stringify({
+        type: 'result',
+        result,
+        progress: {
+          current,
+          total,
+          percentage: Math.round((current / total) * 100)
+        }
+      })}\n\n`);
+    });
+
+    // Send completion event with the aggregate score
+    res.write(`data: ${JSON.stringify({
+      type: 'complete',
+      score: lookup.score,
+      verdict: lookup.verdict,
+      allowlisted: lookup.allowlisted
+    })}\n\n`);
+    res.end();
+  } catch (error) {
+    res.write(`data: ${JSON.stringify({
+      type: 'error',
+      error: error.message
+    })}\n\n`);
+    res.end();
+  }
+}
+
+// API endpoint to get list of enabled RBL servers with their health
 app.get('/api/rbl-servers', async (req, res) => {
   try {
-    const servers = await getRblServers();
+    const health = await getRblHealth();
+    const servers = sanitizeRblServers(await getRblServers()).map(server => ({
+      ...server,
+      health: health[server.host] || null
+    }));
     res.json({ success: true, servers });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -149,37 +260,65 @@ app.post('/api/lookup-stream', lookupLimiter, async (req, res) => {
   const userAgent = req.headers['user-agent'];
   logRblRequest(clientIp, ip, userAgent);
 
-  // Set headers for SSE
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
+  await streamLookup(res, (onProgress) => lookupIpCached(ip, db, onProgress));
+});
+
+// API endpoint for domain (RHSBL/URIBL) lookup (with caching)
+app.post('/api/lookup-domain', lookupLimiter, async (req, res) => {
+  const { domain } = req.body;
+
+  if (!domain) {
+    return res.status(400).json({ success: false, error: 'Domain is required' });
+  }
+
+  // Log the request
+  const clientIp = getClientIp(req);
+  const userAgent = req.headers['user-agent'];
+  logRblRequest(clientIp, domain, userAgent);
 
   try {
-    let resultsSent = 0;
+    const results = await lookupDomainCached(domain, db);
+    res.json({ success: true, data: results });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
 
-    await lookupIpCached(ip, db, (result, current, total) => {
-      // Send each result as it comes in
-      res.write(`data: ${JSON.stringify({
-        type: 'result',
-        result,
-        progress: {
-          current,
-          total,
-          percentage: Math.round((current / total) * 100)
-        }
-      })}\n\n`);
-      resultsSent++;
-    });
+// Server-Sent Events endpoint for domain lookups (with caching)
+app.post('/api/lookup-domain-stream', lookupLimiter, async (req, res) => {
+  const { domain } = req.body;
 
-    // Send completion event
-    res.write(`data: ${JSON.stringify({ type: 'complete' })}\n\n`);
-    res.end();
+  if (!domain) {
+    return res.status(400).json({ success: false, error: 'Domain is required' });
+  }
+
+  // Log the request
+  const clientIp = getClientIp(req);
+  const userAgent = req.headers['user-agent'];
+  logRblRequest(clientIp, domain, userAgent);
+
+  await streamLookup(res, (onProgress) => lookupDomainCached(domain, db, onProgress));
+});
+
+// Per-RBL listing timeline for an IP (?days=N, default: retention period)
+app.get('/api/history/:ip', async (req, res) => {
+  try {
+    const { ip } = req.params;
+
+    if (!isValidIp(ip)) {
+      return res.status(400).json({ success: false, error: 'Invalid IP address (must be valid IPv4 or IPv6)' });
+    }
+
+    const days = parseInt(req.query.days) || undefined;
+    const result = await getIpHistory(ip, { days });
+
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+
+    res.json(result);
   } catch (error) {
-    res.write(`data: ${JSON.stringify({
-      type: 'error',
-      error: error.message
-    })}\n\n`);
-    res.end();
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
@@ -237,7 +376,85 @@ app.get('/api/health', async (req, res) => {
 // CUSTOM RBL ADMIN API ENDPOINTS (Require API Key Authentication)
 // ============================================================================
 
-// Custom RBL Configuration
+// Entry, import and export routes exist once for the default zone and once
+// under /zones/:zone for a named zone; a missing zone is a 404
+function customRblStatus(result, status = 400) {
+  return result.error === 'Zone not found' || result.error === 'Custom RBL not configured' ? 404 : status;
+}
+
+// Custom RBL Zones
+app.get('/api/admin/custom-rbl/zones', requireApiKey, async (req, res) => {
+  try {
+    const result = await listCustomRblZones();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/custom-rbl/zones', requireApiKey, async (req, res) => {
+  try {
+    const { zoneName, type, description, returnCode, enabled, categories, txtTemplate, removalUrl } = req.body;
+    const result = await createCustomRblZone({ zoneName, type, description, returnCode, enabled, categories, txtTemplate, removalUrl });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/custom-rbl/zones/:zone', requireApiKey, async (req, res) => {
+  try {
+    const result = await getCustomRblZone(req.params.zone);
+
+    if (!result.success) {
+      return res.status(customRblStatus(result, 500)).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/api/admin/custom-rbl/zones/:zone', requireApiKey, async (req, res) => {
+  try {
+    const { zoneName, type, description, returnCode, enabled, categories, txtTemplate, removalUrl } = req.body;
+    const result = await updateCustomRblZone(
+      req.params.zone,
+      { zoneName, type, description, returnCode, enabled, categories, txtTemplate, removalUrl }
+    );
+
+    if (!result.success) {
+      return res.status(customRblStatus(result)).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Deleting a zone that has entries needs ?force=true
+app.delete('/api/admin/custom-rbl/zones/:zone', requireApiKey, async (req, res) => {
+  try {
+    const result = await deleteCustomRblZone(req.params.zone, { force: req.query.force === 'true' });
+
+    if (!result.success) {
+      return res.status(customRblStatus(result, 409)).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Custom RBL Configuration (default zone)
 app.get('/api/admin/custom-rbl/config', requireApiKey, async (req, res) => {
   try {
     const config = await getCustomRblConfig();
@@ -252,46 +469,54 @@ app.get('/api/admin/custom-rbl/config', requireApiKey, async (req, res) => {
 
 app.put('/api/admin/custom-rbl/config', requireApiKey, async (req, res) => {
   try {
-    const { zoneName, description, enabled } = req.body;
-    const result = await updateCustomRblConfig({ zoneName, description, enabled });
+    const { zoneName, description, returnCode, enabled, categories, txtTemplate, removalUrl } = req.body;
+    const result = await updateCustomRblZone(null, { zoneName, description, returnCode, enabled, categories, txtTemplate, removalUrl });
 
     if (!result.success) {
-      return res.status(400).json(result);
+      return res.status(customRblStatus(result)).json(result);
     }
 
-    res.json(result);
+    res.json({ success: true, config: result.zone });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Custom RBL Entries Management
-app.get('/api/admin/custom-rbl/entries', requireApiKey, async (req, res) => {
+const ENTRIES_PATHS = ['/api/admin/custom-rbl/entries', '/api/admin/custom-rbl/zones/:zone/entries'];
+const ENTRY_PATHS = ['/api/admin/custom-rbl/entries/:id', '/api/admin/custom-rbl/zones/:zone/entries/:id'];
+
+app.get(ENTRIES_PATHS, requireApiKey, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 100;
     const offset = parseInt(req.query.offset) || 0;
     const listedOnly = req.query.listedOnly !== 'false';
 
-    const result = await listCustomRblEntries({ limit, offset, listedOnly });
+    const result = await listCustomRblEntries({ zone: req.params.zone, limit, offset, listedOnly });
+
+    if (!result.success) {
+      return res.status(customRblStatus(result, 500)).json(result);
+    }
+
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/admin/custom-rbl/entries', requireApiKey, async (req, res) => {
+app.post(ENTRIES_PATHS, requireApiKey, async (req, res) => {
   try {
-    const { network, reason } = req.body;
+    const { network, reason, trust, expiresAt, ttl, returnCode, category } = req.body;
 
     if (!network) {
       return res.status(400).json({ success: false, error: 'Network (CIDR) is required' });
     }
 
     const addedBy = req.apiKey.description || req.apiKey.keyPrefix;
-    const result = await addCustomRblEntry(network, reason, addedBy);
+    const result = await addCustomRblEntry(network, reason, addedBy, req.params.zone, { trust, expiresAt, ttl, returnCode, category });
 
     if (!result.success) {
-      return res.status(400).json(result);
+      return res.status(customRblStatus(result)).json(result);
     }
 
     res.status(201).json(result);
@@ -300,10 +525,10 @@ app.post('/api/admin/custom-rbl/entries', requireApiKey, async (req, res) => {
   }
 });
 
-app.delete('/api/admin/custom-rbl/entries/:id', requireApiKey, async (req, res) => {
+app.delete(ENTRY_PATHS, requireApiKey, async (req, res) => {
   try {
     const entryId = parseInt(req.params.id);
-    const result = await removeCustomRblEntry(entryId);
+    const result = await removeCustomRblEntry(entryId, req.params.zone);
 
     if (!result.success) {
       return res.status(404).json(result);
@@ -315,12 +540,182 @@ app.delete('/api/admin/custom-rbl/entries/:id', requireApiKey, async (req, res)
   }
 });
 
-app.patch('/api/admin/custom-rbl/entries/:id', requireApiKey, async (req, res) => {
+app.patch(ENTRY_PATHS, requireApiKey, async (req, res) => {
   try {
     const entryId = parseInt(req.params.id);
-    const { reason, listed } = req.body;
+    const { reason, listed, trust, expiresAt, ttl, returnCode, category } = req.body;
+
+    const updatedBy = req.apiKey.description || req.apiKey.keyPrefix;
+    const result = await updateCustomRblEntry(
+      entryId,
+      { reason, listed, trust, expiresAt, ttl, returnCode, category },
+      req.params.zone,
+      updatedBy
+    );
+
+    if (!result.success) {
+      return res.status(result.error === 'Entry not found' ? 404 : customRblStatus(result)).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Custom RBL Bulk Import
+// The list is the request body (text/plain or text/csv) with options in the
+// query string, or JSON { format, content | url, reason, category, dryRun };
+// both are limited to CUSTOM_RBL_IMPORT_MAX_BYTES.
+app.post(CUSTOM_RBL_IMPORT_PATHS, requireApiKey, express.json({ limit: CUSTOM_RBL_IMPORT_MAX_BYTES }), express.text({ type: 'text/*', limit: CUSTOM_RBL_IMPORT_MAX_BYTES }), async (req, res) => {
+  try {
+    const json = typeof req.body === 'object' && req.body !== null ? req.body : {};
+    const options = { ...req.query, ...json };
+
+    const result = await importCustomRbl({
+      zone: req.params.zone,
+      format: options.format || 'cidr',
+      content: typeof req.body === 'string' ? req.body : json.content,
+      url: json.url || req.query.url,
+      reason: options.reason || null,
+      category: options.category || null,
+      dryRun: options.dryRun === true || options.dryRun === 'true',
+      addedBy: req.apiKey.description || req.apiKey.keyPrefix,
+      maxBytes: CUSTOM_RBL_IMPORT_MAX_BYTES
+    });
+
+    if (!result.success) {
+      return res.status(customRblStatus(result)).json(result);
+    }
+
+    res.status(result.dryRun || result.counts.added === 0 ? 200 : 201).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Custom RBL Export (rbldnsd ip4set/ip6trie, BIND zone file, plain CIDR list)
+app.get(['/api/admin/custom-rbl/export', '/api/admin/custom-rbl/zones/:zone/export'], requireApiKey, async (req, res) => {
+  try {
+    const result = await exportCustomRbl(req.query.format, { zone: req.params.zone, expand: req.query.expand === 'true' });
+
+    if (!result.success) {
+      return res.status(customRblStatus(result)).json(result);
+    }
+
+    res.setHeader('Content-Type', `${result.contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.setHeader('X-Zone-Serial', String(result.serial));
+    res.send(result.content);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Custom RBL Evidence
+// One event { ip, source, type, timestamp } or { events: [...] }; IPs with
+// enough matching events are listed by the escalation rules
+app.post('/api/admin/custom-rbl/evidence', requireApiKey, async (req, res) => {
+  try {
+    const events = Array.isArray(req.body.events) ? req.body.events : [req.body];
+    const submittedBy = req.apiKey.description || req.apiKey.keyPrefix;
+    const result = await recordEvidence(events, submittedBy);
+
+    // Invalid events record nothing; a database error keeps the events stored before it
+    if (!result.success) {
+      return res.status(result.events ? 500 : 400).json(result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Evidence events, newest first (?ip= takes an address or CIDR range)
+app.get('/api/admin/custom-rbl/evidence', requireApiKey, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await listEvidence({ ip: req.query.ip, limit, offset });
+
+    if (!result.success) {
+      return res.status(result.error === 'Invalid IP or CIDR' ? 400 : 500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Custom RBL Escalation Rules
+app.get('/api/admin/custom-rbl/escalation-rules', requireApiKey, async (req, res) => {
+  try {
+    const result = await listEscalationRules();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/custom-rbl/escalation-rules', requireApiKey, async (req, res) => {
+  try {
+    const { name, zone, types, sources, minEvents, window, repeatWithin, listFor, enabled } = req.body;
+    const createdBy = req.apiKey.description || req.apiKey.keyPrefix;
+    const result = await createEscalationRule(
+      { name, zone, types, sources, minEvents, window, repeatWithin, listFor, enabled },
+      createdBy
+    );
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/custom-rbl/escalation-rules/:id', requireApiKey, async (req, res) => {
+  try {
+    const result = await getEscalationRule(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/api/admin/custom-rbl/escalation-rules/:id', requireApiKey, async (req, res) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+    const { name, zone, types, sources, minEvents, window, repeatWithin, listFor, enabled } = req.body;
 
-    const result = await updateCustomRblEntry(entryId, { reason, listed });
+    const result = await updateEscalationRule(
+      ruleId,
+      { name, zone, types, sources, minEvents, window, repeatWithin, listFor, enabled }
+    );
+
+    if (!result.success) {
+      return res.status(result.error === 'Rule not found' ? 404 : 400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/admin/custom-rbl/escalation-rules/:id', requireApiKey, async (req, res) => {
+  try {
+    const result = await deleteEscalationRule(parseInt(req.params.id));
 
     if (!result.success) {
       return res.status(404).json(result);
@@ -332,16 +727,16 @@ app.patch('/api/admin/custom-rbl/entries/:id', requireApiKey, async (req, res) =
   }
 });
 
-// Custom RBL Lookup (Public API - Test endpoint)
+// Custom RBL Lookup (Public API - Test endpoint; default zone unless "zone" is given)
 app.post('/api/custom-rbl/check', async (req, res) => {
   try {
-    const { ip } = req.body;
+    const { ip, zone } = req.body;
 
     if (!ip) {
       return res.status(400).json({ success: false, error: 'IP address is required' });
     }
 
-    const result = await checkCustomRbl(ip);
+    const result = await checkCustomRbl(ip, zone || null);
     res.json({ success: true, result });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -400,10 +795,481 @@ app.delete('/api/admin/api-keys/:id', requireApiKey, async (req, res) => {
 // END CUSTOM RBL ADMIN API ENDPOINTS
 // ============================================================================
 
-// Start server
-app.listen(PORT, async () => {
-  console.log(`RBL Lookup Server running on http://localhost:${PORT}`);
-  console.log(`Web interface: http://localhost:${PORT}`);
+// ============================================================================
+// BULK LOOKUP API ENDPOINTS (Require API Key Authentication)
+// ============================================================================
+
+// Create a bulk lookup job for a list of IPs and CIDR ranges
+app.post('/api/admin/bulk-lookups', requireApiKey, async (req, res) => {
+  try {
+    const { targets } = req.body;
+    const createdBy = req.apiKey.description || req.apiKey.keyPrefix;
+    const result = await createBulkJob(targets, createdBy);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(202).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/bulk-lookups', requireApiKey, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await listBulkJobs({ limit, offset });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/bulk-lookups/:id', requireApiKey, async (req, res) => {
+  try {
+    const result = await getBulkJob(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Server-Sent Events stream of job progress
+app.get('/api/admin/bulk-lookups/:id/stream', requireApiKey, async (req, res) => {
+  const jobId = parseInt(req.params.id);
+  const result = await getBulkJob(jobId);
+
+  if (!result.success) {
+    return res.status(404).json(result);
+  }
+
+  // Set headers for SSE
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  // Send current state first
+  res.write(`data: ${JSON.stringify({ type: 'status', job: result.job })}\n\n`);
+
+  if (result.job.status === 'completed' || result.job.status === 'failed') {
+    res.write(`data: ${JSON.stringify({ type: 'complete', status: result.job.status })}\n\n`);
+    return res.end();
+  }
+
+  const onProgress = (id, progress) => {
+    if (id === jobId) {
+      res.write(`data: ${JSON.stringify({ type: 'progress', progress })}\n\n`);
+    }
+  };
+
+  const onComplete = (id, summary) => {
+    if (id === jobId) {
+      res.write(`data: ${JSON.stringify({ type: 'complete', ...summary })}\n\n`);
+      cleanup();
+      res.end();
+    }
+  };
+
+  const cleanup = () => {
+    bulkJobEvents.off('progress', onProgress);
+    bulkJobEvents.off('complete', onComplete);
+  };
+
+  bulkJobEvents.on('progress', onProgress);
+  bulkJobEvents.on('complete', onComplete);
+  req.on('close', cleanup);
+});
+
+// Per-IP summary matrix (?format=json|csv)
+app.get('/api/admin/bulk-lookups/:id/results', requireApiKey, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    const matrix = await getBulkJobMatrix(jobId);
+
+    if (!matrix.success) {
+      return res.status(matrix.error === 'Job not found' ? 404 : 500).json(matrix);
+    }
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="bulk-lookup-${jobId}.csv"`);
+      return res.send(matrixToCsv(matrix));
+    }
+
+    if (req.query.download !== undefined) {
+      res.setHeader('Content-Disposition', `attachment; filename="bulk-lookup-${jobId}.json"`);
+    }
+
+    res.json(matrix);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// END BULK LOOKUP API ENDPOINTS
+// ============================================================================
+
+// ============================================================================
+// MONITOR API ENDPOINTS (Require API Key Authentication)
+// ============================================================================
+
+app.get('/api/admin/monitors', requireApiKey, async (req, res) => {
+  try {
+    const result = await listMonitors();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/monitors', requireApiKey, async (req, res) => {
+  try {
+    const { name, targets, intervalMinutes, enabled } = req.body;
+    const createdBy = req.apiKey.description || req.apiKey.keyPrefix;
+    const result = await createMonitor({ name, targets, intervalMinutes, enabled }, createdBy);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Listing/delisting transitions across all monitors (?ip=, limit, offset)
+app.get('/api/admin/monitors/events', requireApiKey, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await listMonitorEvents({ ip: req.query.ip, limit, offset });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/monitors/:id', requireApiKey, async (req, res) => {
+  try {
+    const result = await getMonitor(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/api/admin/monitors/:id', requireApiKey, async (req, res) => {
+  try {
+    const monitorId = parseInt(req.params.id);
+    const { name, targets, intervalMinutes, enabled } = req.body;
+
+    const result = await updateMonitor(monitorId, { name, targets, intervalMinutes, enabled });
+
+    if (!result.success) {
+      return res.status(result.error === 'Monitor not found' ? 404 : 400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/admin/monitors/:id', requireApiKey, async (req, res) => {
+  try {
+    const result = await deleteMonitor(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Run a monitor immediately instead of waiting for its schedule
+app.post('/api/admin/monitors/:id/run', requireApiKey, async (req, res) => {
+  try {
+    const result = await runMonitor(parseInt(req.params.id));
+
+    if (!result.success) {
+      const status = result.error === 'Monitor not found' ? 404
+        : result.error === 'Monitor is already running' ? 409 : 500;
+      return res.status(status).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Current listings (?listedOnly=false to include delisted IPs)
+app.get('/api/admin/monitors/:id/state', requireApiKey, async (req, res) => {
+  try {
+    const monitorId = parseInt(req.params.id);
+    const listedOnly = req.query.listedOnly !== 'false';
+
+    const result = await getMonitorState(monitorId, { listedOnly });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/monitors/:id/events', requireApiKey, async (req, res) => {
+  try {
+    const monitorId = parseInt(req.params.id);
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await listMonitorEvents({ monitorId, ip: req.query.ip, limit, offset });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// END MONITOR API ENDPOINTS
+// ============================================================================
+
+// ============================================================================
+// WEBHOOK API ENDPOINTS (Require API Key Authentication)
+// ============================================================================
+
+app.get('/api/admin/webhooks', requireApiKey, async (req, res) => {
+  try {
+    const result = await listWebhooks();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/webhooks', requireApiKey, async (req, res) => {
+  try {
+    const { name, url, secret, events, enabled } = req.body;
+    const createdBy = req.apiKey.description || req.apiKey.keyPrefix;
+    const result = await createWebhook({ name, url, secret, events, enabled }, createdBy);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(201).json({
+      ...result,
+      message: 'Webhook created. Save the secret - it will not be shown again!'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/webhooks/:id', requireApiKey, async (req, res) => {
+  try {
+    const result = await getWebhook(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/api/admin/webhooks/:id', requireApiKey, async (req, res) => {
+  try {
+    const webhookId = parseInt(req.params.id);
+    const { name, url, secret, events, enabled } = req.body;
+
+    const result = await updateWebhook(webhookId, { name, url, secret, events, enabled });
+
+    if (!result.success) {
+      return res.status(result.error === 'Webhook not found' ? 404 : 400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/admin/webhooks/:id', requireApiKey, async (req, res) => {
+  try {
+    const result = await deleteWebhook(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Send a test event and report the target's response
+app.post('/api/admin/webhooks/:id/test', requireApiKey, async (req, res) => {
+  try {
+    const result = await testWebhook(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(result.error === 'Webhook not found' ? 404 : 500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/webhooks/:id/deliveries', requireApiKey, async (req, res) => {
+  try {
+    const webhookId = parseInt(req.params.id);
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await listDeliveries(webhookId, { limit, offset });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// END WEBHOOK API ENDPOINTS
+// ============================================================================
+
+// ============================================================================
+// RBL SERVER API ENDPOINTS (Require API Key Authentication)
+// ============================================================================
+
+// Server fields accepted by create/update (see src/rbl-servers.js)
+const RBL_SERVER_FIELDS = [
+  'name', 'host', 'description', 'type', 'weight', 'enabled', 'timeout', 'severity',
+  'removalUrl', 'returnCodes', 'returnCodeBits', 'sentinels', 'queryTemplate', 'resolver'
+];
+
+function pickRblServerFields(body) {
+  const server = {};
+  for (const field of RBL_SERVER_FIELDS) {
+    if (body[field] !== undefined) {
+      server[field] = body[field];
+    }
+  }
+  return server;
+}
+
+// Lists all servers, including disabled ones
+app.get('/api/admin/rbl-servers', requireApiKey, async (req, res) => {
+  try {
+    const servers = await listRblServers({ includeDisabled: true });
+    res.json({ success: true, servers });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Run a health probe round now instead of waiting for the prober
+app.post('/api/admin/rbl-servers/probe', requireApiKey, async (req, res) => {
+  try {
+    const result = await runHealthProbes();
+
+    if (!result.success) {
+      return res.status(result.error === 'A probe round is already running' ? 409 : 500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/rbl-servers', requireApiKey, async (req, res) => {
+  try {
+    const result = await createRblServer(pickRblServerFields(req.body));
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/rbl-servers/:id', requireApiKey, async (req, res) => {
+  try {
+    const result = await getRblServer(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/api/admin/rbl-servers/:id', requireApiKey, async (req, res) => {
+  try {
+    const result = await updateRblServer(parseInt(req.params.id), pickRblServerFields(req.body));
+
+    if (!result.success) {
+      return res.status(result.error === 'RBL server not found' ? 404 : 400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/admin/rbl-servers/:id', requireApiKey, async (req, res) => {
+  try {
+    const result = await deleteRblServer(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// END RBL SERVER API ENDPOINTS
+// ============================================================================
+
+// Start server
+app.listen(PORT, async () => {
+  console.log(`RBL Lookup Server running on http://localhost:${PORT}`);
+  console.log(`Web interface: http://localhost:${PORT}`);
   console.log(`API endpoint: http://localhost:${PORT}/api/lookup`);
   console.log(`Cache enabled: PostgreSQL database`);
   console.log(`Request logging enabled: logs/requests.log`);
@@ -416,11 +1282,29 @@ app.listen(PORT, async () => {
   }
 
   // Display custom RBL configuration
-  const customRblConfig = await getCustomRblConfig();
-  if (customRblConfig) {
-    console.log(`Custom RBL: ${customRblConfig.zone_name} (${customRblConfig.enabled ? 'enabled' : 'disabled'})`);
+  const customRblZones = await getCustomRblZones();
+  if (customRblZones.length > 0) {
+    console.log(`Custom RBL zones: ${customRblZones.map(zone => zone.zone_name).join(', ')}`);
+  }
+
+  // Resume bulk lookup jobs interrupted by a restart
+  const resumedJobs = await resumeBulkJobs();
+  if (resumedJobs > 0) {
+    console.log(`Resumed ${resumedJobs} bulk lookup job(s)`);
   }
 
+  // Deliver webhooks for monitor and custom RBL changes
+  startWebhookDispatcher();
+
+  // Start scheduled monitoring of watched IP space
+  startMonitorScheduler();
+
+  // Probe RBL servers and quarantine dead, slow or wildcard-listing ones
+  startHealthProber();
+
+  // Delist custom RBL entries whose expiry has passed
+  startExpirySweeper();
+
   logInfo('RBL Lookup Server started', {
     port: PORT,
     rateLimit: {
@@ -437,4 +1321,17 @@ app.listen(PORT, async () => {
       console.log(`Cleaned ${deleted} expired cache entries`);
     }
   }, 5 * 60 * 1000);
+
+  // Trim lookup history past the retention period every hour
+  setInterval(async () => {
+    const deleted = await cleanHistory();
+    if (deleted > 0) {
+      console.log(`Removed ${deleted} lookup history rows past retention`);
+    }
+
+    const pruned = await pruneEvidence();
+    if (pruned > 0) {
+      console.log(`Removed ${pruned} custom RBL evidence events past retention`);
+    }
+  }, 60 * 60 * 1000);
 });
@@ -18,8 +18,16 @@
  * along with this program. If not, see <https://www.gnu.org/licenses/>.
  */
 
+import http from 'http';
+import { watch } from 'fs';
+import { join } from 'path';
 import { RBLDnsServer } from './dns-server.js';
 import { getDatabase } from './cache-db.js';
+import { customRblEvents, startExpirySweeper } from './custom-rbl-lookup.js';
+import { dispatchEvent } from './webhooks.js';
+
+// Config files that trigger a reload when changed
+const WATCHED_FILES = ['multi-rbl-zones.json', 'dns-access-control.json', 'dns-zone-transfer.json'];
 
 /**
  * Parse command line arguments
@@ -32,7 +40,10 @@ function parseArgs() {
     upstreamDns: '8.8.8.8',
     multiRblDomain: 'multi-rbl.example.com',
     multiRblTimeout: 250,
-    logLevel: 'info'
+    logLevel: 'info',
+    watchConfig: process.env.DNS_WATCH_CONFIG !== 'false',
+    statusPort: process.env.DNS_STATUS_PORT ? parseInt(process.env.DNS_STATUS_PORT, 10) : null,
+    statusHost: process.env.DNS_STATUS_HOST || '127.0.0.1'
   };
 
   for (const arg of args) {
@@ -51,6 +62,12 @@ function parseArgs() {
       config.multiRblTimeout = parseInt(arg.split('=')[1], 10);
     } else if (arg.startsWith('--log-level=')) {
       config.logLevel = arg.split('=')[1];
+    } else if (arg === '--record-history') {
+      config.recordHistory = true;
+    } else if (arg === '--no-watch') {
+      config.watchConfig = false;
+    } else if (arg.startsWith('--status-port=')) {
+      config.statusPort = parseInt(arg.split('=')[1], 10);
     } else if (arg === '--stats') {
       showStats();
       process.exit(0);
@@ -79,6 +96,9 @@ Options:
   --multi-rbl-domain=<dom>   Domain for multi-RBL lookups (default: multi-rbl.example.com)
   --multi-rbl-timeout=<ms>   Multi-RBL lookup timeout in milliseconds (default: 250)
   --log-level=<level>        Logging level: none, error, info, verbose (default: info)
+  --record-history           Append fresh lookups to the lookup history (or DNS_RECORD_HISTORY=true)
+  --no-watch                 Don't reload config when files in etc/ change (SIGHUP still reloads)
+  --status-port=<port>       Serve reload/config status over HTTP on 127.0.0.1 (or DNS_STATUS_PORT)
   --stats                    Show cache statistics and exit
   --clear-cache              Clear all cached entries and exit
   --help, -h                 Show this help message
@@ -99,6 +119,10 @@ Testing Multi-RBL (checks IP against all RBLs):
   dig @localhost -p 8053 2.0.0.127.multi-rbl.example.com TXT
   nslookup 2.0.0.127.multi-rbl.example.com localhost -port=8053
 
+Reloading configuration:
+  kill -HUP <pid>            Re-read etc/*.json and the custom RBL zone without restarting
+  curl http://127.0.0.1:<status-port>/status
+
 Note: Use port 53 for standard DNS (requires admin/root privileges)
 `);
 }
@@ -138,6 +162,61 @@ function clearCache() {
   db.close();
 }
 
+/**
+ * Reload config when a watched file in etc/ changes
+ * The directory is watched rather than each file, since editors often
+ * replace a file instead of writing to it. Changes are debounced so a
+ * save that touches the file several times triggers a single reload.
+ */
+function watchConfigFiles(server) {
+  const etcDir = join(process.cwd(), 'etc');
+  let timer = null;
+  const changed = new Set();
+
+  try {
+    watch(etcDir, (eventType, filename) => {
+      if (!filename || !WATCHED_FILES.includes(filename.toString())) {
+        return;
+      }
+
+      changed.add(`etc/${filename}`);
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const trigger = [...changed].join(', ');
+        changed.clear();
+        server.reload(trigger);
+      }, 500);
+    });
+    console.log(`Watching ${etcDir} for config changes`);
+  } catch (error) {
+    console.error(`Config file watching disabled: ${error.message}`);
+  }
+}
+
+/**
+ * Serve server and config reload status as JSON
+ */
+function startStatusServer(server, port, host) {
+  const statusServer = http.createServer((req, res) => {
+    if (req.method !== 'GET' || (req.url !== '/status' && req.url !== '/')) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Not found' }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, status: server.getStatus() }, null, 2));
+  });
+
+  statusServer.on('error', (error) => {
+    console.error(`Status server error: ${error.message}`);
+  });
+
+  statusServer.listen(port, host, () => {
+    console.log(`Status endpoint: http://${host}:${port}/status`);
+  });
+}
+
 /**
  * Main function
  */
@@ -163,6 +242,28 @@ async function main() {
 
   try {
     await server.start();
+
+    // Reload config on SIGHUP (once started, so a reload never runs before init)
+    process.on('SIGHUP', () => {
+      console.log('\nReceived SIGHUP, reloading configuration...');
+      server.reload('SIGHUP');
+    });
+
+    if (config.watchConfig) {
+      watchConfigFiles(server);
+    }
+
+    // Delist expired custom RBL entries here too, so expiries are journaled and
+    // sent to secondaries without the web server. Entries expired by this process
+    // queue their webhooks here; the web server's retry loop retries failures.
+    customRblEvents.on('entry_expired', (entry) => {
+      dispatchEvent('custom_rbl.entry_expired', entry);
+    });
+    startExpirySweeper();
+
+    if (config.statusPort) {
+      startStatusServer(server, config.statusPort, config.statusHost);
+    }
   } catch (error) {
     console.error(`Failed to start server: ${error.message}`);
     process.exit(1);
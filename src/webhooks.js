@@ -0,0 +1,560 @@
+/**
+ * Multi-RBL Lookup Tool
+ * Copyright (C) 2025 Matthew Asham & Multi-RBL Lookup Contributors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Outbound Webhooks
+ * Delivers HMAC-signed JSON payloads to configured targets when a monitored
+ * IP changes state or a custom RBL entry is added or removed. Every attempt
+ * is recorded in webhook_deliveries; failed deliveries are retried with
+ * exponential backoff.
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import { query } from './db-postgres.js';
+import { monitorEvents } from './monitor.js';
+import { customRblEvents } from './custom-rbl-lookup.js';
+
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT || '5000', 10);
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10);
+export const RETRY_BASE_SECONDS = 30;
+const RETRY_TICK_SECONDS = 15;
+
+export const WEBHOOK_EVENTS = [
+  'monitor.listed',
+  'monitor.delisted',
+  'custom_rbl.entry_added',
+  'custom_rbl.entry_removed',
+  'custom_rbl.entry_expired'
+];
+
+let retryTimer = null;
+
+/**
+ * Format a webhook row for API output (the secret is never returned)
+ */
+function formatWebhook(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    events: row.events,
+    enabled: row.enabled,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Validate webhook URL and event list
+ * @returns {string|null} Error message or null if valid
+ */
+function validateWebhook(url, events) {
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'Invalid URL';
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return 'URL must use http or https';
+    }
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events)) {
+      return 'events must be an array';
+    }
+
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return `Unknown event(s): ${unknown.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compute the signature header value for a payload
+ * The signed message is "<timestamp>.<body>" so a captured request can't be replayed later.
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - Unix timestamp sent in X-RBL-Timestamp
+ * @param {string} body - Raw JSON request body
+ * @returns {string} "sha256=<hex digest>"
+ */
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * POST a signed JSON payload to a webhook URL
+ * @param {string} url - Target URL
+ * @param {string} secret - Webhook secret
+ * @param {object} delivery - { id, event, payload }
+ * @returns {Promise<object>} { ok, status, error }
+ */
+export function sendWebhook(url, secret, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve) => {
+    const req = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'multirbl-lookup-webhook',
+        'X-RBL-Event': delivery.event,
+        'X-RBL-Delivery': String(delivery.id),
+        'X-RBL-Timestamp': timestamp,
+        'X-RBL-Signature': signPayload(secret, timestamp, body)
+      },
+      timeout: WEBHOOK_TIMEOUT
+    }, (res) => {
+      // Drain the response; only the status code matters
+      res.resume();
+      res.on('end', () => {
+        const ok = res.statusCode >= 200 && res.statusCode < 300;
+        resolve({ ok, status: res.statusCode, error: ok ? null : `HTTP ${res.statusCode}` });
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Timed out after ${WEBHOOK_TIMEOUT}ms`));
+    });
+
+    req.on('error', (error) => {
+      resolve({ ok: false, status: null, error: error.message });
+    });
+
+    req.end(body);
+  });
+}
+
+/**
+ * Create a webhook
+ * A random secret is generated when none is supplied; it is only returned here.
+ * @param {object} webhook - { name, url, secret, events, enabled }
+ * @param {string} createdBy - Identifier of who created it
+ * @returns {Promise<object>} Result with webhook (including secret) or error
+ */
+export async function createWebhook(webhook, createdBy = 'api') {
+  const { name, url, events = [], enabled = true } = webhook;
+  const secret = webhook.secret || crypto.randomBytes(32).toString('hex');
+
+  if (!name || !url) {
+    return { success: false, error: 'name and url are required' };
+  }
+
+  const validationError = validateWebhook(url, events);
+  if (validationError) {
+    return { success: false, error: validationError };
+  }
+
+  try {
+    const result = await query(
+      `INSERT INTO webhooks (name, url, secret, events, enabled, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [name, url, secret, JSON.stringify(events), enabled, createdBy]
+    );
+
+    return { success: true, webhook: { ...formatWebhook(result.rows[0]), secret } };
+  } catch (error) {
+    console.error('Error creating webhook:', error.message);
+
+    if (error.code === '23505') {
+      return { success: false, error: 'Webhook name already exists' };
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Update a webhook
+ * @param {number} webhookId - Webhook ID
+ * @param {object} updates - Fields to update (name, url, secret, events, enabled)
+ * @returns {Promise<object>} Result with updated webhook or error
+ */
+export async function updateWebhook(webhookId, updates) {
+  const validationError = validateWebhook(updates.url, updates.events);
+  if (validationError) {
+    return { success: false, error: validationError };
+  }
+
+  try {
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const field of ['name', 'url', 'secret', 'enabled']) {
+      if (updates[field] !== undefined) {
+        fields.push(`${field} = $${paramIndex++}`);
+        values.push(updates[field]);
+      }
+    }
+
+    if (updates.events !== undefined) {
+      fields.push(`events = $${paramIndex++}`);
+      values.push(JSON.stringify(updates.events));
+    }
+
+    if (fields.length === 0) {
+      return { success: false, error: 'No fields to update' };
+    }
+
+    values.push(webhookId);
+
+    const result = await query(
+      `UPDATE webhooks
+       SET ${fields.join(', ')}
+       WHERE id = $${paramIndex}
+       RETURNING *`,
+      values
+    );
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'Webhook not found' };
+    }
+
+    return { success: true, webhook: formatWebhook(result.rows[0]) };
+  } catch (error) {
+    console.error('Error updating webhook:', error.message);
+
+    if (error.code === '23505') {
+      return { success: false, error: 'Webhook name already exists' };
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a webhook (its delivery log is removed with it)
+ * @param {number} webhookId - Webhook ID
+ * @returns {Promise<object>} Result indicating success or failure
+ */
+export async function deleteWebhook(webhookId) {
+  try {
+    const result = await query('DELETE FROM webhooks WHERE id = $1 RETURNING id', [webhookId]);
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'Webhook not found' };
+    }
+
+    return { success: true, deletedId: webhookId };
+  } catch (error) {
+    console.error('Error deleting webhook:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get a webhook
+ * @param {number} webhookId - Webhook ID
+ * @returns {Promise<object>} Result with webhook or error
+ */
+export async function getWebhook(webhookId) {
+  try {
+    const result = await query('SELECT * FROM webhooks WHERE id = $1', [webhookId]);
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'Webhook not found' };
+    }
+
+    return { success: true, webhook: formatWebhook(result.rows[0]) };
+  } catch (error) {
+    console.error('Error getting webhook:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List all webhooks
+ * @returns {Promise<object>} Result with webhooks array
+ */
+export async function listWebhooks() {
+  try {
+    const result = await query('SELECT * FROM webhooks ORDER BY name');
+    return { success: true, webhooks: result.rows.map(formatWebhook) };
+  } catch (error) {
+    console.error('Error listing webhooks:', error.message);
+    return { success: false, error: error.message, webhooks: [] };
+  }
+}
+
+/**
+ * List deliveries for a webhook, newest first
+ * @param {number} webhookId - Webhook ID
+ * @param {object} options - Query options (limit, offset)
+ * @returns {Promise<object>} Result with deliveries array
+ */
+export async function listDeliveries(webhookId, options = {}) {
+  const limit = options.limit || 50;
+  const offset = options.offset || 0;
+
+  try {
+    const result = await query(
+      `SELECT * FROM webhook_deliveries
+       WHERE webhook_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [webhookId, limit, offset]
+    );
+
+    return {
+      success: true,
+      deliveries: result.rows.map(row => ({
+        id: row.id,
+        event: row.event,
+        payload: row.payload,
+        status: row.status,
+        attempts: row.attempts,
+        responseStatus: row.response_status,
+        error: row.error,
+        nextAttemptAt: row.next_attempt_at,
+        createdAt: row.created_at,
+        deliveredAt: row.delivered_at
+      })),
+      limit,
+      offset
+    };
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error.message);
+    return { success: false, error: error.message, deliveries: [] };
+  }
+}
+
+/**
+ * Make one delivery attempt and record the outcome
+ * Failed attempts are rescheduled with exponential backoff until
+ * WEBHOOK_MAX_ATTEMPTS is reached, then marked failed.
+ * @param {number} deliveryId - Delivery ID
+ * @returns {Promise<object>} Attempt outcome { ok, status, error }
+ */
+async function attemptDelivery(deliveryId) {
+  const result = await query(
+    `SELECT d.id, d.event, d.payload, d.attempts, w.url, w.secret
+     FROM webhook_deliveries d
+     JOIN webhooks w ON w.id = d.webhook_id
+     WHERE d.id = $1`,
+    [deliveryId]
+  );
+
+  if (result.rowCount === 0) {
+    return { ok: false, status: null, error: 'Delivery not found' };
+  }
+
+  const delivery = result.rows[0];
+  const outcome = await sendWebhook(delivery.url, delivery.secret, delivery);
+  const attempts = delivery.attempts + 1;
+
+  if (outcome.ok) {
+    await query(
+      `UPDATE webhook_deliveries
+       SET status = 'delivered', attempts = $2, response_status = $3, error = NULL,
+           next_attempt_at = NULL, delivered_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [deliveryId, attempts, outcome.status]
+    );
+  } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    await query(
+      `UPDATE webhook_deliveries
+       SET status = 'failed', attempts = $2, response_status = $3, error = $4, next_attempt_at = NULL
+       WHERE id = $1`,
+      [deliveryId, attempts, outcome.status, outcome.error]
+    );
+  } else {
+    const delaySeconds = RETRY_BASE_SECONDS * Math.pow(2, attempts - 1);
+    await query(
+      `UPDATE webhook_deliveries
+       SET attempts = $2, response_status = $3, error = $4,
+           next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $5)
+       WHERE id = $1`,
+      [deliveryId, attempts, outcome.status, outcome.error, delaySeconds]
+    );
+  }
+
+  return outcome;
+}
+
+/**
+ * Queue an event for every enabled webhook subscribed to it and attempt delivery
+ * Webhooks with an empty event list receive every event.
+ * @param {string} event - Event name (see WEBHOOK_EVENTS)
+ * @param {object} data - Event data
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export async function dispatchEvent(event, data) {
+  try {
+    const webhooks = await query(
+      `SELECT id FROM webhooks
+       WHERE enabled = true AND (events = '[]'::jsonb OR events ? $1)`,
+      [event]
+    );
+
+    for (const webhook of webhooks.rows) {
+      const payload = { event, timestamp: new Date().toISOString(), data };
+      // next_attempt_at is a fallback: the retry loop picks the delivery up
+      // if the immediate attempt below never completes (e.g. on restart)
+      const inserted = await query(
+        `INSERT INTO webhook_deliveries (webhook_id, event, payload, status, next_attempt_at)
+         VALUES ($1, $2, $3, 'pending', CURRENT_TIMESTAMP + make_interval(secs => $4))
+         RETURNING id`,
+        [webhook.id, event, JSON.stringify(payload), RETRY_BASE_SECONDS]
+      );
+
+      attemptDelivery(inserted.rows[0].id).catch(err => {
+        console.error('Error delivering webhook:', err.message);
+      });
+    }
+
+    return webhooks.rows.length;
+  } catch (error) {
+    console.error(`Error dispatching ${event} webhooks:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Send a test event to one webhook and wait for the result
+ * The attempt is recorded in the delivery log but not retried.
+ * @param {number} webhookId - Webhook ID
+ * @returns {Promise<object>} Result with delivery outcome
+ */
+export async function testWebhook(webhookId) {
+  try {
+    const webhook = await getWebhook(webhookId);
+    if (!webhook.success) {
+      return webhook;
+    }
+
+    const payload = {
+      event: 'test',
+      timestamp: new Date().toISOString(),
+      data: { message: 'Test delivery from Multi-RBL Lookup', webhookId }
+    };
+
+    const inserted = await query(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload, status)
+       VALUES ($1, 'test', $2, 'pending')
+       RETURNING id`,
+      [webhookId, JSON.stringify(payload)]
+    );
+    const deliveryId = inserted.rows[0].id;
+
+    const result = await query('SELECT secret FROM webhooks WHERE id = $1', [webhookId]);
+    const outcome = await sendWebhook(webhook.webhook.url, result.rows[0].secret, { id: deliveryId, event: 'test', payload });
+
+    await query(
+      `UPDATE webhook_deliveries
+       SET status = $2, attempts = 1, response_status = $3, error = $4,
+           delivered_at = CASE WHEN $5 THEN CURRENT_TIMESTAMP END
+       WHERE id = $1`,
+      [deliveryId, outcome.ok ? 'delivered' : 'failed', outcome.status, outcome.error, outcome.ok]
+    );
+
+    return { success: true, deliveryId, delivered: outcome.ok, responseStatus: outcome.status, error: outcome.error };
+  } catch (error) {
+    console.error('Error testing webhook:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Retry pending deliveries that are due
+ */
+async function retryDueDeliveries() {
+  try {
+    const result = await query(
+      `SELECT d.id FROM webhook_deliveries d
+       JOIN webhooks w ON w.id = d.webhook_id
+       WHERE d.status = 'pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP AND w.enabled = true
+       ORDER BY d.next_attempt_at`
+    );
+
+    for (const row of result.rows) {
+      await attemptDelivery(row.id);
+    }
+  } catch (error) {
+    console.error('Error retrying webhook deliveries:', error.message);
+  }
+}
+
+/**
+ * Subscribe to monitor and custom RBL events and start the retry loop
+ */
+export function startWebhookDispatcher() {
+  if (retryTimer) {
+    return;
+  }
+
+  monitorEvents.on('transition', (transition) => {
+    dispatchEvent(`monitor.${transition.event}`, transition);
+  });
+
+  customRblEvents.on('entry_added', (entry) => {
+    dispatchEvent('custom_rbl.entry_added', entry);
+  });
+
+  customRblEvents.on('entry_removed', (entry) => {
+    dispatchEvent('custom_rbl.entry_removed', entry);
+  });
+
+  customRblEvents.on('entry_expired', (entry) => {
+    dispatchEvent('custom_rbl.entry_expired', entry);
+  });
+
+  let retrying = false;
+  retryTimer = setInterval(async () => {
+    if (retrying) {
+      return;
+    }
+    retrying = true;
+    try {
+      await retryDueDeliveries();
+    } finally {
+      retrying = false;
+    }
+  }, RETRY_TICK_SECONDS * 1000);
+}
+
+export default {
+  WEBHOOK_EVENTS,
+  RETRY_BASE_SECONDS,
+  signPayload,
+  sendWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhook,
+  listWebhooks,
+  listDeliveries,
+  dispatchEvent,
+  testWebhook,
+  startWebhookDispatcher
+};